@@ -6,53 +6,93 @@
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
-const morgan = require('morgan');
 
 const config = require('./config/app.config');
+const logger = require('./utils/logger');
 const swaggerUi = require('swagger-ui-express');
-const YAML = require('yamljs');
+const { loadApiSpec } = require('./utils/openapi.spec');
 const OpenApiValidator = require('express-openapi-validator');
 const path = require('path');
 
 const app = express();
 
-const swaggerDocument = YAML.load('./openapi.yaml');
+const swaggerDocument = loadApiSpec();
 
 // --- Middlewares ---
 
 /**
- * Логирование HTTP запросов.
+ * ID запроса (X-Request-Id), логгер с контекстом запроса (req.log) и структурированный access-лог.
  */
-app.use(morgan('dev'));
+const requestIdMiddleware = require('./middlewares/request-id.middleware');
+app.use(requestIdMiddleware);
+
+/**
+ * Учет HTTP запросов в метриках Prometheus.
+ */
+const metricsMiddleware = require('./middlewares/metrics.middleware');
+app.use(metricsMiddleware);
 
 /**
  * Включение CORS (Cross-Origin Resource Sharing).
  * Позволяет делать запросы к API с других доменов (например, с фронтенда).
  */
-app.use(cors());
+app.use(cors({ exposedHeaders: ['X-Request-Id', 'X-Cache'] }));
 
 /**
  * Парсинг входящих JSON запросов.
+ * Лимит размера повышен: изображения и документы приходят в теле запроса в base64.
  */
-app.use(express.json());
+app.use(express.json({ limit: config.attachments.MAX_REQUEST_SIZE }));
+
+/**
+ * JSONL файлы пакетных заданий принимаются как текст (со своим лимитом размера).
+ */
+app.use(express.text({ type: ['application/x-ndjson', 'application/jsonl'], limit: config.batches.MAX_BODY_SIZE }));
 
 // --- Public Routes (Before Auth) ---
 
-app.get('/api/health', (req, res) => {
-    res.json({
-        status: 'ok',
-        uptime: process.uptime(),
-        timestamp: new Date().toISOString()
-    });
-});
+/**
+ * Проверки состояния для Docker / Kubernetes: liveness и readiness.
+ * /api/health оставлен для обратной совместимости и работает как liveness.
+ */
+const healthController = require('./controllers/health.controller');
+app.get(['/api/health', '/api/health/live'], healthController.live);
+app.get('/api/health/ready', healthController.ready);
+
+/**
+ * Метрики Prometheus. Как и health check, доступны без ключа — для скрейпера.
+ */
+if (config.metrics.ENABLED) {
+    const metricsController = require('./controllers/metrics.controller');
+    app.get('/metrics', metricsController.getMetrics);
+}
+
+/**
+ * Во время остановки шлюза новые запросы получают 503 (health check и метрики выше продолжают отвечать).
+ */
+const shutdownMiddleware = require('./middlewares/shutdown.middleware');
+app.use(shutdownMiddleware);
 
 /**
  * Аутентификация по API ключу.
- * Проверяет заголовок x-api-key для всех маршрутов кроме публичных.
+ * Проверяет заголовок x-api-key (или Authorization: Bearer) для всех маршрутов кроме публичных.
  */
 const authMiddleware = require('./middlewares/auth.middleware');
 app.use(authMiddleware);
 
+/**
+ * Административные маршруты и журнал аудита доступны только ключам с правами администратора.
+ */
+const adminMiddleware = require('./middlewares/admin.middleware');
+app.use(['/api/admin', '/api/audit'], adminMiddleware);
+
+/**
+ * Квоты API ключа (RPM / RPD / одновременные запросы).
+ * При превышении лимита — 429 с заголовком Retry-After.
+ */
+const quotaMiddleware = require('./middlewares/quota.middleware');
+app.use(quotaMiddleware);
+
 /**
  * Swagger UI Documentation.
  */
@@ -61,11 +101,13 @@ app.use('/api/docs', swaggerUi.serve, swaggerUi.setup(swaggerDocument));
 // Spec-First Validation & Routing
 app.use(
     OpenApiValidator.middleware({
-        apiSpec: './openapi.yaml',
+        apiSpec: loadApiSpec(), // Лимиты вложений подставляются из конфигурации
         validateRequests: true,
         validateResponses: false,
         ignorePaths: (path) => path.startsWith('/api/docs'),
         operationHandlers: path.join(__dirname, 'controllers'), // Enable auto-routing
+        // multipart/form-data: файлы держатся в памяти и сохраняются во временную папку только на время запуска CLI
+        fileUploader: { limits: { fileSize: config.attachments.MAX_FILE_SIZE, files: config.attachments.MAX_FILES } },
     }),
 );
 
@@ -86,26 +128,39 @@ app.use((err, req, res, next) => {
     next(err);
 });
 
+// --- Background Jobs ---
+
+/**
+ * Контроллеры подключаются лениво (при первом запросе), поэтому сервис пакетных заданий загружается явно:
+ * незавершенные задания продолжаются сразу после перезапуска.
+ */
+require('./services/batch.service');
+
 // --- Server Start ---
 
+const modelRegistry = require('./services/model.registry.service');
+
 const server = app.listen(config.PORT, '0.0.0.0', () => {
-    console.log(`=========================================`);
-    console.log(`🚀 Gemini API Gateway running on port ${config.PORT}`);
-    console.log(`👉 Health Check: http://localhost:${config.PORT}/api/health`);
-    console.log(`🤖 Default Model: ${config.gemini.DEFAULT_MODEL}`);
-    console.log(`=========================================`);
+    logger.info('Gemini API Gateway started', {
+        port: config.PORT,
+        health_check: `http://localhost:${config.PORT}/api/health/ready`,
+        default_model: modelRegistry.defaultModel()
+    });
 });
 
 // --- Graceful Shutdown ---
 
+const shutdownService = require('./services/shutdown.service');
+
 /**
- * Обработка сигнала завершения (например, при остановке Docker контейнера).
- * Позволяет корректно закрыть текущие соединения перед выходом.
+ * SIGTERM (остановка Docker контейнера) и SIGINT (Ctrl+C): новые запросы отклоняются, выполняющиеся
+ * дорабатывают до SHUTDOWN_GRACE_PERIOD_MS, затем процессы CLI останавливаются. Повторный сигнал — немедленный выход.
  */
-process.on('SIGTERM', () => {
-    console.log('SIGTERM signal received: closing HTTP server');
-    server.close(() => {
-        console.log('HTTP server closed');
-        process.exit(0);
-    });
-});
\ No newline at end of file
+for (const signal of ['SIGTERM', 'SIGINT']) {
+    process.on(signal, () => shutdownService.shutdown(server, signal));
+}
+
+/**
+ * При любом завершении процесса (включая необработанное исключение) процессы CLI не должны пережить шлюз.
+ */
+process.on('exit', () => shutdownService.reap());
@@ -0,0 +1,131 @@
+/**
+ * @file backends/gemini-cli.backend.js
+ * @description Бэкенд генерации на Google Gemini CLI: каждый запрос — отдельный процесс `gemini -m <модель>`,
+ * промпт передается через stdin, потоковый ответ — в формате stream-json.
+ */
+
+const { spawn } = require('child_process');
+
+/**
+ * @typedef {import('../services/gemini.service').Backend} Backend
+ * @typedef {import('../services/gemini.service').BackendRequest} BackendRequest
+ * @typedef {import('../services/gemini.service').BackendProcess} BackendProcess
+ */
+
+/**
+ * Псевдоним модели, под которым CLI получает параметры генерации запроса.
+ * Флагов для temperature и т.п. у CLI нет, поэтому параметры задаются в настройках рабочей папки
+ * (modelConfigs.customAliases) и CLI запускается с `-m <псевдоним>`.
+ */
+const GENERATION_ALIAS = 'gateway-request';
+
+/**
+ * Настройки CLI (.gemini/settings.json) с параметрами генерации.
+ * @param {string} model
+ * @param {import('../services/gemini.service').GenerationParams|null} [generation]
+ * @returns {object|null} null — параметры не заданы.
+ */
+function generationSettings(model, generation) {
+    if (!generation) return null;
+
+    const generateContentConfig = {};
+    if (generation.temperature !== undefined) generateContentConfig.temperature = generation.temperature;
+    if (generation.top_p !== undefined) generateContentConfig.topP = generation.top_p;
+    if (generation.max_tokens !== undefined) generateContentConfig.maxOutputTokens = generation.max_tokens;
+    if (generation.stop !== undefined) generateContentConfig.stopSequences = generation.stop;
+    if (Object.keys(generateContentConfig).length === 0) return null;
+
+    return {
+        modelConfigs: {
+            customAliases: {
+                [GENERATION_ALIAS]: { modelConfig: { model, generateContentConfig } }
+            }
+        }
+    };
+}
+
+/**
+ * @implements {Backend}
+ */
+class GeminiCliBackend {
+
+    /**
+     * @param {string} command - Команда запуска CLI (или путь к бинарнику).
+     */
+    constructor(command) {
+        this.name = 'gemini';
+        this.command = command;
+    }
+
+    /**
+     * @param {BackendRequest} request
+     * @returns {BackendProcess}
+     */
+    generate(request) {
+        return this._run(request, false);
+    }
+
+    /**
+     * @param {BackendRequest} request
+     * @returns {BackendProcess}
+     */
+    stream(request) {
+        return this._run(request, true);
+    }
+
+    /**
+     * Запускает `gemini --version`.
+     * @returns {BackendProcess}
+     */
+    health() {
+        return spawn(this.command, ['--version']);
+    }
+
+    /**
+     * Параметры генерации записываются в настройки рабочей папки, а модель подменяется псевдонимом.
+     * @param {string} model
+     * @param {import('../services/gemini.service').GenerationParams|null} [generation]
+     * @returns {{files: Object<string, string>, model: string}|null}
+     */
+    workspaceConfig(model, generation) {
+        const settings = generationSettings(model, generation);
+        if (!settings) return null;
+        return {
+            files: { '.gemini/settings.json': JSON.stringify(settings, null, 2) },
+            model: GENERATION_ALIAS
+        };
+    }
+
+    /**
+     * Аргументы CLI. Сам промпт передается через stdin: длинная история не упирается в ARG_MAX,
+     * а текст запроса не виден другим пользователям хоста в выводе `ps`.
+     * @param {string} model
+     * @param {boolean} [stream=false]
+     * @returns {string[]}
+     * @private
+     */
+    _buildArgs(model, stream = false) {
+        const args = ['-m', model];
+        if (stream) {
+            args.push('-o', 'stream-json');
+        }
+        return args;
+    }
+
+    /**
+     * @param {BackendRequest} request
+     * @param {boolean} stream
+     * @returns {BackendProcess}
+     * @private
+     */
+    _run({ model, prompt, cwd, log }, stream) {
+        const child = spawn(this.command, this._buildArgs(model, stream), cwd ? { cwd } : {});
+
+        // Если процесс не запустился или завершился, не дочитав stdin, запись падает с EPIPE — это не ошибка запроса
+        child.stdin.on('error', err => log.debug('Failed to write prompt to CLI stdin', { pid: child.pid, err }));
+        child.stdin.end(prompt);
+        return child;
+    }
+}
+
+module.exports = GeminiCliBackend;
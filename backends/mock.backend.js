@@ -0,0 +1,300 @@
+/**
+ * @file backends/mock.backend.js
+ * @description Детерминированный бэкенд для разработки и интеграционных тестов: отвечает без обращения к модели.
+ * По умолчанию повторяет последнее сообщение пользователя (echo), сценарий (MOCK_BACKEND_SCRIPT) задает
+ * ответы по шаблону сообщения и модели, задержки и сбои. Вывод повторяет формат Gemini CLI
+ * (текст в buffered режиме, stream-json в потоковом, коды выхода и stderr при ошибках),
+ * поэтому очередь, таймауты, повторы и разбор ответа работают так же, как с настоящим CLI.
+ */
+
+const fs = require('fs');
+const EventEmitter = require('events');
+const { PassThrough } = require('stream');
+
+/**
+ * @typedef {import('../services/gemini.service').Backend} Backend
+ * @typedef {import('../services/gemini.service').BackendRequest} BackendRequest
+ * @typedef {import('../services/gemini.service').BackendProcess} BackendProcess
+ */
+
+/**
+ * @typedef {Object} MockStep
+ * @property {string} [reply] - Текст ответа (по умолчанию — echo последнего сообщения пользователя).
+ * @property {'rate_limited'|'auth'|'unavailable'|'model_not_found'|'error'} [fail] - Завершиться ошибкой CLI.
+ * @property {string} [stderr] - Свой текст stderr для fail (код выхода остается от типа сбоя).
+ * @property {string} [stream_error] - Потоковый ответ заканчивается записью result со статусом error и этим сообщением.
+ * @property {number} [latency_ms] - Задержка перед ответом.
+ * @property {number} [chunk_delay_ms] - Пауза между фрагментами потокового ответа.
+ */
+
+/**
+ * @typedef {MockStep & {match?: string, model?: string, sequence?: MockStep[]}} MockRule
+ * match — регулярное выражение (без учета регистра) для последнего сообщения пользователя,
+ * model — ID модели; sequence — шаги, выдаваемые по очереди (последний повторяется).
+ */
+
+/**
+ * Сбои в том виде, в каком их сообщает Gemini CLI (см. utils/cli-error.classifier.js).
+ * @type {Object<string, {exitCode: number, stderr: string}>}
+ */
+const FAILURES = {
+    rate_limited: { exitCode: 1, stderr: 'Error: 429 RESOURCE_EXHAUSTED (mock backend)' },
+    auth: { exitCode: 41, stderr: 'Error: 401 UNAUTHENTICATED (mock backend)' },
+    unavailable: { exitCode: 1, stderr: 'Error: 503 UNAVAILABLE (mock backend)' },
+    model_not_found: { exitCode: 1, stderr: 'Error: 404 model not found (mock backend)' },
+    error: { exitCode: 1, stderr: 'Mock backend failure' }
+};
+
+/** Начало сообщения пользователя в промпте (см. GeminiService._buildPrompt). */
+const USER_SECTION = /(?:^|\n\n)User: /g;
+
+/** Начало следующего сообщения другой роли. */
+const NEXT_SECTION = /\n\n(?:User|Model|System Instruction): /;
+
+/**
+ * Последнее сообщение пользователя из промпта с префиксами ролей. Промпт без разметки возвращается целиком.
+ * @param {string} prompt
+ * @returns {string}
+ */
+function lastUserMessage(prompt) {
+    let start = -1;
+    for (const match of prompt.matchAll(USER_SECTION)) start = match.index + match[0].length;
+    if (start === -1) return prompt;
+
+    const rest = prompt.slice(start);
+    const end = rest.search(NEXT_SECTION);
+    return end === -1 ? rest : rest.slice(0, end);
+}
+
+/**
+ * Грубая оценка числа токенов (около 4 символов на токен) — детерминированная статистика usage.
+ * @param {string} text
+ * @returns {number}
+ */
+function estimateTokens(text) {
+    return Math.ceil(text.length / 4);
+}
+
+/**
+ * Загружает и проверяет сценарий: JSON массив правил.
+ * @param {string} file
+ * @returns {MockRule[]}
+ * @throws {Error} Файл не читается или правила некорректны.
+ */
+function loadScript(file) {
+    const rules = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!Array.isArray(rules)) throw new Error(`Mock backend script ${file} must be a JSON array of rules`);
+
+    rules.forEach((rule, index) => {
+        const steps = rule.sequence || [rule];
+        if (!Array.isArray(steps) || steps.length === 0) {
+            throw new Error(`Mock backend rule #${index}: sequence must be a non-empty array`);
+        }
+        for (const step of steps) {
+            if (step.fail !== undefined && !FAILURES[step.fail]) {
+                throw new Error(`Mock backend rule #${index}: unknown fail '${step.fail}' (expected ${Object.keys(FAILURES).join(', ')})`);
+            }
+        }
+        if (rule.match !== undefined) rule.pattern = new RegExp(rule.match, 'i');
+    });
+    return rules;
+}
+
+/**
+ * Процесс мок-бэкенда: повторяет интерфейс ChildProcess, который использует GeminiService
+ * (stdout, stderr, события error / close, kill, pid, killed, exitCode).
+ */
+class MockProcess extends EventEmitter {
+
+    /**
+     * @param {number} pid - Условный идентификатор (для логов).
+     */
+    constructor(pid) {
+        super();
+        this.pid = pid;
+        this.stdout = new PassThrough();
+        this.stderr = new PassThrough();
+        this.killed = false;
+        /** @type {number|null} */
+        this.exitCode = null;
+        /** @type {Set<NodeJS.Timeout>} */
+        this.timers = new Set();
+        this.finished = false;
+    }
+
+    /**
+     * Выполняет fn через ms миллисекунд, если процесс еще работает.
+     * @param {number} ms
+     * @param {Function} fn
+     */
+    after(ms, fn) {
+        const timer = setTimeout(() => {
+            this.timers.delete(timer);
+            if (!this.finished) fn();
+        }, ms);
+        this.timers.add(timer);
+    }
+
+    /**
+     * Завершает процесс: закрывает потоки и после того, как вывод прочитан, сообщает close.
+     * @param {number|null} code
+     * @param {NodeJS.Signals|null} [signal]
+     */
+    exit(code, signal = null) {
+        if (this.finished) return;
+        this.finished = true;
+        for (const timer of this.timers) clearTimeout(timer);
+        this.timers.clear();
+
+        this.exitCode = code;
+        this.stdout.end();
+        this.stderr.end();
+        setImmediate(() => {
+            this.emit('exit', code, signal);
+            this.emit('close', code, signal);
+        });
+    }
+
+    /**
+     * @param {NodeJS.Signals} [signal='SIGTERM']
+     * @returns {boolean}
+     */
+    kill(signal = 'SIGTERM') {
+        if (this.finished) return false;
+        this.killed = true;
+        this.exit(null, signal);
+        return true;
+    }
+}
+
+/**
+ * @implements {Backend}
+ */
+class MockBackend {
+
+    /**
+     * @param {object} options
+     * @param {number} [options.latencyMs=0] - Задержка ответа по умолчанию.
+     * @param {number} [options.chunkDelayMs=0] - Пауза между фрагментами потока по умолчанию.
+     * @param {string} [options.scriptFile] - Файл сценария (JSON массив правил). Пусто — всегда echo.
+     */
+    constructor({ latencyMs = 0, chunkDelayMs = 0, scriptFile } = {}) {
+        this.name = 'mock';
+        this.latencyMs = latencyMs;
+        this.chunkDelayMs = chunkDelayMs;
+        this.rules = scriptFile ? loadScript(scriptFile) : [];
+        /** @type {Map<MockRule, number>} Сколько шагов sequence уже выдано. */
+        this.positions = new Map();
+        this.nextPid = 1;
+    }
+
+    /**
+     * @param {BackendRequest} request
+     * @returns {BackendProcess}
+     */
+    generate(request) {
+        return this._run(request, false);
+    }
+
+    /**
+     * @param {BackendRequest} request
+     * @returns {BackendProcess}
+     */
+    stream(request) {
+        return this._run(request, true);
+    }
+
+    /**
+     * @returns {BackendProcess}
+     */
+    health() {
+        const child = new MockProcess(this.nextPid++);
+        setImmediate(() => {
+            child.stdout.write('mock-backend\n');
+            child.exit(0);
+        });
+        return child;
+    }
+
+    /**
+     * Шаг сценария для запроса: первое подходящее правило (sequence выдается по очереди).
+     * @param {string} model
+     * @param {string} message - Последнее сообщение пользователя.
+     * @returns {MockStep}
+     * @private
+     */
+    _step(model, message) {
+        const rule = this.rules.find(r => (!r.model || r.model === model) && (!r.pattern || r.pattern.test(message)));
+        if (!rule) return {};
+        if (!rule.sequence) return rule;
+
+        const position = this.positions.get(rule) || 0;
+        this.positions.set(rule, position + 1);
+        return rule.sequence[Math.min(position, rule.sequence.length - 1)];
+    }
+
+    /**
+     * @param {BackendRequest} request
+     * @param {boolean} stream
+     * @returns {BackendProcess}
+     * @private
+     */
+    _run({ model, prompt }, stream) {
+        const child = new MockProcess(this.nextPid++);
+        const message = lastUserMessage(prompt);
+        const step = this._step(model, message);
+        const text = step.reply ?? `Echo: ${message}`;
+        const latencyMs = step.latency_ms ?? this.latencyMs;
+
+        child.after(latencyMs, () => {
+            if (step.fail) {
+                const failure = FAILURES[step.fail];
+                child.stderr.write(`${step.stderr ?? failure.stderr}\n`);
+                return child.exit(failure.exitCode);
+            }
+            if (!stream) {
+                child.stdout.write(`${text}\n`);
+                return child.exit(0);
+            }
+            this._writeStream(child, { model, prompt, text, step, latencyMs });
+        });
+        return child;
+    }
+
+    /**
+     * Пишет ответ в формате stream-json: init, фрагменты по словам, result со статистикой.
+     * @param {MockProcess} child
+     * @param {{model: string, prompt: string, text: string, step: MockStep, latencyMs: number}} reply
+     * @private
+     */
+    _writeStream(child, { model, prompt, text, step, latencyMs }) {
+        const write = record => child.stdout.write(`${JSON.stringify(record)}\n`);
+        const chunks = text.split(/(?<=\s)(?=\S)/).filter(Boolean);
+        const chunkDelayMs = step.chunk_delay_ms ?? this.chunkDelayMs;
+
+        write({ type: 'init', session_id: `mock-${child.pid}`, model });
+        const next = (index) => {
+            if (index < chunks.length) {
+                write({ type: 'message', role: 'assistant', content: chunks[index], delta: true });
+                return child.after(chunkDelayMs, () => next(index + 1));
+            }
+            const inputTokens = estimateTokens(prompt);
+            const outputTokens = estimateTokens(text);
+            write({
+                type: 'result',
+                status: step.stream_error ? 'error' : 'success',
+                ...(step.stream_error && { error: { message: step.stream_error } }),
+                stats: {
+                    input_tokens: inputTokens,
+                    output_tokens: outputTokens,
+                    total_tokens: inputTokens + outputTokens,
+                    duration_ms: latencyMs + chunkDelayMs * chunks.length
+                }
+            });
+            child.exit(0);
+        };
+        next(0);
+    }
+}
+
+module.exports = MockBackend;
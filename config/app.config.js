@@ -5,6 +5,7 @@
  */
 
 require('dotenv').config();
+const os = require('os');
 
 const config = {
     /**
@@ -15,7 +16,7 @@ const config = {
 
     /**
      * @type {string}
-     * @description Секретный ключ для авторизации (API Key).
+     * @description Секретный ключ для авторизации (API Key). Дает полный доступ, включая администрирование ключей.
      */
     API_KEY: process.env.APP_API_KEY,
 
@@ -25,12 +26,335 @@ const config = {
      */
     NODE_ENV: process.env.NODE_ENV || 'development',
 
-    gemini: {
+    /**
+     * @type {number}
+     * @description Интервал heartbeat-комментариев в SSE потоках (мс). 0 — отключить.
+     */
+    SSE_HEARTBEAT_MS: parseInt(process.env.SSE_HEARTBEAT_MS ?? '15000', 10),
+
+    logging: {
+        /**
+         * @type {string}
+         * @description Минимальный уровень логов: debug, info, warn, error.
+         */
+        LEVEL: process.env.LOG_LEVEL || 'info',
+
+        /**
+         * @type {string}
+         * @description Формат логов: json (одна JSON строка на запись) или pretty (для локальной разработки).
+         */
+        FORMAT: process.env.LOG_FORMAT || 'json'
+    },
+
+    attachments: {
+        /**
+         * @type {number}
+         * @description Максимальный размер одного вложения (байты, после декодирования base64).
+         */
+        MAX_FILE_SIZE: parseInt(process.env.ATTACHMENT_MAX_FILE_SIZE, 10) || 10 * 1024 * 1024,
+
+        /**
+         * @type {number}
+         * @description Максимальное число вложений в одном запросе.
+         */
+        MAX_FILES: parseInt(process.env.ATTACHMENT_MAX_FILES, 10) || 10,
+
+        /**
+         * @type {string[]}
+         * @description Разрешенные MIME типы вложений (через запятую).
+         */
+        ALLOWED_MIME_TYPES: (process.env.ATTACHMENT_ALLOWED_MIME_TYPES
+            || 'image/png,image/jpeg,image/webp,image/gif,application/pdf,text/plain,text/markdown,text/csv,text/html,application/json')
+            .split(',').map(s => s.trim()).filter(Boolean),
+
+        /**
+         * @type {string}
+         * @description Максимальный размер JSON тела запроса (формат body-parser: '25mb'); base64 вложения увеличивают его на треть.
+         */
+        MAX_REQUEST_SIZE: process.env.ATTACHMENT_MAX_REQUEST_SIZE || '25mb',
+
+        /**
+         * @type {string}
+         * @description Каталог для временных рабочих папок запросов с вложениями (по умолчанию — системный tmp).
+         */
+        WORKSPACE_DIR: process.env.ATTACHMENT_WORKSPACE_DIR || os.tmpdir()
+    },
+
+    batches: {
+        /**
+         * @type {string}
+         * @description Каталог для состояния и результатов пакетных заданий.
+         */
+        STORE_DIR: process.env.BATCH_STORE_DIR || './data/batches',
+
+        /**
+         * @type {number}
+         * @description Сколько элементов всех заданий обрабатывается одновременно (сверх — ждут, не занимая очередь CLI).
+         */
+        CONCURRENCY: parseInt(process.env.BATCH_CONCURRENCY, 10) || 2,
+
+        /**
+         * @type {number}
+         * @description Максимальное число строк в одном задании.
+         */
+        MAX_ITEMS: parseInt(process.env.BATCH_MAX_ITEMS, 10) || 10000,
+
+        /**
+         * @type {string}
+         * @description Максимальный размер JSONL файла задания (формат body-parser: '10mb').
+         */
+        MAX_BODY_SIZE: process.env.BATCH_MAX_BODY_SIZE || '10mb',
+
+        /**
+         * @type {number}
+         * @description Повторные попытки элемента при временных ошибках (таймаут, сбой CLI, переполненная очередь).
+         */
+        MAX_RETRIES: parseInt(process.env.BATCH_MAX_RETRIES ?? '2', 10),
+
+        /**
+         * @type {number}
+         * @description Базовая задержка перед повтором (мс), удваивается с каждой попыткой.
+         */
+        RETRY_DELAY_MS: parseInt(process.env.BATCH_RETRY_DELAY_MS, 10) || 5000
+    },
+
+    cache: {
+        /**
+         * @type {boolean}
+         * @description Кэшировать ответы на одинаковые запросы (messages + model). По умолчанию выключено.
+         */
+        ENABLED: process.env.RESPONSE_CACHE_ENABLED === 'true',
+
+        /**
+         * @type {string}
+         * @description Хранилище кэша: memory (в памяти) или file (JSON файлы на диске).
+         */
+        STORE: process.env.RESPONSE_CACHE_STORE || 'memory',
+
+        /**
+         * @type {string}
+         * @description Каталог для файлового хранилища кэша.
+         */
+        STORE_DIR: process.env.RESPONSE_CACHE_DIR || './data/cache',
+
+        /**
+         * @type {number}
+         * @description Время жизни записи кэша (мс).
+         */
+        TTL_MS: parseInt(process.env.RESPONSE_CACHE_TTL_MS, 10) || 3600000,
+
+        /**
+         * @type {number}
+         * @description Максимальное число записей; сверх него вытесняются давно не использованные (LRU).
+         */
+        MAX_ENTRIES: parseInt(process.env.RESPONSE_CACHE_MAX_ENTRIES, 10) || 1000
+    },
+
+    usage: {
+        /**
+         * @type {boolean}
+         * @description Учет токенов и задержек по ключам и моделям (GET /api/usage).
+         */
+        ENABLED: process.env.USAGE_ENABLED !== 'false',
+
+        /**
+         * @type {string}
+         * @description Хранилище учета: file (JSON файл на каждый день) или memory (теряется при перезапуске).
+         */
+        STORE: process.env.USAGE_STORE || 'file',
+
+        /**
+         * @type {string}
+         * @description Каталог файлового хранилища учета.
+         */
+        STORE_DIR: process.env.USAGE_STORE_DIR || './data/usage',
+
+        /**
+         * @type {number}
+         * @description Как часто сбрасывать накопленный учет в хранилище (мс).
+         */
+        FLUSH_INTERVAL_MS: parseInt(process.env.USAGE_FLUSH_INTERVAL_MS, 10) || 5000,
+
+        /**
+         * @type {number}
+         * @description Максимальный период отчета (дни).
+         */
+        MAX_RANGE_DAYS: parseInt(process.env.USAGE_MAX_RANGE_DAYS, 10) || 366
+    },
+
+    audit: {
+        /**
+         * @type {boolean}
+         * @description Журнал аудита генераций (GET /api/audit, повтор запроса). По умолчанию выключен.
+         */
+        ENABLED: process.env.AUDIT_ENABLED === 'true',
+
+        /**
+         * @type {string}
+         * @description Каталог JSONL файлов журнала.
+         */
+        DIR: process.env.AUDIT_DIR || './data/audit',
+
+        /**
+         * @type {number}
+         * @description Размер файла журнала, после которого записи продолжаются в новом файле (байты).
+         */
+        MAX_FILE_BYTES: parseInt(process.env.AUDIT_MAX_FILE_BYTES, 10) || 50 * 1024 * 1024,
+
+        /**
+         * @type {number}
+         * @description Сколько дней хранить журнал. Более старые файлы удаляются при запуске и раз в час.
+         */
+        RETENTION_DAYS: parseInt(process.env.AUDIT_RETENTION_DAYS, 10) || 14,
+
+        /**
+         * @type {string[]}
+         * @description Поля, которые не записываются в журнал: conversation, prompt, output, stderr.
+         * Без conversation запись нельзя повторить.
+         */
+        REDACT_FIELDS: (process.env.AUDIT_REDACT_FIELDS || '').split(',').map(s => s.trim()).filter(Boolean),
+
+        /**
+         * @type {boolean}
+         * @description Заменять персональные данные (типы MODERATION_PII_TYPES) в записываемых текстах на [REDACTED_<тип>].
+         */
+        REDACT_PII: process.env.AUDIT_REDACT_PII === 'true'
+    },
+
+    templates: {
+        /**
+         * @type {string}
+         * @description Каталог шаблонов промптов (JSON файл на шаблон со всеми версиями).
+         */
+        STORE_DIR: process.env.TEMPLATE_STORE_DIR || './data/templates'
+    },
+
+    moderation: {
+        /**
+         * @type {boolean}
+         * @description Модерация запросов и ответов чата: персональные данные и запрещенные термины. По умолчанию выключена.
+         */
+        ENABLED: process.env.MODERATION_ENABLED === 'true',
+
         /**
          * @type {string}
-         * @description ID модели по умолчанию.
+         * @description Что делать с персональными данными во входящих сообщениях: redact (заменить на [REDACTED_<тип>]),
+         * mask (заменить на [<тип>_N] и вернуть исходные значения в ответе), block (отклонить запрос с 422) или off.
          */
-        DEFAULT_MODEL: process.env.GEMINI_DEFAULT_MODEL || 'gemini-2.5-flash-lite',
+        PII_MODE: process.env.MODERATION_PII_MODE || 'redact',
+
+        /**
+         * @type {string[]}
+         * @description Типы персональных данных, которые распознаются по шаблонам: email, phone, card, token.
+         */
+        PII_TYPES: (process.env.MODERATION_PII_TYPES || 'email,phone,card,token').split(',').map(s => s.trim()).filter(Boolean),
+
+        /**
+         * @type {string|undefined}
+         * @description Словарь персональных данных (имена клиентов, номера договоров и т.п.): один термин на строку, # — комментарий.
+         */
+        PII_DICTIONARY_FILE: process.env.MODERATION_PII_DICTIONARY_FILE || undefined,
+
+        /**
+         * @type {string[]}
+         * @description Запрещенные термины для всех ключей (через запятую). Дополняются списком blocked_terms ключа.
+         */
+        BLOCKED_TERMS: (process.env.MODERATION_BLOCKED_TERMS || '').split(',').map(s => s.trim()).filter(Boolean),
+
+        /**
+         * @type {boolean}
+         * @description Фильтровать ответы модели: персональные данные заменяются на [REDACTED_<тип>], запрещенные термины — на [BLOCKED].
+         */
+        OUTPUT_FILTER: process.env.MODERATION_OUTPUT_FILTER !== 'false'
+    },
+
+    structuredOutput: {
+        /**
+         * @type {number}
+         * @description Сколько раз просить модель исправить ответ, не прошедший проверку response_format (JSON / JSON Schema).
+         */
+        MAX_REPAIRS: parseInt(process.env.STRUCTURED_OUTPUT_MAX_REPAIRS ?? '2', 10)
+    },
+
+    health: {
+        /**
+         * @type {number}
+         * @description Время жизни результата проверки CLI (`gemini --version`) в readiness (мс).
+         */
+        CACHE_TTL_MS: parseInt(process.env.HEALTH_CACHE_TTL_MS, 10) || 10000,
+
+        /**
+         * @type {number}
+         * @description Таймаут проверки CLI (мс).
+         */
+        CLI_TIMEOUT_MS: parseInt(process.env.HEALTH_CLI_TIMEOUT_MS, 10) || 5000,
+
+        /**
+         * @type {boolean}
+         * @description Выполнять в readiness пробный промпт (проверяет авторизацию .gemini и доступность модели).
+         */
+        PROBE_ENABLED: process.env.HEALTH_PROBE_ENABLED === 'true',
+
+        /**
+         * @type {string}
+         * @description Текст пробного промпта.
+         */
+        PROBE_PROMPT: process.env.HEALTH_PROBE_PROMPT || 'Reply with the single word OK.',
+
+        /**
+         * @type {number}
+         * @description Время жизни результата пробного промпта (мс). Устаревший результат обновляется в фоне.
+         */
+        PROBE_TTL_MS: parseInt(process.env.HEALTH_PROBE_TTL_MS, 10) || 300000,
+
+        /**
+         * @type {number}
+         * @description Таймаут пробного промпта (мс).
+         */
+        PROBE_TIMEOUT_MS: parseInt(process.env.HEALTH_PROBE_TIMEOUT_MS, 10) || 30000
+    },
+
+    metrics: {
+        /**
+         * @type {boolean}
+         * @description Публиковать метрики Prometheus на /metrics (без авторизации, как и /api/health).
+         */
+        ENABLED: process.env.METRICS_ENABLED !== 'false'
+    },
+
+    backend: {
+        /**
+         * @type {string}
+         * @description Бэкенд генерации: gemini (Gemini CLI) или mock (детерминированные ответы без модели,
+         * для разработки и интеграционных тестов).
+         */
+        TYPE: process.env.GATEWAY_BACKEND || 'gemini',
+
+        /**
+         * @type {number}
+         * @description Задержка ответа мок-бэкенда по умолчанию (мс).
+         */
+        MOCK_LATENCY_MS: parseInt(process.env.MOCK_BACKEND_LATENCY_MS ?? '0', 10),
+
+        /**
+         * @type {number}
+         * @description Пауза между фрагментами потокового ответа мок-бэкенда по умолчанию (мс).
+         */
+        MOCK_CHUNK_DELAY_MS: parseInt(process.env.MOCK_BACKEND_CHUNK_DELAY_MS ?? '0', 10),
+
+        /**
+         * @type {string|undefined}
+         * @description Сценарий мок-бэкенда (JSON массив правил: ответы, задержки, сбои). Пусто — всегда echo.
+         */
+        MOCK_SCRIPT_FILE: process.env.MOCK_BACKEND_SCRIPT || undefined
+    },
+
+    gemini: {
+        /**
+         * @type {string|undefined}
+         * @description ID модели по умолчанию. Если не задан — default_model из реестра моделей (MODELS_FILE).
+         */
+        DEFAULT_MODEL: process.env.GEMINI_DEFAULT_MODEL,
 
         /**
          * @type {number}
@@ -40,7 +364,7 @@ const config = {
 
         /**
          * @type {string}
-         * @description Команда запуска CLI (или путь к бинарнику).
+         * @description Команда запуска CLI (или путь к бинарнику). Используется бэкендом gemini.
          */
         CLI_COMMAND: process.env.GEMINI_CLI_COMMAND || 'gemini',
 
@@ -48,17 +372,110 @@ const config = {
          * @type {number}
          * @description Максимальное количество одновременных процессов (очередь).
          */
-        MAX_CONCURRENT_REQUESTS: parseInt(process.env.GEMINI_MAX_CONCURRENT_REQUESTS, 10) || 2
+        MAX_CONCURRENT_REQUESTS: parseInt(process.env.GEMINI_MAX_CONCURRENT_REQUESTS, 10) || 2,
+
+        /**
+         * @type {number}
+         * @description Максимальная длина очереди ожидающих запросов. Сверх нее — 503.
+         */
+        MAX_QUEUE_LENGTH: parseInt(process.env.GEMINI_MAX_QUEUE_LENGTH, 10) || 50,
+
+        /**
+         * @type {number}
+         * @description Максимальное время ожидания слота в очереди (мс). Сверх него — 503.
+         */
+        QUEUE_TIMEOUT_MS: parseInt(process.env.GEMINI_QUEUE_TIMEOUT_MS, 10) || 30000,
+
+        /**
+         * @type {number}
+         * @description Максимальный размер промпта (байты UTF-8, весь диалог с префиксами ролей). Сверх него — 413.
+         */
+        MAX_PROMPT_BYTES: parseInt(process.env.GEMINI_MAX_PROMPT_BYTES, 10) || 1048576,
+
+        /**
+         * @type {number}
+         * @description Повторы на той же модели при временных сбоях (лимит запросов, сеть). 0 — без повторов.
+         */
+        RETRY_ATTEMPTS: parseInt(process.env.GEMINI_RETRY_ATTEMPTS ?? '2', 10),
+
+        /**
+         * @type {number}
+         * @description Базовая задержка перед повтором (мс), удваивается с каждой попыткой.
+         */
+        RETRY_DELAY_MS: parseInt(process.env.GEMINI_RETRY_DELAY_MS, 10) || 1000,
+
+        /**
+         * @type {string[]}
+         * @description Цепочка резервных моделей по убыванию предпочтения (через запятую).
+         * Если модель из цепочки недоступна (лимит, сбой, таймаут), запрос уходит следующей за ней. Пусто — без резерва.
+         */
+        FALLBACK_MODELS: (process.env.GEMINI_FALLBACK_MODELS || '').split(',').map(s => s.trim()).filter(Boolean)
     },
 
-    /**
-     * @constant {Array}
-     * @description Список доступных моделей (статичный справочник).
-     */
-    AVAILABLE_MODELS: [
-        { id: 'gemini-2.5-flash-lite', name: 'Gemini 2.5 Flash Lite', description: 'Fastest, low cost' },
-        { id: 'gemini-2.5-flash', name: 'Gemini 2.5 Flash', description: 'Balanced performance' }
-    ]
+    models: {
+        /**
+         * @type {string}
+         * @description Файл реестра моделей (YAML или JSON): псевдонимы, лимиты, системные инструкции, устаревшие модели.
+         */
+        FILE: process.env.MODELS_FILE || './config/models.yaml',
+
+        /**
+         * @type {number}
+         * @description Как часто проверять изменения файла реестра (мс). 0 — не перечитывать.
+         */
+        RELOAD_INTERVAL_MS: parseInt(process.env.MODELS_RELOAD_INTERVAL_MS ?? '5000', 10)
+    },
+
+    apiKeys: {
+        /**
+         * @type {string}
+         * @description Файл хранилища API ключей (JSON или YAML). Ключ из APP_API_KEY работает всегда
+         * и имеет права администратора.
+         */
+        STORE_FILE: process.env.API_KEYS_FILE || './data/api-keys.json'
+    },
+
+    sessions: {
+        /**
+         * @type {string}
+         * @description Хранилище сессий: memory (в памяти) или file (JSON файлы на диске).
+         */
+        STORE: process.env.SESSION_STORE || 'memory',
+
+        /**
+         * @type {string}
+         * @description Каталог для файлового хранилища сессий.
+         */
+        STORE_DIR: process.env.SESSION_STORE_DIR || './data/sessions',
+
+        /**
+         * @type {number}
+         * @description Максимальный размер промпта сессии (символы), после которого применяется политика истории.
+         */
+        MAX_PROMPT_CHARS: parseInt(process.env.SESSION_MAX_PROMPT_CHARS, 10) || 30000,
+
+        /**
+         * @type {string}
+         * @description Политика сокращения истории: truncate (отбросить старые сообщения)
+         * или summary (свернуть старые сообщения в краткое содержание с помощью модели).
+         */
+        HISTORY_POLICY: process.env.SESSION_HISTORY_POLICY || 'truncate'
+    },
+
+    shutdown: {
+        /**
+         * @type {number}
+         * @description Сколько ждать завершения выполняющихся процессов CLI после SIGTERM / SIGINT (мс).
+         * Должно быть меньше таймаута остановки оркестратора (stop_grace_period в Docker Compose).
+         */
+        GRACE_PERIOD_MS: parseInt(process.env.SHUTDOWN_GRACE_PERIOD_MS ?? '25000', 10),
+
+        /**
+         * @type {number}
+         * @description Сколько ждать выхода процессов CLI после SIGTERM, прежде чем добить их SIGKILL (мс).
+         */
+        KILL_TIMEOUT_MS: parseInt(process.env.SHUTDOWN_KILL_TIMEOUT_MS, 10) || 3000
+    }
 };
 
-module.exports = config;
\ No newline at end of file
+module.exports = config;
@@ -0,0 +1,84 @@
+/**
+ * @file controllers/admin.controller.js
+ * @description Административный контроллер: управление API ключами.
+ * Доступен только ключам с правами администратора (см. middlewares/admin.middleware.js).
+ */
+
+const apiKeyService = require('../services/apikey.service');
+const batchService = require('../services/batch.service');
+const { ErrorCodes, sendError } = require('../utils/errors');
+
+/**
+ * @typedef {import('express').Request} Request
+ * @typedef {import('express').Response} Response
+ */
+
+class AdminController {
+
+    /**
+     * Возвращает все ключи (без секретов) с текущим потреблением квот.
+     * GET /api/admin/keys
+     * @param {Request} req
+     * @param {Response} res
+     */
+    listKeys(req, res) {
+        res.json({ keys: apiKeyService.list() });
+    }
+
+    /**
+     * Создает ключ. Секрет возвращается только в этом ответе.
+     * POST /api/admin/keys
+     * @param {Request} req
+     * @param {Response} res
+     */
+    async createKey(req, res) {
+        try {
+            const result = await apiKeyService.create(req.body);
+            req.log.info('API key created', { target_key_id: result.key.id, target_key_name: result.key.name, key_id: req.apiKey.id });
+            res.status(201).json(result);
+        } catch (err) {
+            sendError(res, err);
+        }
+    }
+
+    /**
+     * Выпускает новый секрет для ключа.
+     * POST /api/admin/keys/:id/rotate
+     * @param {Request} req
+     * @param {Response} res
+     */
+    async rotateKey(req, res) {
+        try {
+            const result = await apiKeyService.rotate(req.params.id);
+            if (!result) {
+                return res.status(404).json({ status: 'error', code: ErrorCodes.KEY_NOT_FOUND, message: `Active API key '${req.params.id}' not found` });
+            }
+            req.log.info('API key rotated', { target_key_id: result.key.id, target_key_name: result.key.name, key_id: req.apiKey.id });
+            res.json(result);
+        } catch (err) {
+            sendError(res, err);
+        }
+    }
+
+    /**
+     * Отзывает ключ и останавливает его незавершенные пакетные задания.
+     * DELETE /api/admin/keys/:id
+     * @param {Request} req
+     * @param {Response} res
+     */
+    async revokeKey(req, res) {
+        try {
+            const key = await apiKeyService.revoke(req.params.id);
+            if (!key) {
+                return res.status(404).json({ status: 'error', code: ErrorCodes.KEY_NOT_FOUND, message: `API key '${req.params.id}' not found` });
+            }
+            await batchService.revokeOwner(key.id);
+            req.log.info('API key revoked', { target_key_id: key.id, target_key_name: key.name, key_id: req.apiKey.id });
+            res.json(key);
+        } catch (err) {
+            sendError(res, err);
+        }
+    }
+}
+
+module.exports = new AdminController();
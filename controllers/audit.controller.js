@@ -0,0 +1,104 @@
+/**
+ * @file controllers/audit.controller.js
+ * @description Контроллер журнала аудита: поиск записей генераций и повтор записанного запроса со сравнением ответов.
+ * Доступен только ключам с правами администратора (см. middlewares/admin.middleware.js).
+ */
+
+const auditService = require('../services/audit.service');
+const geminiService = require('../services/gemini.service');
+const modelRegistry = require('../services/model.registry.service');
+const { ErrorCodes, GatewayError, sendError } = require('../utils/errors');
+const { runOptions, useModel } = require('../utils/http');
+
+/**
+ * @typedef {import('express').Request} Request
+ * @typedef {import('express').Response} Response
+ */
+
+/**
+ * Загружает запись из параметра пути.
+ * @param {Request} req
+ * @returns {Promise<object>}
+ * @throws {GatewayError} AUDIT_DISABLED, AUDIT_NOT_FOUND.
+ */
+async function findEntry(req) {
+    const entry = await auditService.get(req.params.id);
+    if (!entry) {
+        throw new GatewayError(ErrorCodes.AUDIT_NOT_FOUND, `Audit entry '${req.params.id}' not found`, 404);
+    }
+    return entry;
+}
+
+class AuditController {
+
+    /**
+     * Ищет записи журнала, новые первыми.
+     * GET /api/audit
+     * @param {Request} req
+     * @param {Response} res
+     */
+    async searchAudit(req, res) {
+        const { request_id: requestId, key_id: keyId, model, outcome, q, from, to, limit } = req.query;
+
+        try {
+            const entries = await auditService.search({ requestId, keyId, model, outcome, q, from, to, limit });
+            res.json({ entries });
+        } catch (err) {
+            sendError(res, err);
+        }
+    }
+
+    /**
+     * Возвращает запись журнала.
+     * GET /api/audit/:id
+     * @param {Request} req
+     * @param {Response} res
+     */
+    async getAuditEntry(req, res) {
+        try {
+            res.json(await findEntry(req));
+        } catch (err) {
+            sendError(res, err);
+        }
+    }
+
+    /**
+     * Повторяет записанную генерацию с тем же диалогом и параметрами генерации (по умолчанию — на модели,
+     * которая ответила, или на модели из запроса) и сравнивает ответ с записанным.
+     * Повтор идет без кэша ответов и без резервных моделей и сам записывается в журнал.
+     * POST /api/audit/:id/replay
+     * @param {Request} req
+     * @param {Response} res
+     */
+    async replayAudit(req, res) {
+        let entry;
+        let model;
+        try {
+            entry = await findEntry(req);
+            auditService.assertReplayable(entry);
+            model = modelRegistry.resolve((req.body && req.body.model) || entry.model, req.apiKey).id;
+        } catch (err) {
+            return sendError(res, err);
+        }
+        useModel(res, model);
+
+        try {
+            const result = await geminiService.generate(entry.conversation, model, {
+                ...runOptions(req, res, false),
+                generation: entry.generation,
+                fallback: false
+            });
+            res.json({
+                audit_id: entry.id,
+                original: { model: entry.model, outcome: entry.outcome, output: entry.output },
+                replay: { model: result.model, output: result.text, usage: result.usage },
+                diff: auditService.compare(entry, result.text)
+            });
+        } catch (err) {
+            sendError(res, err);
+        }
+    }
+}
+
+// Экспортируем единственный экземпляр (Singleton pattern)
+module.exports = new AuditController();
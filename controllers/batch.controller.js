@@ -0,0 +1,122 @@
+/**
+ * @file controllers/batch.controller.js
+ * @description Контроллер пакетных заданий: прием JSONL файла, прогресс, отмена и выгрузка результатов.
+ * Обработка идет в фоне (BatchService), клиент периодически опрашивает состояние задания.
+ */
+
+const batchService = require('../services/batch.service');
+const { ErrorCodes, GatewayError, sendError } = require('../utils/errors');
+
+/**
+ * @typedef {import('express').Request} Request
+ * @typedef {import('express').Response} Response
+ */
+
+/**
+ * Задания изолированы по ключам: чужое задание выглядит как несуществующее.
+ * Администратор видит все задания.
+ * @param {Request} req
+ * @param {object|null} job
+ * @returns {boolean}
+ */
+function isAccessible(req, job) {
+    return Boolean(job) && (req.apiKey.admin || job.owner === req.apiKey.id);
+}
+
+/**
+ * Загружает задание из параметра пути.
+ * @param {Request} req
+ * @returns {Promise<object>}
+ * @throws {GatewayError} BATCH_NOT_FOUND.
+ */
+async function findJob(req) {
+    const job = await batchService.get(req.params.id);
+    if (!isAccessible(req, job)) {
+        throw new GatewayError(ErrorCodes.BATCH_NOT_FOUND, `Batch '${req.params.id}' not found`, 404);
+    }
+    return job;
+}
+
+class BatchController {
+
+    /**
+     * Создает пакетное задание из JSONL файла (одна строка — один ChatRequest с необязательным custom_id).
+     * POST /api/batches
+     * @param {Request} req
+     * @param {Response} res
+     */
+    async createBatch(req, res) {
+        try {
+            const requests = batchService.parse(req.body, req.apiKey);
+            const job = await batchService.create({ requests, apiKey: req.apiKey });
+            res.status(202).json(batchService.summarize(job));
+        } catch (err) {
+            sendError(res, err);
+        }
+    }
+
+    /**
+     * Возвращает задания ключа (администратор видит все).
+     * GET /api/batches
+     * @param {Request} req
+     * @param {Response} res
+     */
+    async listBatches(req, res) {
+        try {
+            const jobs = await batchService.list(req.apiKey.admin ? null : req.apiKey.id);
+            res.json({ batches: jobs.map(job => batchService.summarize(job)) });
+        } catch (err) {
+            sendError(res, err);
+        }
+    }
+
+    /**
+     * Возвращает состояние и прогресс задания.
+     * GET /api/batches/:id
+     * @param {Request} req
+     * @param {Response} res
+     */
+    async getBatch(req, res) {
+        try {
+            res.json(batchService.summarize(await findJob(req)));
+        } catch (err) {
+            sendError(res, err);
+        }
+    }
+
+    /**
+     * Отменяет задание. Уже полученные результаты остаются доступны.
+     * POST /api/batches/:id/cancel
+     * @param {Request} req
+     * @param {Response} res
+     */
+    async cancelBatch(req, res) {
+        try {
+            const job = await findJob(req);
+            res.json(batchService.summarize(await batchService.cancel(job.id)));
+        } catch (err) {
+            sendError(res, err);
+        }
+    }
+
+    /**
+     * Отдает результаты завершенных элементов в формате JSONL (можно запрашивать до окончания задания).
+     * GET /api/batches/:id/results
+     * @param {Request} req
+     * @param {Response} res
+     */
+    async getBatchResults(req, res) {
+        try {
+            const job = await findJob(req);
+            const lines = batchService.results(job).map(result => JSON.stringify(result));
+            res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+            res.setHeader('Content-Disposition', `attachment; filename="${job.id}-results.jsonl"`);
+            res.send(lines.length > 0 ? `${lines.join('\n')}\n` : '');
+        } catch (err) {
+            sendError(res, err);
+        }
+    }
+}
+
+// Экспортируем единственный экземпляр (Singleton pattern)
+module.exports = new BatchController();
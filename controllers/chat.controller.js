@@ -5,62 +5,58 @@
  */
 
 const geminiService = require('../services/gemini.service');
-const config = require('../config/app.config');
+const responseCache = require('../services/response.cache.service');
+const attachmentService = require('../services/attachment.service');
+const structuredOutput = require('../services/structured-output.service');
+const modelRegistry = require('../services/model.registry.service');
+const templateService = require('../services/template.service');
+const toolCalling = require('../services/tool-calling.service');
+const moderation = require('../services/moderation.service');
+const SseWriter = require('../utils/sse.writer');
+const { sendError } = require('../utils/errors');
+const { runOptions, generationParams, useModel } = require('../utils/http');
 
 /**
  * @typedef {import('express').Request} Request
  * @typedef {import('express').Response} Response
  */
 
+/**
+ * Подставляет переменные в шаблон промпта из запроса (template, template_version, variables).
+ * Сообщения шаблона идут перед сообщениями запроса, модель шаблона используется, если в запросе модель не указана.
+ * @param {object} body - Тело запроса.
+ * @param {Array|undefined} conversation - Сообщения запроса.
+ * @returns {Promise<{conversation: Array, model: string|null}>}
+ * @throws {GatewayError} TEMPLATE_NOT_FOUND, TEMPLATE_RENDER_FAILED.
+ */
+async function renderTemplate(body, conversation) {
+    const rendered = await templateService.render(body.template, body.template_version, body.variables);
+    return { conversation: [...rendered.messages, ...(conversation || [])], model: rendered.model };
+}
+
 class ChatController {
 
     /**
-     * Возвращает список доступных конфигураций моделей.
+     * Возвращает реестр моделей: псевдонимы, лимиты, статус (active / deprecated / disabled) и дату вывода из эксплуатации.
      * GET /api/models
      * @param {Request} req - Объект запроса Express.
      * @param {Response} res - Объект ответа Express.
      */
     getModels(req, res) {
         res.json({
-            default_model: config.gemini.DEFAULT_MODEL,
-            available_models: config.AVAILABLE_MODELS
+            default_model: modelRegistry.defaultModel(),
+            available_models: modelRegistry.list().map(m => modelRegistry.toPublic(m))
         });
     }
 
     /**
-     * Проверяет работоспособность сервиса и наличие CLI утилиты.
-     * GET /api/health
+     * Возвращает состояние очереди запросов к CLI.
+     * GET /api/queue
      * @param {Request} req
      * @param {Response} res
      */
-    healthCheck(req, res) {
-        const child = geminiService.checkHealth();
-
-        // Если процесс не удалось запустить (например, gemini не установлен)
-        child.on('error', () => {
-            return res.status(503).json({
-                status: 'error',
-                code: 'CLI_NOT_FOUND',
-                message: 'Gemini CLI binary is not accessible'
-            });
-        });
-
-        // Слушаем код выхода процесса
-        child.on('close', (code) => {
-            if (code === 0) {
-                res.json({
-                    status: 'ok',
-                    uptime: process.uptime(), // Время работы сервера в секундах
-                    timestamp: new Date().toISOString()
-                });
-            } else {
-                res.status(503).json({
-                    status: 'error',
-                    code: 'CLI_ERROR',
-                    message: `Health check failed with exit code ${code}`
-                });
-            }
-        });
+    getQueue(req, res) {
+        res.json(geminiService.getQueueStats());
     }
 
     /**
@@ -73,7 +69,7 @@ class ChatController {
     async handleStandardChat(req, res) {
         // Валидация входных данных теперь выполняется автоматически через OpenAPI Validator,
         // но так как мы поддерживаем и messages, и legacy prompt, нужно нормализовать формат.
-        const { messages, system, prompt, model } = req.body;
+        const { messages, system, prompt, model, template } = req.body;
 
         let conversation = messages;
         if (!conversation || conversation.length === 0) {
@@ -81,84 +77,105 @@ class ChatController {
                 conversation = [];
                 if (system) conversation.push({ role: 'system', content: system });
                 conversation.push({ role: 'user', content: prompt });
-            } else {
-                 return res.status(400).json({ error: 'Field "messages" or "prompt" is required' });
+            } else if (!template) {
+                 return res.status(400).json({ error: 'Field "messages", "prompt" or "template" is required' });
             }
         }
 
-        // Модель по default проставляется в config/openapi, но мы можем подстраховаться
-        const selectedModel = model || config.gemini.DEFAULT_MODEL;
-
-        // Валидация модели: проверяем, есть ли такой ID в списке разрешенных
-        const isModelValid = config.AVAILABLE_MODELS.some(m => m.id === selectedModel);
-        if (!isModelValid) {
-            return res.status(400).json({ 
-                error: `Invalid model ID: '${selectedModel}'. Available models: ${config.AVAILABLE_MODELS.map(m => m.id).join(', ')}` 
-            });
+        // Шаблон промпта: сообщения шаблона с подставленными переменными идут перед сообщениями запроса
+        let templateModel = null;
+        if (template) {
+            try {
+                ({ conversation, model: templateModel } = await renderTemplate(req.body, conversation));
+            } catch (err) {
+                return sendError(res, err);
+            }
         }
 
-        // 2. Запуск процесса через сервис (с ожиданием очереди)
-        const child = await geminiService.createProcessBuffered(conversation, selectedModel, false);
+        // Вызовы функций и их результаты (role: tool) из истории переводятся в текст.
+        // Части content (изображения, документы) и файлы из multipart/form-data приводятся к единому формату
+        try {
+            conversation = attachmentService.normalizeConversation(toolCalling.toConversation(conversation, req.body.tools), req.files);
+        } catch (err) {
+            return sendError(res, err);
+        }
 
-        // Обработка ошибки запуска процесса (например, command not found)
-        child.on('error', (err) => {
-            console.error('[Spawn Error]', err);
-            if (!res.headersSent) {
-                res.status(500).json({ error: 'Failed to spawn CLI process', details: err.message });
-            }
-        });
+        // Модерация: запрещенные термины и персональные данные проверяются до передачи диалога CLI
+        let guard;
+        try {
+            ({ conversation, guard } = moderation.screen(conversation, req.apiKey, req.log));
+        } catch (err) {
+            return sendError(res, err);
+        }
 
-        let output = '';
-        let errorOut = '';
-        let isTimedOut = false;
-
-        // 3. Установка таймера безопасности (Watchdog timer)
-        // Если CLI зависнет, мы принудительно убьем процесс через TIMEOUT_MS
-        const timer = setTimeout(() => {
-            isTimedOut = true;
-            child.kill(); // SIGTERM
-            if (!res.headersSent) {
-                res.status(504).json({ error: 'Gateway Timeout: Model took too long to respond' });
-            }
-        }, config.gemini.TIMEOUT_MS);
-
-        // 4. Сбор данных из потоков вывода (stdout/stderr)
-        child.stdout.on('data', (chunk) => { output += chunk.toString(); });
-        child.stderr.on('data', (chunk) => { errorOut += chunk.toString(); });
-
-        // 5. Обработка завершения процесса
-        child.on('close', (code) => {
-            clearTimeout(timer); // Очищаем таймер, так как процесс завершился
-            if (isTimedOut) return; // Если уже ответили ошибкой таймаута, ничего не делаем
-
-            if (code !== 0) {
-                // Логируем ошибку, но клиенту отдаем JSON с описанием
-                console.error(`[Chat Error] CLI stderr: ${errorOut}`);
-                return res.status(500).json({
-                    status: 'error',
-                    message: 'CLI execution failed',
-                    details: errorOut
-                });
+        // Модель по реестру: ID или псевдоним (пусто — модель по умолчанию), статус и права ключа
+        let selectedModel;
+        try {
+            selectedModel = modelRegistry.resolve(model || templateModel, req.apiKey).id;
+        } catch (err) {
+            return sendError(res, err);
+        }
+        useModel(res, selectedModel);
+
+        // Структурированный ответ (response_format): инструкция в диалоге, проверка по схеме и исправление ответа.
+        // Функции клиента (tools): описание в инструкции, вызовы разбираются из ответа модели
+        let format;
+        let tools;
+        try {
+            format = structuredOutput.compile(req.body.response_format);
+            tools = toolCalling.compile(req.body.tools, req.body.tool_choice);
+        } catch (err) {
+            return sendError(res, err);
+        }
+        if (format && tools) {
+            return res.status(400).json({ error: 'Fields "tools" and "response_format" cannot be combined' });
+        }
+        if (format) conversation = structuredOutput.withInstruction(conversation, format);
+        if (tools) conversation = toolCalling.withInstruction(conversation, tools);
+
+        const generation = generationParams(req.body);
+        const options = { ...runOptions(req, res, false), generation };
+
+        // 2. Запуск генерации через сервис (с ожиданием очереди и watchdog таймером).
+        // Одинаковые запросы отдаются из кэша (если он включен) и объединяются на одном процессе CLI.
+        try {
+            const cache = await responseCache.lookup(conversation, selectedModel, req.headers['cache-control'], generation);
+            let result = await responseCache.generate(cache, conversation, selectedModel, options);
+            if (format) {
+                // Исправление идет на модели, которая дала первый ответ, и мимо кэша
+                const answeredBy = result.model || selectedModel;
+                result = await structuredOutput.resolve(format, conversation, result,
+                    (repair) => geminiService.generate(repair, answeredBy, { ...options, fallback: false }));
             }
+            if (tools) result = { ...result, ...toolCalling.parse(tools, result.text) };
+            if (guard) result = moderation.filterResult(guard, result);
+            if (cache) res.setHeader('X-Cache', cache.status);
 
-            // Успешный ответ
+            // Успешный ответ; model — та, что фактически ответила (могла сработать резервная)
             res.json({
                 status: 'success',
-                model: selectedModel,
-                response: output.trim()
+                model: result.model || selectedModel,
+                response: result.text,
+                ...(format && { parsed: result.parsed }),
+                ...(tools && { tool_calls: result.toolCalls }),
+                usage: result.usage || null
             });
-        });
+        } catch (err) {
+            sendError(res, err);
+        }
     }
 
     /**
      * Обрабатывает потоковый запрос (Server-Sent Events).
      * Позволяет клиенту получать ответ по частям в реальном времени.
+     * Вывод CLI нормализуется в события delta, tool_call, usage, error и финальный done
+     * (при tools — еще tool_calls с вызовами функций клиента).
      * POST /api/chat/stream
      * @param {Request} req
      * @param {Response} res
      */
     async handleStreamChat(req, res) {
-        const { messages, prompt, system, model } = req.body;
+        const { messages, prompt, system, model, template } = req.body;
 
         let conversation = messages;
         if (!conversation || conversation.length === 0) {
@@ -166,79 +183,97 @@ class ChatController {
                  conversation = [];
                  if (system) conversation.push({ role: 'system', content: system });
                  conversation.push({ role: 'user', content: prompt });
-            } else {
-                return res.status(400).json({ error: 'Field "messages" or "prompt" is required' });
+            } else if (!template) {
+                return res.status(400).json({ error: 'Field "messages", "prompt" or "template" is required' });
             }
         }
 
-        const selectedModel = model || config.gemini.DEFAULT_MODEL;
-
-        // Валидация модели
-        const isModelValid = config.AVAILABLE_MODELS.some(m => m.id === selectedModel);
-        if (!isModelValid) {
-            return res.status(400).json({ 
-                error: `Invalid model ID: '${selectedModel}'.` 
-            });
+        // Шаблон промпта: сообщения шаблона с подставленными переменными идут перед сообщениями запроса
+        let templateModel = null;
+        if (template) {
+            try {
+                ({ conversation, model: templateModel } = await renderTemplate(req.body, conversation));
+            } catch (err) {
+                return sendError(res, err);
+            }
         }
 
-        // 1. Установка заголовков для SSE (Server-Sent Events)
-        // Это сообщает браузеру/клиенту не закрывать соединение
-        res.setHeader('Content-Type', 'text/event-stream');
-        res.setHeader('Cache-Control', 'no-cache');
-        res.setHeader('Connection', 'keep-alive');
-        res.flushHeaders(); // Принудительная отправка заголовков
-
-        // 2. Запуск процесса в режиме streaming JSON (с ожиданием очереди)
-        const child = await geminiService.createProcessBuffered(conversation, selectedModel, true);
-
-        // Обработка ошибки запуска процесса
-        child.on('error', (err) => {
-            console.error('[Stream Spawn Error]', err);
-            // Если заголовки еще не ушли (хотя для стрима мы их уже отправили выше),
-            // можно попробовать отправить event error.
-            // Но так как мы уже сделали flashHeaders, мы пишем в поток ошибку.
-            res.write(`event: error\ndata: {"message": "Failed to spawn process: ${err.message}"}\n\n`);
-            res.end();
-        });
+        // Вызовы функций и их результаты (role: tool) из истории переводятся в текст.
+        // Части content (изображения, документы) и файлы из multipart/form-data приводятся к единому формату
+        try {
+            conversation = attachmentService.normalizeConversation(toolCalling.toConversation(conversation, req.body.tools), req.files);
+        } catch (err) {
+            return sendError(res, err);
+        }
 
-        let buffer = '';
-
-        // 3. Обработка потока данных
-        child.stdout.on('data', (chunk) => {
-            buffer += chunk.toString();
-            
-            let boundary = buffer.indexOf('\n');
-            while (boundary !== -1) {
-                const line = buffer.substring(0, boundary).trim();
-                buffer = buffer.substring(boundary + 1);
-                
-                if (line) {
-                    // Пишем в HTTP ответ в формате SSE: "data: ... \n\n"
-                    res.write(`data: ${line}\n\n`);
-                }
-                
-                boundary = buffer.indexOf('\n');
-            }
-        });
+        // Модерация: запрещенные термины и персональные данные проверяются до передачи диалога CLI
+        let guard;
+        try {
+            ({ conversation, guard } = moderation.screen(conversation, req.apiKey, req.log));
+        } catch (err) {
+            return sendError(res, err);
+        }
 
-        // Опционально: логирование ошибок стрима в консоль сервера
-        child.stderr.on('data', (chunk) => console.error(`[Stream Warning]: ${chunk}`));
+        // Модель по реестру: ID или псевдоним (пусто — модель по умолчанию), статус и права ключа
+        let selectedModel;
+        try {
+            selectedModel = modelRegistry.resolve(model || templateModel, req.apiKey).id;
+        } catch (err) {
+            return sendError(res, err);
+        }
+        useModel(res, selectedModel);
 
-        // 4. Завершение стрима
-        child.on('close', () => {
-            // Отправляем специальное событие окончания
-            res.write('event: done\ndata: [DONE]\n\n');
-            res.end(); // Закрываем HTTP соединение
-        });
+        // Ответ по схеме проверяется только целиком, поэтому в потоке не поддерживается
+        if (req.body.response_format && req.body.response_format.type !== 'text') {
+            return res.status(400).json({ error: 'Field "response_format" is not supported for streaming, use /api/chat' });
+        }
 
-        // 5. Обработка разрыва соединения клиентом
-        // Если пользователь закрыл вкладку браузера, убиваем процесс CLI для экономии ресурсов
-        req.on('close', () => {
-            if (!child.killed) {
-                console.log('[Stream] Client disconnected -> killing CLI process');
-                child.kill();
+        // Функции клиента (tools): описание в инструкции, блок вызовов вырезается из потока и приходит событием tool_calls
+        let tools;
+        try {
+            tools = toolCalling.compile(req.body.tools, req.body.tool_choice);
+        } catch (err) {
+            return sendError(res, err);
+        }
+        if (tools) conversation = toolCalling.withInstruction(conversation, tools);
+        const generation = generationParams(req.body);
+
+        // Ответ из кэша воспроизводится потоком без запуска CLI (X-Cache нужно выставить до заголовков SSE)
+        const cache = await responseCache.lookup(conversation, selectedModel, req.headers['cache-control'], generation);
+        if (cache) res.setHeader('X-Cache', cache.status);
+
+        // Переполненную очередь (503) и слишком длинный промпт (413) сообщаем обычным HTTP ответом, пока SSE заголовки не отправлены
+        try {
+            if (!cache || cache.status !== 'HIT') {
+                geminiService.assertPromptSize(conversation);
+                geminiService.assertCapacity(selectedModel);
             }
-        });
+        } catch (err) {
+            return sendError(res, err);
+        }
+
+        // 1. Открываем SSE поток (заголовки + heartbeat-комментарии)
+        const sse = new SseWriter(res).open();
+
+        // 2. Запуск процесса в режиме streaming JSON (с ожиданием очереди).
+        // Пока запрос ждет, клиент получает события queued с позицией в очереди.
+        let run;
+        try {
+            run = await responseCache.stream(cache, conversation, selectedModel, {
+                ...runOptions(req, res, true),
+                generation,
+                onQueuePosition: (position, queued) => sse.send('queued', { position, queued })
+            });
+        } catch (err) {
+            return sse.fail(err);
+        }
+        if (tools) run = toolCalling.wrapStream(run, tools);
+        // Ответ фильтруется по мере поступления (с учетом границ фрагментов)
+        if (guard) run = moderation.wrapStream(run, guard);
+
+        // 3. Трансляция типизированных событий (delta, tool_call, usage, error) и финального done.
+        // При разрыве соединения клиентом процесс CLI будет остановлен.
+        await sse.pipeRun(run);
     }
 }
 
@@ -0,0 +1,55 @@
+/**
+ * @file controllers/health.controller.js
+ * @description Контроллер проверок состояния для оркестраторов (Docker, Kubernetes).
+ * Liveness отвечает, жив ли процесс; readiness — готов ли шлюз обслуживать запросы.
+ * Оба маршрута публичные и подключаются в app.js до аутентификации.
+ */
+
+const healthService = require('../services/health.service');
+
+/**
+ * @typedef {import('express').Request} Request
+ * @typedef {import('express').Response} Response
+ */
+
+class HealthController {
+
+    /**
+     * Liveness: процесс запущен и обрабатывает HTTP. Внешние зависимости не проверяются.
+     * GET /api/health/live (и устаревший GET /api/health)
+     * @param {Request} req
+     * @param {Response} res
+     */
+    live(req, res) {
+        res.json({
+            status: 'ok',
+            uptime: process.uptime(), // Время работы сервера в секундах
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Readiness: CLI доступен, авторизация работает, очередь не переполнена.
+     * 200 — ok или degraded, 503 — unavailable (в том числе если проверку не удалось выполнить).
+     * GET /api/health/ready
+     * @param {Request} req
+     * @param {Response} res
+     */
+    async ready(req, res) {
+        let report;
+        try {
+            report = await healthService.getReadiness();
+        } catch (err) {
+            // Сбой самой проверки (например, хранилища ключей) означает, что шлюз не готов
+            req.log.error('Readiness check failed', { err });
+            report = {
+                status: 'unavailable',
+                checks: { readiness: { status: 'error', message: err.message } },
+                timestamp: new Date().toISOString()
+            };
+        }
+        res.status(report.status === 'unavailable' ? 503 : 200).json(report);
+    }
+}
+
+module.exports = new HealthController();
@@ -0,0 +1,27 @@
+/**
+ * @file controllers/metrics.controller.js
+ * @description Контроллер метрик Prometheus.
+ */
+
+const metrics = require('../utils/metrics');
+
+/**
+ * @typedef {import('express').Request} Request
+ * @typedef {import('express').Response} Response
+ */
+
+class MetricsController {
+
+    /**
+     * Отдает метрики в текстовом формате Prometheus.
+     * GET /metrics
+     * @param {Request} req
+     * @param {Response} res
+     */
+    async getMetrics(req, res) {
+        res.set('Content-Type', metrics.register.contentType);
+        res.send(await metrics.register.metrics());
+    }
+}
+
+module.exports = new MetricsController();
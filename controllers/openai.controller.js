@@ -0,0 +1,307 @@
+/**
+ * @file controllers/openai.controller.js
+ * @description Контроллер OpenAI-совместимого API (/v1/chat/completions, /v1/models).
+ * Позволяет использовать шлюз из инструментов, говорящих на протоколе OpenAI Chat Completions
+ * (openai SDK, LangChain, плагины редакторов), поверх того же GeminiService.
+ */
+
+const crypto = require('crypto');
+const geminiService = require('../services/gemini.service');
+const responseCache = require('../services/response.cache.service');
+const apiKeyService = require('../services/apikey.service');
+const modelRegistry = require('../services/model.registry.service');
+const attachmentService = require('../services/attachment.service');
+const structuredOutput = require('../services/structured-output.service');
+const toolCalling = require('../services/tool-calling.service');
+const moderation = require('../services/moderation.service');
+const SseWriter = require('../utils/sse.writer');
+const { ErrorCodes, GatewayError, toErrorPayload } = require('../utils/errors');
+const { runOptions, generationParams, useModel } = require('../utils/http');
+
+/**
+ * @typedef {import('express').Request} Request
+ * @typedef {import('express').Response} Response
+ */
+
+/**
+ * Формирует тело ошибки в формате OpenAI.
+ * @param {string} message - Описание ошибки.
+ * @param {string} type - Тип ошибки (invalid_request_error, server_error, ...).
+ * @param {string|null} [code] - Машиночитаемый код.
+ * @param {string|null} [param] - Поле запроса, вызвавшее ошибку.
+ */
+function openAiError(message, type, code = null, param = null) {
+    return { error: { message, type, param, code } };
+}
+
+/**
+ * Тип ошибки OpenAI по HTTP статусу: клиенты OpenAI решают по нему, исправлять ли запрос или повторять его.
+ * @param {number} status
+ * @returns {string}
+ */
+function openAiErrorType(status) {
+    if (status === 401) return 'authentication_error';
+    if (status === 403) return 'permission_error';
+    if (status === 429) return 'rate_limit_error';
+    if (status >= 500) return 'server_error';
+    return 'invalid_request_error';
+}
+
+/**
+ * Отправляет ошибку шлюза в формате OpenAI, сохраняя HTTP статус и Retry-After.
+ * @param {Response} res
+ * @param {Error} err
+ */
+function sendOpenAiError(res, err) {
+    const { code, message, retry_after } = toErrorPayload(err, res.req.log);
+    if (retry_after) res.setHeader('Retry-After', String(retry_after));
+    const status = err.status || 500;
+    res.status(status).json(openAiError(message, openAiErrorType(status), code.toLowerCase()));
+}
+
+/**
+ * Отправляет ошибку проверки модели (см. modelRegistry.resolve) в формате OpenAI:
+ * неизвестная модель — 404 model_not_found, как у OpenAI.
+ * @param {Response} res
+ * @param {Error} err
+ */
+function sendModelError(res, err) {
+    if (!(err instanceof GatewayError)) return sendOpenAiError(res, err);
+    if (err.code === ErrorCodes.MODEL_UNKNOWN) {
+        return res.status(404).json(openAiError(err.message, 'invalid_request_error', 'model_not_found', 'model'));
+    }
+    const type = err.code === ErrorCodes.MODEL_NOT_ALLOWED ? 'permission_error' : 'invalid_request_error';
+    res.status(err.status).json(openAiError(err.message, type, err.code.toLowerCase(), 'model'));
+}
+
+/**
+ * Преобразует сообщения OpenAI в формат диалога, понятный GeminiService.
+ * Роль developer (новые модели OpenAI) трактуется как system, вызовы функций (tool_calls) и их результаты (role: tool)
+ * переводятся в текст (см. ToolCallingService.toConversation).
+ * content — строка или массив частей text / image_url / file (вложения передаются base64 data URL).
+ * @param {Array} messages
+ * @param {Array|undefined} tools - Функции из запроса (tools).
+ * @returns {Array<{role: string, content: import('../services/attachment.service').MessageContent}>}
+ * @throws {GatewayError} ATTACHMENT_INVALID, ATTACHMENT_TOO_LARGE, ATTACHMENT_TYPE_NOT_ALLOWED.
+ */
+function toConversation(messages, tools) {
+    return attachmentService.normalizeConversation(toolCalling.toConversation(messages, tools).map(msg => ({
+        role: msg.role === 'developer' ? 'system' : msg.role,
+        content: msg.content
+    })));
+}
+
+/**
+ * Пишет один chunk в SSE поток в формате OpenAI.
+ * @param {SseWriter} sse
+ * @param {object} base - Общие поля чанка (id, created, model).
+ * @param {object} delta - Дельта сообщения.
+ * @param {string|null} finishReason
+ */
+function writeChunk(sse, base, delta, finishReason = null) {
+    const chunk = {
+        ...base,
+        object: 'chat.completion.chunk',
+        choices: [{ index: 0, delta, finish_reason: finishReason }]
+    };
+    sse.sendData(chunk);
+}
+
+class OpenAiController {
+
+    /**
+     * Возвращает список моделей в формате OpenAI.
+     * GET /v1/models
+     * @param {Request} req
+     * @param {Response} res
+     */
+    listModels(req, res) {
+        res.json({
+            object: 'list',
+            data: modelRegistry.list()
+                .filter(m => !modelRegistry.isDisabled(m) && apiKeyService.isModelAllowed(req.apiKey, m.id))
+                .map(m => ({
+                    id: m.id,
+                    object: 'model',
+                    created: 0,
+                    owned_by: 'google'
+                }))
+        });
+    }
+
+    /**
+     * Создает ответ модели в формате OpenAI Chat Completions.
+     * При stream: true отдает поток chunk'ов chat.completion.chunk и завершающий data: [DONE].
+     * POST /v1/chat/completions
+     * @param {Request} req
+     * @param {Response} res
+     */
+    async createChatCompletion(req, res) {
+        const { messages, stream } = req.body;
+
+        // Модель по реестру: ID или псевдоним (пусто — модель по умолчанию), статус и права ключа
+        let selectedModel;
+        try {
+            selectedModel = modelRegistry.resolve(req.body.model, req.apiKey).id;
+        } catch (err) {
+            return sendModelError(res, err);
+        }
+        useModel(res, selectedModel);
+
+        // Модерация (запрещенные термины, персональные данные) — до передачи диалога CLI
+        let conversation;
+        let guard;
+        try {
+            ({ conversation, guard } = moderation.screen(toConversation(messages, req.body.tools), req.apiKey, req.log));
+        } catch (err) {
+            if (!(err instanceof GatewayError)) return sendOpenAiError(res, err);
+            return res.status(err.status).json(openAiError(err.message, 'invalid_request_error', err.code.toLowerCase(), 'messages'));
+        }
+
+        // response_format: json_object / json_schema проверяются по полному ответу, поэтому только без stream
+        let format;
+        try {
+            format = structuredOutput.compile(req.body.response_format);
+        } catch (err) {
+            return res.status(err.status).json(openAiError(err.message, 'invalid_request_error', err.code.toLowerCase(), 'response_format'));
+        }
+        if (format && stream) {
+            return res.status(400).json(openAiError(
+                'response_format is not supported together with stream',
+                'invalid_request_error',
+                'unsupported_parameter',
+                'response_format'
+            ));
+        }
+        if (format) conversation = structuredOutput.withInstruction(conversation, format);
+
+        // tools / tool_choice: функции описываются в инструкции, вызовы разбираются из ответа модели
+        let tools;
+        try {
+            tools = toolCalling.compile(req.body.tools, req.body.tool_choice);
+        } catch (err) {
+            return res.status(err.status).json(openAiError(err.message, 'invalid_request_error', err.code.toLowerCase(), 'tools'));
+        }
+        if (format && tools) {
+            return res.status(400).json(openAiError(
+                'response_format is not supported together with tools',
+                'invalid_request_error',
+                'unsupported_parameter',
+                'response_format'
+            ));
+        }
+        if (tools) conversation = toolCalling.withInstruction(conversation, tools);
+
+        // max_completion_tokens — новое имя max_tokens в API OpenAI
+        const generation = generationParams({ ...req.body, max_tokens: req.body.max_tokens ?? req.body.max_completion_tokens });
+
+        const base = {
+            id: `chatcmpl-${crypto.randomUUID().replace(/-/g, '')}`,
+            created: Math.floor(Date.now() / 1000),
+            model: selectedModel
+        };
+
+        const cache = await responseCache.lookup(conversation, selectedModel, req.headers['cache-control'], generation);
+
+        if (!stream) {
+            try {
+                const options = { ...runOptions(req, res, false), generation };
+                let result = await responseCache.generate(cache, conversation, selectedModel, options);
+                if (format) {
+                    const answeredBy = result.model || selectedModel;
+                    result = await structuredOutput.resolve(format, conversation, result,
+                        (repair) => geminiService.generate(repair, answeredBy, { ...options, fallback: false }));
+                }
+                if (tools) result = { ...result, ...toolCalling.parse(tools, result.text) };
+                if (guard) result = moderation.filterResult(guard, result);
+                const toolCalls = result.toolCalls || [];
+                if (cache) res.setHeader('X-Cache', cache.status);
+                // model — та, что фактически ответила (могла сработать резервная)
+                res.json({
+                    ...base,
+                    model: result.model || selectedModel,
+                    object: 'chat.completion',
+                    choices: [{
+                        index: 0,
+                        // При вызове функций content — текст модели до вызовов (null, если его нет), как у OpenAI
+                        message: toolCalls.length > 0
+                            ? { role: 'assistant', content: result.text || null, tool_calls: toolCalls }
+                            : { role: 'assistant', content: result.text },
+                        finish_reason: toolCalls.length > 0 ? 'tool_calls' : 'stop'
+                    }],
+                    ...(result.usage && {
+                        usage: {
+                            prompt_tokens: result.usage.input_tokens,
+                            completion_tokens: result.usage.output_tokens,
+                            total_tokens: result.usage.total_tokens
+                        }
+                    })
+                });
+            } catch (err) {
+                sendOpenAiError(res, err);
+            }
+            return;
+        }
+
+        if (cache) res.setHeader('X-Cache', cache.status);
+        try {
+            if (!cache || cache.status !== 'HIT') {
+                geminiService.assertPromptSize(conversation);
+                geminiService.assertCapacity(selectedModel);
+            }
+        } catch (err) {
+            return sendOpenAiError(res, err);
+        }
+
+        const sse = new SseWriter(res).open();
+        let run;
+        try {
+            // Позицию в очереди сообщаем SSE комментарием: OpenAI клиенты их игнорируют
+            run = await responseCache.stream(cache, conversation, selectedModel, {
+                ...runOptions(req, res, true),
+                generation,
+                onQueuePosition: (position, queued) => sse.comment(`queued position=${position} of ${queued}`)
+            });
+        } catch (err) {
+            const { code, message } = toErrorPayload(err, req.log);
+            sse.sendData(openAiError(message, openAiErrorType(err.status || 500), code.toLowerCase()));
+            sse.sendData('[DONE]');
+            return sse.end();
+        }
+        if (tools) run = toolCalling.wrapStream(run, tools);
+        if (guard) run = moderation.wrapStream(run, guard);
+
+        // Первый chunk по протоколу OpenAI содержит только роль
+        writeChunk(sse, base, { role: 'assistant', content: '' });
+
+        // Интересуют только текстовые фрагменты, вызовы функций клиента и ошибки модели.
+        // Фрагменты помечаются моделью, которая отвечает (до первого фрагмента могла смениться на резервную).
+        run.on('event', (event) => {
+            if (event.type === 'delta') {
+                writeChunk(sse, { ...base, model: run.model || selectedModel }, { content: event.data.text });
+            } else if (event.type === 'tool_calls') {
+                const toolCalls = event.data.tool_calls.map((call, index) => ({ index, ...call }));
+                writeChunk(sse, { ...base, model: run.model || selectedModel }, { tool_calls: toolCalls });
+            } else if (event.type === 'error') {
+                sse.sendData(openAiError(event.data.message, 'server_error', event.data.code.toLowerCase()));
+            }
+        });
+
+        run.on('end', ({ finishReason, error, model }) => {
+            if (error) {
+                sse.sendData(openAiError(error.message, openAiErrorType(error.status || 500), error.code.toLowerCase()));
+            } else if (finishReason === 'stop' || finishReason === 'tool_calls') {
+                writeChunk(sse, { ...base, model: model || selectedModel }, {}, finishReason);
+            }
+            sse.sendData('[DONE]');
+            sse.end();
+        });
+
+        // Клиент отключился — процесс CLI больше не нужен
+        res.on('close', () => {
+            if (!res.writableEnded) run.cancel();
+        });
+    }
+}
+
+module.exports = new OpenAiController();
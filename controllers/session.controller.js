@@ -0,0 +1,188 @@
+/**
+ * @file controllers/session.controller.js
+ * @description Контроллер серверных сессий диалога.
+ * Клиент отправляет только новое сообщение, а история хранится на стороне шлюза (SessionService).
+ */
+
+const geminiService = require('../services/gemini.service');
+const sessionService = require('../services/session.service');
+const modelRegistry = require('../services/model.registry.service');
+const moderation = require('../services/moderation.service');
+const SseWriter = require('../utils/sse.writer');
+const { ErrorCodes, sendError } = require('../utils/errors');
+const { runOptions, useModel } = require('../utils/http');
+
+/**
+ * @typedef {import('express').Request} Request
+ * @typedef {import('express').Response} Response
+ */
+
+/**
+ * Сессии изолированы по ключам: чужая сессия выглядит как несуществующая.
+ * Администратор видит все сессии.
+ * @param {Request} req
+ * @param {object|null} session
+ * @returns {boolean}
+ */
+function isAccessible(req, session) {
+    return Boolean(session) && (req.apiKey.admin || session.owner === req.apiKey.id);
+}
+
+class SessionController {
+
+    /**
+     * Создает новую сессию.
+     * POST /api/sessions
+     * @param {Request} req
+     * @param {Response} res
+     */
+    async createSession(req, res) {
+        const { model, system, metadata } = req.body;
+        // В сессии хранится ID модели: псевдоним может позже указывать на другую модель
+        try {
+            const selectedModel = modelRegistry.resolve(model, req.apiKey).id;
+            const session = await sessionService.create({ model: selectedModel, system, metadata, owner: req.apiKey.id });
+            res.status(201).json(session);
+        } catch (err) {
+            sendError(res, err);
+        }
+    }
+
+    /**
+     * Возвращает сессию вместе с историей.
+     * GET /api/sessions/:id
+     * @param {Request} req
+     * @param {Response} res
+     */
+    async getSession(req, res) {
+        try {
+            const session = await sessionService.get(req.params.id);
+            if (!isAccessible(req, session)) {
+                return res.status(404).json({ status: 'error', code: ErrorCodes.SESSION_NOT_FOUND, message: `Session '${req.params.id}' not found` });
+            }
+            res.json(session);
+        } catch (err) {
+            sendError(res, err);
+        }
+    }
+
+    /**
+     * Удаляет сессию.
+     * DELETE /api/sessions/:id
+     * @param {Request} req
+     * @param {Response} res
+     */
+    async deleteSession(req, res) {
+        try {
+            const session = await sessionService.get(req.params.id);
+            if (!isAccessible(req, session)) {
+                return res.status(404).json({ status: 'error', code: ErrorCodes.SESSION_NOT_FOUND, message: `Session '${req.params.id}' not found` });
+            }
+            await sessionService.delete(session.id);
+            res.status(204).end();
+        } catch (err) {
+            sendError(res, err);
+        }
+    }
+
+    /**
+     * Отправляет сообщение в сессию и ждет полного ответа.
+     * Сообщение и ответ сохраняются в историю только после успешного завершения CLI.
+     * POST /api/sessions/:id/messages
+     * @param {Request} req
+     * @param {Response} res
+     */
+    async sendMessage(req, res) {
+        const { content, model } = req.body;
+
+        let turn;
+        let screened;
+        try {
+            turn = await sessionService.beginTurn(req.params.id, content, model, req.apiKey);
+        } catch (err) {
+            return sendError(res, err);
+        }
+        try {
+            // Модерация: проверяется весь диалог, который уйдет CLI (история и новое сообщение)
+            screened = moderation.screen(turn.conversation, req.apiKey, req.log);
+        } catch (err) {
+            sessionService.releaseTurn(turn.session);
+            return sendError(res, err);
+        }
+        useModel(res, turn.model);
+
+        try {
+            let result = await geminiService.generate(screened.conversation, turn.model, runOptions(req, res, false));
+            if (screened.guard) result = moderation.filterResult(screened.guard, result);
+            const { text, model: answeredBy, usage } = result;
+            await sessionService.commitTurn(turn.session, content, text);
+
+            res.json({
+                status: 'success',
+                session_id: turn.session.id,
+                model: answeredBy,
+                response: text,
+                usage
+            });
+        } catch (err) {
+            sessionService.releaseTurn(turn.session);
+            sendError(res, err);
+        }
+    }
+
+    /**
+     * Потоковый вариант sendMessage (SSE, те же события, что и /api/chat/stream).
+     * Ответ сохраняется в историю, только если генерация завершилась с finish_reason = stop.
+     * POST /api/sessions/:id/messages/stream
+     * @param {Request} req
+     * @param {Response} res
+     */
+    async sendMessageStream(req, res) {
+        const { content, model } = req.body;
+
+        // Ошибки до начала генерации отдаем обычным JSON, пока SSE заголовки не отправлены
+        let turn;
+        try {
+            geminiService.assertCapacity();
+            turn = await sessionService.beginTurn(req.params.id, content, model, req.apiKey);
+        } catch (err) {
+            return sendError(res, err);
+        }
+        let screened;
+        try {
+            screened = moderation.screen(turn.conversation, req.apiKey, req.log);
+            geminiService.assertPromptSize(screened.conversation);
+            geminiService.assertCapacity(turn.model);
+        } catch (err) {
+            sessionService.releaseTurn(turn.session);
+            return sendError(res, err);
+        }
+        useModel(res, turn.model);
+
+        const sse = new SseWriter(res).open();
+        let run;
+        try {
+            run = await geminiService.stream(screened.conversation, turn.model, {
+                ...runOptions(req, res, true),
+                onQueuePosition: (position, queued) => sse.send('queued', { position, queued })
+            });
+        } catch (err) {
+            sessionService.releaseTurn(turn.session);
+            return sse.fail(err);
+        }
+        if (screened.guard) run = moderation.wrapStream(run, screened.guard);
+
+        const result = await sse.pipeRun(run);
+        if (result.finishReason !== 'stop') {
+            return sessionService.releaseTurn(turn.session);
+        }
+
+        try {
+            await sessionService.commitTurn(turn.session, content, result.text);
+        } catch (err) {
+            req.log.error('Failed to save session reply', { session_id: turn.session.id, err });
+        }
+    }
+}
+
+module.exports = new SessionController();
@@ -0,0 +1,92 @@
+/**
+ * @file controllers/template.controller.js
+ * @description Контроллер шаблонов промптов: просмотр доступен всем ключам, изменение — только администратору.
+ * Шаблоны используются в POST /api/chat и /api/chat/stream через поля template, template_version и variables.
+ */
+
+const templateService = require('../services/template.service');
+const { ErrorCodes, GatewayError, sendError } = require('../utils/errors');
+
+/**
+ * @typedef {import('express').Request} Request
+ * @typedef {import('express').Response} Response
+ */
+
+/**
+ * Шаблоны общие для всех ключей, поэтому изменять их может только администратор.
+ * @param {Request} req
+ * @throws {GatewayError} FORBIDDEN.
+ */
+function assertAdmin(req) {
+    if (!req.apiKey.admin) {
+        throw new GatewayError(ErrorCodes.FORBIDDEN, 'Forbidden: admin API key required', 403);
+    }
+}
+
+class TemplateController {
+
+    /**
+     * Возвращает список шаблонов (последние версии).
+     * GET /api/templates
+     * @param {Request} req
+     * @param {Response} res
+     */
+    async listTemplates(req, res) {
+        try {
+            res.json({ templates: await templateService.list() });
+        } catch (err) {
+            sendError(res, err);
+        }
+    }
+
+    /**
+     * Возвращает шаблон: последнюю версию или указанную в ?version=.
+     * GET /api/templates/:name
+     * @param {Request} req
+     * @param {Response} res
+     */
+    async getTemplate(req, res) {
+        try {
+            res.json(await templateService.get(req.params.name, req.query.version));
+        } catch (err) {
+            sendError(res, err);
+        }
+    }
+
+    /**
+     * Создает шаблон (201) или сохраняет его новую версию (200).
+     * PUT /api/templates/:name
+     * @param {Request} req
+     * @param {Response} res
+     */
+    async putTemplate(req, res) {
+        try {
+            assertAdmin(req);
+            const { template, created } = await templateService.put(req.params.name, req.body, req.apiKey.id);
+            res.status(created ? 201 : 200).json(template);
+        } catch (err) {
+            sendError(res, err);
+        }
+    }
+
+    /**
+     * Удаляет шаблон со всеми версиями.
+     * DELETE /api/templates/:name
+     * @param {Request} req
+     * @param {Response} res
+     */
+    async deleteTemplate(req, res) {
+        try {
+            assertAdmin(req);
+            if (!await templateService.delete(req.params.name)) {
+                throw new GatewayError(ErrorCodes.TEMPLATE_NOT_FOUND, `Template '${req.params.name}' not found`, 404);
+            }
+            res.json({ status: 'success', name: req.params.name });
+        } catch (err) {
+            sendError(res, err);
+        }
+    }
+}
+
+// Экспортируем единственный экземпляр (Singleton pattern)
+module.exports = new TemplateController();
@@ -0,0 +1,47 @@
+/**
+ * @file controllers/usage.controller.js
+ * @description Контроллер отчетов об использовании: запросы, токены и задержка за период в JSON или CSV.
+ */
+
+const usageService = require('../services/usage.service');
+const { sendError } = require('../utils/errors');
+
+/**
+ * @typedef {import('express').Request} Request
+ * @typedef {import('express').Response} Response
+ */
+
+class UsageController {
+
+    /**
+     * Возвращает отчет об использовании. Обычный ключ видит только свои данные, администратор — все ключи.
+     * GET /api/usage
+     * @param {Request} req
+     * @param {Response} res
+     */
+    async getUsage(req, res) {
+        const { from, to, group_by: groupBy, key_id: keyId, model, format } = req.query;
+
+        try {
+            const report = await usageService.report({
+                from,
+                to,
+                groupBy: groupBy ? [...new Set(groupBy)] : undefined,
+                keyId: req.apiKey.admin ? keyId : req.apiKey.id,
+                model
+            });
+
+            if (format === 'csv') {
+                res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+                res.setHeader('Content-Disposition', `attachment; filename="usage-${report.from}-${report.to}.csv"`);
+                return res.send(usageService.toCsv(report));
+            }
+            res.json(report);
+        } catch (err) {
+            sendError(res, err);
+        }
+    }
+}
+
+// Экспортируем единственный экземпляр (Singleton pattern)
+module.exports = new UsageController();
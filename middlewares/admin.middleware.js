@@ -0,0 +1,18 @@
+/**
+ * @file middlewares/admin.middleware.js
+ * @description Middleware, пропускающий только ключи с правами администратора.
+ * Подключается к административным маршрутам (/api/admin) и журналу аудита (/api/audit).
+ */
+
+const { ErrorCodes } = require('../utils/errors');
+
+module.exports = (req, res, next) => {
+    if (!req.apiKey || !req.apiKey.admin) {
+        return res.status(403).json({
+            status: 'error',
+            code: ErrorCodes.FORBIDDEN,
+            message: 'Forbidden: admin API key required'
+        });
+    }
+    next();
+};
@@ -1,13 +1,35 @@
 /**
  * @file middlewares/auth.middleware.js
  * @description Middleware для проверки API ключа в заголовках запроса.
+ * Найденный ключ сохраняется в req.apiKey (id, name, admin, allowed_models) для контроллеров и логов.
  */
 
-const config = require('../config/app.config');
+const apiKeyService = require('../services/apikey.service');
 
-module.exports = (req, res, next) => {
+/**
+ * Извлекает ключ из запроса.
+ * Поддерживается заголовок x-api-key, а также Authorization: Bearer <key>
+ * (так ключ передают OpenAI-совместимые клиенты).
+ * @param {import('express').Request} req
+ * @returns {string|undefined}
+ */
+function extractApiKey(req) {
+    if (req.headers['x-api-key']) {
+        return req.headers['x-api-key'];
+    }
+
+    const authorization = req.headers['authorization'];
+    if (authorization) {
+        const match = authorization.match(/^Bearer\s+(.+)$/i);
+        if (match) return match[1].trim();
+    }
+
+    return undefined;
+}
+
+module.exports = async (req, res, next) => {
     // Список публичных путей, которые не требуют авторизации
-    // /api/health обрабатывается явно в app.js ДО этого middleware
+    // /api/health/* и /metrics обрабатываются явно в app.js ДО этого middleware
     const publicPaths = [
         '/api/docs',   // Swagger UI и JSON спека
         '/favicon.ico'
@@ -18,25 +40,26 @@ module.exports = (req, res, next) => {
         return next();
     }
 
-    const apiKey = req.headers['x-api-key'];
-    const validApiKey = config.API_KEY;
+    // Дожидаемся первичной загрузки хранилища ключей
+    await apiKeyService.ready;
 
-    // Если ключ не задан в конфиге, считаем что защита выключена (или warn)
-    // Но по задаче мы должны защитить. Будем строгими: если нет ключа на сервере, доступ закрыт всем (Safe fail)
-    if (!validApiKey) {
-        console.error('[Auth] APP_API_KEY is not set in server environment!');
+    // Если ни APP_API_KEY, ни ключей в хранилище нет — доступ закрыт всем (Safe fail)
+    if (!apiKeyService.isConfigured()) {
+        req.log.error('Neither APP_API_KEY nor API keys file is configured on the server');
         return res.status(500).json({
             status: 'error',
             message: 'Server authentication configuration error'
         });
     }
 
-    if (!apiKey || apiKey !== validApiKey) {
+    const identity = apiKeyService.authenticate(extractApiKey(req));
+    if (!identity) {
         return res.status(401).json({
             status: 'error',
             message: 'Unauthorized: Invalid or missing API Key'
         });
     }
 
+    req.apiKey = identity;
     next();
 };
@@ -0,0 +1,34 @@
+/**
+ * @file middlewares/metrics.middleware.js
+ * @description Middleware учета HTTP запросов в метриках Prometheus.
+ * Метка route — шаблон пути из OpenAPI (например, /api/sessions/{id}), а не фактический URL,
+ * чтобы число временных рядов не зависело от ID в путях.
+ */
+
+const metrics = require('../utils/metrics');
+
+/**
+ * @param {import('express').Request} req
+ * @returns {string} Шаблон маршрута или 'unmatched'.
+ */
+function routeOf(req) {
+    if (req.openapi && req.openapi.openApiRoute) return req.openapi.openApiRoute;
+    if (req.route && req.route.path) return req.baseUrl + req.route.path;
+    return 'unmatched';
+}
+
+module.exports = (req, res, next) => {
+    const endTimer = metrics.httpRequestDuration.startTimer();
+
+    res.on('close', () => {
+        const route = routeOf(req);
+        const status = String(res.statusCode);
+        // Модель проставляет контроллер после валидации (res.locals.model)
+        const model = res.locals.model || 'none';
+
+        metrics.httpRequestsTotal.inc({ route, method: req.method, model, status });
+        endTimer({ route, method: req.method, status });
+    });
+
+    next();
+};
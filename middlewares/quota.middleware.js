@@ -0,0 +1,29 @@
+/**
+ * @file middlewares/quota.middleware.js
+ * @description Middleware для соблюдения квот API ключа (RPM, RPD, одновременные запросы).
+ * Должен подключаться после auth.middleware. При превышении лимита отвечает 429 с заголовком Retry-After.
+ */
+
+const apiKeyService = require('../services/apikey.service');
+const { ErrorCodes } = require('../utils/errors');
+
+module.exports = (req, res, next) => {
+    // Публичные маршруты ключа не имеют
+    if (!req.apiKey) return next();
+
+    const result = apiKeyService.acquire(req.apiKey);
+    if (!result.ok) {
+        res.setHeader('Retry-After', String(result.retryAfter));
+        return res.status(429).json({
+            status: 'error',
+            code: ErrorCodes.QUOTA_EXCEEDED,
+            message: `Quota exceeded for API key '${req.apiKey.name}' (${result.limit})`,
+            limit: result.limit,
+            retry_after: result.retryAfter
+        });
+    }
+
+    // Слот одновременного запроса освобождается при любом завершении ответа (включая разрыв SSE)
+    res.on('close', result.release);
+    next();
+};
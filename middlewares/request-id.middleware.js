@@ -0,0 +1,38 @@
+/**
+ * @file middlewares/request-id.middleware.js
+ * @description Middleware корреляции запросов: назначает ID (или принимает X-Request-Id клиента),
+ * возвращает его в заголовке ответа, создает req.log с request_id и пишет access-лог по завершении ответа.
+ * Подключается первым, чтобы ID был доступен всем последующим middleware и контроллерам.
+ */
+
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+/** Допустимый формат ID от клиента (защита логов от произвольных строк). */
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+module.exports = (req, res, next) => {
+    const incoming = req.headers['x-request-id'];
+    req.id = typeof incoming === 'string' && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    req.log = logger.child({ request_id: req.id });
+    res.setHeader('X-Request-Id', req.id);
+
+    const startedAt = process.hrtime.bigint();
+
+    // 'close' срабатывает и для обычных ответов, и при разрыве SSE соединения клиентом
+    res.on('close', () => {
+        const fields = {
+            method: req.method,
+            path: req.originalUrl,
+            status: res.statusCode,
+            duration_ms: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e6),
+            key_id: req.apiKey ? req.apiKey.id : undefined,
+            model: res.locals.model,
+            aborted: res.writableEnded ? undefined : true
+        };
+        if (res.statusCode >= 500) req.log.error('Request completed', fields);
+        else req.log.info('Request completed', fields);
+    });
+
+    next();
+};
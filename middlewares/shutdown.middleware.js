@@ -0,0 +1,15 @@
+/**
+ * @file middlewares/shutdown.middleware.js
+ * @description Middleware, отклоняющий новые запросы во время остановки шлюза (503 SHUTTING_DOWN).
+ * Соединение закрывается после ответа, чтобы клиент переподключился к другому экземпляру.
+ */
+
+const geminiService = require('../services/gemini.service');
+const { sendError } = require('../utils/errors');
+
+module.exports = (req, res, next) => {
+    if (!geminiService.isDraining()) return next();
+
+    res.setHeader('Connection', 'close');
+    sendError(res, geminiService.shutdownError);
+};
@@ -0,0 +1,326 @@
+/**
+ * @file services/apikey.service.js
+ * @description Сервис API ключей: аутентификация, права на модели и квоты (RPM / RPD / параллельные запросы).
+ * Ключи хранятся в файле (см. stores/apikey.file.store.js), счетчики квот — в памяти процесса.
+ */
+
+const crypto = require('crypto');
+const config = require('../config/app.config');
+const ApiKeyFileStore = require('../stores/apikey.file.store');
+const logger = require('../utils/logger');
+
+const log = logger.child({ component: 'auth' });
+
+/**
+ * @typedef {Object} ApiKeyRecord
+ * @property {string} id - Публичный идентификатор ключа.
+ * @property {string} name - Имя потребителя (команда, сервис).
+ * @property {string} hash - SHA-256 хэш секрета (hex).
+ * @property {string} prefix - Первые символы секрета для опознания ключа человеком.
+ * @property {string[]} allowed_models - Разрешенные модели, ['*'] — все.
+ * @property {number|null} max_concurrent - Лимит одновременных запросов.
+ * @property {number|null} rpm - Лимит запросов в минуту.
+ * @property {number|null} rpd - Лимит запросов в сутки (UTC).
+ * @property {boolean} admin - Доступ к административным эндпоинтам.
+ * @property {string[]} [blocked_terms] - Запрещенные термины ключа (дополняют MODERATION_BLOCKED_TERMS).
+ * @property {string} created_at
+ * @property {string|null} rotated_at
+ * @property {string|null} revoked_at
+ */
+
+/**
+ * @typedef {Object} ApiKeyIdentity
+ * @description Публичная часть ключа, доступная контроллерам через req.apiKey.
+ * @property {string} id
+ * @property {string} name
+ * @property {boolean} admin
+ * @property {string[]} allowed_models
+ * @property {string[]} [blocked_terms]
+ */
+
+/** ID встроенного ключа из переменной APP_API_KEY. */
+const LEGACY_KEY_ID = 'default';
+
+/**
+ * @param {string} secret
+ * @returns {string} SHA-256 хэш в hex.
+ */
+function hashSecret(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+/**
+ * @returns {string} Новый случайный секрет.
+ */
+function generateSecret() {
+    return `gk_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+/**
+ * Убирает из записи хэш секрета.
+ * @param {ApiKeyRecord} record
+ * @returns {object}
+ */
+function toPublic(record) {
+    const { hash, ...rest } = record;
+    return rest;
+}
+
+class ApiKeyService {
+
+    constructor() {
+        this.store = new ApiKeyFileStore(config.apiKeys.STORE_FILE);
+        /** @type {ApiKeyRecord[]} */
+        this.keys = [];
+        /** @type {Map<string, ApiKeyRecord>} Индекс активных ключей по хэшу секрета. */
+        this.byHash = new Map();
+        /** @type {Map<string, {minute: number, minuteCount: number, day: string, dayCount: number, active: number}>} */
+        this.usage = new Map();
+
+        this.legacyHash = config.API_KEY ? hashSecret(config.API_KEY) : null;
+        /** @type {Promise<void>} Цепочка сохранений файла (записи идут строго по очереди). */
+        this.saving = Promise.resolve();
+        this.ready = this._load();
+    }
+
+    /**
+     * @returns {boolean} true, если на сервере настроен хотя бы один способ аутентификации.
+     */
+    isConfigured() {
+        return Boolean(this.legacyHash) || this.byHash.size > 0;
+    }
+
+    /**
+     * @param {string} id
+     * @returns {boolean} true, если ключ с таким ID отозван.
+     */
+    isRevoked(id) {
+        const record = this.keys.find(k => k.id === id);
+        return Boolean(record && record.revoked_at);
+    }
+
+    /**
+     * Находит активный ключ по секрету.
+     * @param {string} secret - Значение x-api-key / Bearer токена.
+     * @returns {ApiKeyIdentity|null}
+     */
+    authenticate(secret) {
+        if (!secret) return null;
+        const hash = hashSecret(secret);
+
+        // Ключ из APP_API_KEY: полный доступ, без квот (обратная совместимость)
+        if (this.legacyHash && crypto.timingSafeEqual(Buffer.from(hash), Buffer.from(this.legacyHash))) {
+            return { id: LEGACY_KEY_ID, name: 'default', admin: true, allowed_models: ['*'] };
+        }
+
+        const record = this.byHash.get(hash);
+        if (!record) return null;
+
+        return {
+            id: record.id,
+            name: record.name,
+            admin: Boolean(record.admin),
+            allowed_models: record.allowed_models,
+            blocked_terms: record.blocked_terms || []
+        };
+    }
+
+    /**
+     * @param {ApiKeyIdentity} identity
+     * @param {string} model
+     * @returns {boolean}
+     */
+    isModelAllowed(identity, model) {
+        if (!identity) return false;
+        const allowed = identity.allowed_models || ['*'];
+        return allowed.includes('*') || allowed.includes(model);
+    }
+
+    /**
+     * Проверяет квоты ключа и, если лимиты позволяют, учитывает запрос.
+     * При успехе возвращает функцию release(), которую нужно вызвать по завершении запроса.
+     * @param {ApiKeyIdentity} identity
+     * @returns {{ok: true, release: Function} | {ok: false, limit: string, retryAfter: number}}
+     */
+    acquire(identity) {
+        const record = this.keys.find(k => k.id === identity.id);
+        if (!record) return { ok: true, release: () => {} };
+
+        const now = Date.now();
+        const minute = Math.floor(now / 60000);
+        const day = new Date(now).toISOString().slice(0, 10);
+
+        let state = this.usage.get(record.id);
+        if (!state) {
+            state = { minute, minuteCount: 0, day, dayCount: 0, active: 0 };
+            this.usage.set(record.id, state);
+        }
+        if (state.minute !== minute) {
+            state.minute = minute;
+            state.minuteCount = 0;
+        }
+        if (state.day !== day) {
+            state.day = day;
+            state.dayCount = 0;
+        }
+
+        if (record.max_concurrent && state.active >= record.max_concurrent) {
+            return { ok: false, limit: 'concurrency', retryAfter: 1 };
+        }
+        if (record.rpm && state.minuteCount >= record.rpm) {
+            return { ok: false, limit: 'rpm', retryAfter: Math.ceil(((minute + 1) * 60000 - now) / 1000) };
+        }
+        if (record.rpd && state.dayCount >= record.rpd) {
+            const nextDay = Date.parse(`${day}T00:00:00.000Z`) + 86400000;
+            return { ok: false, limit: 'rpd', retryAfter: Math.ceil((nextDay - now) / 1000) };
+        }
+
+        state.minuteCount++;
+        state.dayCount++;
+        state.active++;
+
+        let isReleased = false;
+        const release = () => {
+            if (isReleased) return;
+            isReleased = true;
+            state.active--;
+        };
+        return { ok: true, release };
+    }
+
+    /**
+     * @returns {object[]} Все ключи (включая отозванные) без хэшей.
+     */
+    list() {
+        return this.keys.map(record => ({ ...toPublic(record), usage: this._usageOf(record.id) }));
+    }
+
+    /**
+     * Создает ключ. Секрет возвращается только один раз.
+     * @param {{name: string, allowed_models?: string[], max_concurrent?: number, rpm?: number, rpd?: number, admin?: boolean, blocked_terms?: string[]}} params
+     * @returns {Promise<{key: object, secret: string}>}
+     */
+    async create({ name, allowed_models, max_concurrent, rpm, rpd, admin, blocked_terms }) {
+        const secret = generateSecret();
+        const record = {
+            id: `key_${crypto.randomBytes(8).toString('hex')}`,
+            name,
+            hash: hashSecret(secret),
+            prefix: secret.slice(0, 8),
+            allowed_models: allowed_models && allowed_models.length ? allowed_models : ['*'],
+            max_concurrent: max_concurrent || null,
+            rpm: rpm || null,
+            rpd: rpd || null,
+            admin: Boolean(admin),
+            blocked_terms: blocked_terms || [],
+            created_at: new Date().toISOString(),
+            rotated_at: null,
+            revoked_at: null
+        };
+
+        this.keys.push(record);
+        await this._persist(() => {
+            this.keys = this.keys.filter(k => k !== record);
+        });
+        return { key: toPublic(record), secret };
+    }
+
+    /**
+     * Выпускает новый секрет для ключа; старый перестает работать сразу.
+     * @param {string} id
+     * @returns {Promise<{key: object, secret: string}|null>} null, если активный ключ не найден.
+     */
+    async rotate(id) {
+        const record = this.keys.find(k => k.id === id && !k.revoked_at);
+        if (!record) return null;
+
+        const previous = { hash: record.hash, prefix: record.prefix, rotated_at: record.rotated_at };
+        const secret = generateSecret();
+        record.hash = hashSecret(secret);
+        record.prefix = secret.slice(0, 8);
+        record.rotated_at = new Date().toISOString();
+
+        await this._persist(() => Object.assign(record, previous));
+        return { key: toPublic(record), secret };
+    }
+
+    /**
+     * Отзывает ключ. Запись остается в хранилище для аудита.
+     * @param {string} id
+     * @returns {Promise<object|null>} null, если ключ не найден.
+     */
+    async revoke(id) {
+        const record = this.keys.find(k => k.id === id);
+        if (!record) return null;
+
+        if (!record.revoked_at) {
+            record.revoked_at = new Date().toISOString();
+            await this._persist(() => {
+                record.revoked_at = null;
+            });
+        }
+        return toPublic(record);
+    }
+
+    /**
+     * @param {string} id
+     * @returns {{rpm: number, rpd: number, active: number}}
+     * @private
+     */
+    _usageOf(id) {
+        const state = this.usage.get(id);
+        if (!state) return { rpm: 0, rpd: 0, active: 0 };
+
+        const minute = Math.floor(Date.now() / 60000);
+        const day = new Date().toISOString().slice(0, 10);
+        return {
+            rpm: state.minute === minute ? state.minuteCount : 0,
+            rpd: state.day === day ? state.dayCount : 0,
+            active: state.active
+        };
+    }
+
+    /** @private */
+    async _load() {
+        try {
+            this.keys = await this.store.load();
+        } catch (err) {
+            log.error('Failed to load API keys', { file: this.store.filePath, err });
+            this.keys = [];
+        }
+        this._reindex();
+        log.info('API keys loaded', { active_keys: this.byHash.size });
+    }
+
+    /**
+     * Применяет изменение ключей и сохраняет файл. Сохранения идут по очереди;
+     * если запись не удалась, изменение откатывается, чтобы в памяти не осталось ключей, которых нет в файле.
+     * @param {Function} undo - Отменяет изменение в памяти.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _persist(undo) {
+        this._reindex();
+        const saved = this.saving.catch(() => {}).then(() => this.store.save(this.keys));
+        this.saving = saved;
+        try {
+            await saved;
+        } catch (err) {
+            undo();
+            this._reindex();
+            throw err;
+        }
+    }
+
+    /** @private */
+    _reindex() {
+        this.byHash = new Map(
+            this.keys
+                .filter(record => !record.revoked_at)
+                .map(record => [record.hash, record])
+        );
+    }
+}
+
+// Экспортируем единственный экземпляр (Singleton pattern)
+module.exports = new ApiKeyService();
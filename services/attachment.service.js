@@ -0,0 +1,238 @@
+/**
+ * @file services/attachment.service.js
+ * @description Вложения сообщений (изображения, PDF, исходники): разбор частей content в стиле OpenAI / Gemini,
+ * проверка лимитов и подготовка временной рабочей папки для CLI.
+ * Gemini CLI читает файлы по ссылкам `@<путь>` в тексте промпта, поэтому вложения сохраняются в отдельную
+ * папку запроса, процесс CLI запускается в ней, а папка удаляется после завершения процесса.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const config = require('../config/app.config');
+const { ErrorCodes, GatewayError } = require('../utils/errors');
+
+/**
+ * @typedef {Object} TextPart
+ * @property {'text'} type
+ * @property {string} text
+ */
+
+/**
+ * @typedef {Object} AttachmentPart
+ * @property {'attachment'} type
+ * @property {string} mime_type
+ * @property {string|null} filename - Имя файла клиента (если известно).
+ * @property {string} data - Содержимое в base64.
+ */
+
+/**
+ * @typedef {string|Array<TextPart|AttachmentPart>} MessageContent
+ */
+
+/** data URL: data:<mime>[;параметры];base64,<данные> */
+const DATA_URL_PATTERN = /^data:([\w.+-]+\/[\w.+-]+)((?:;[^,;]+)*);base64,/;
+
+const BASE64_PATTERN = /^[A-Za-z0-9+/]*={0,2}$/;
+
+/** Расширения для вложений без имени файла: по ним CLI определяет тип файла. */
+const EXTENSIONS = {
+    'image/png': '.png',
+    'image/jpeg': '.jpg',
+    'image/webp': '.webp',
+    'image/gif': '.gif',
+    'application/pdf': '.pdf',
+    'text/plain': '.txt',
+    'text/markdown': '.md',
+    'text/csv': '.csv',
+    'text/html': '.html',
+    'application/json': '.json'
+};
+
+class AttachmentService {
+
+    constructor() {
+        this.maxFileSize = config.attachments.MAX_FILE_SIZE;
+        this.maxFiles = config.attachments.MAX_FILES;
+        this.allowedMimeTypes = new Set(config.attachments.ALLOWED_MIME_TYPES);
+        this.workspaceDir = config.attachments.WORKSPACE_DIR;
+    }
+
+    /**
+     * Приводит сообщения диалога к внутреннему формату и добавляет файлы, загруженные через multipart/form-data,
+     * к последнему сообщению пользователя.
+     * @param {Array<{role: string, content: *}>} messages
+     * @param {Array<{originalname: string, mimetype: string, buffer: Buffer}>} [uploads] - Файлы multer (req.files).
+     * @returns {Array<{role: string, content: MessageContent}>}
+     * @throws {GatewayError} ATTACHMENT_INVALID, ATTACHMENT_TOO_LARGE, ATTACHMENT_TYPE_NOT_ALLOWED.
+     */
+    normalizeConversation(messages, uploads = []) {
+        const conversation = messages.map(({ role, content }) => ({ role, content: this.normalizeContent(content) }));
+
+        if (uploads && uploads.length > 0) {
+            const target = [...conversation].reverse().find(msg => msg.role === 'user');
+            if (!target) {
+                throw new GatewayError(ErrorCodes.ATTACHMENT_INVALID, 'Uploaded files require a user message', 400);
+            }
+            const parts = typeof target.content === 'string' ? [{ type: 'text', text: target.content }] : target.content;
+            target.content = [
+                ...parts,
+                ...uploads.map(file => this._attachment(file.mimetype, file.originalname, file.buffer.toString('base64')))
+            ];
+        }
+
+        const count = conversation.reduce((total, msg) => total + this._attachmentsOf(msg.content).length, 0);
+        if (count > this.maxFiles) {
+            throw new GatewayError(ErrorCodes.ATTACHMENT_INVALID, `Too many attachments: ${count}, the limit is ${this.maxFiles}`, 400);
+        }
+        return conversation;
+    }
+
+    /**
+     * Разбирает content сообщения: строку или массив частей
+     * `text`, `image_url` (data URL), `file` (OpenAI: filename + file_data), `inline_data` (Gemini: mime_type + data).
+     * Массив только из текстовых частей сворачивается в строку.
+     * @param {*} content
+     * @returns {MessageContent}
+     * @throws {GatewayError} ATTACHMENT_INVALID, ATTACHMENT_TOO_LARGE, ATTACHMENT_TYPE_NOT_ALLOWED.
+     */
+    normalizeContent(content) {
+        if (content == null) return '';
+        if (!Array.isArray(content)) return String(content);
+
+        const parts = content.map((part) => {
+            switch (part && part.type) {
+                case 'text':
+                    return { type: 'text', text: String(part.text ?? '') };
+                case 'image_url':
+                    return this._fromDataUrl(part.image_url && part.image_url.url, null);
+                case 'file':
+                    return this._fromDataUrl(part.file && part.file.file_data, part.file && part.file.filename);
+                case 'inline_data':
+                    return this._attachment(part.inline_data && part.inline_data.mime_type, null, part.inline_data && part.inline_data.data);
+                default:
+                    throw new GatewayError(ErrorCodes.ATTACHMENT_INVALID, `Unsupported content part type: '${part && part.type}'`, 400);
+            }
+        });
+
+        if (parts.every(part => part.type === 'text')) return parts.map(part => part.text).join('\n');
+        return parts;
+    }
+
+    /**
+     * @param {Array<{content: MessageContent}>|string} messages
+     * @returns {boolean} true, если в диалоге есть вложения (нужна рабочая папка).
+     */
+    hasAttachments(messages) {
+        return Array.isArray(messages) && messages.some(msg => this._attachmentsOf(msg.content).length > 0);
+    }
+
+    /**
+     * Создает временную рабочую папку для запуска CLI.
+     * @returns {Promise<{dir: string, cleanup: () => Promise<void>}>}
+     */
+    async createWorkspace() {
+        await fs.mkdir(this.workspaceDir, { recursive: true });
+        const dir = await fs.mkdtemp(path.join(this.workspaceDir, 'gemini-gw-'));
+        return { dir, cleanup: () => fs.rm(dir, { recursive: true, force: true }) };
+    }
+
+    /**
+     * Сохраняет вложения в рабочую папку и заменяет их в сообщениях ссылками `@<файл>` для CLI.
+     * @param {Array<{role: string, content: MessageContent}>} messages
+     * @param {string} dir - Рабочая папка (см. createWorkspace).
+     * @returns {Promise<Array<{role: string, content: string}>>}
+     */
+    async stage(messages, dir) {
+        let counter = 0;
+        const staged = [];
+        for (const msg of messages) {
+            if (typeof msg.content === 'string') {
+                staged.push(msg);
+                continue;
+            }
+
+            const pieces = [];
+            for (const part of msg.content) {
+                if (part.type === 'text') {
+                    pieces.push(part.text);
+                    continue;
+                }
+                counter += 1;
+                const name = this._fileName(counter, part);
+                await fs.writeFile(path.join(dir, name), Buffer.from(part.data, 'base64'));
+                pieces.push(`@${name}`);
+            }
+            staged.push({ role: msg.role, content: pieces.join('\n') });
+        }
+        return staged;
+    }
+
+    /**
+     * @param {MessageContent} content
+     * @returns {AttachmentPart[]}
+     * @private
+     */
+    _attachmentsOf(content) {
+        return Array.isArray(content) ? content.filter(part => part.type === 'attachment') : [];
+    }
+
+    /**
+     * @param {string} dataUrl
+     * @param {string|null} filename
+     * @returns {AttachmentPart}
+     * @private
+     */
+    _fromDataUrl(dataUrl, filename) {
+        const match = typeof dataUrl === 'string' ? DATA_URL_PATTERN.exec(dataUrl) : null;
+        if (!match) {
+            throw new GatewayError(ErrorCodes.ATTACHMENT_INVALID, 'Attachments must be base64 data URLs (data:<mime>;base64,...)', 400);
+        }
+        return this._attachment(match[1], filename, dataUrl.slice(match[0].length));
+    }
+
+    /**
+     * Проверяет тип и размер вложения.
+     * @param {string} mimeType
+     * @param {string|null} filename
+     * @param {string} data - base64.
+     * @returns {AttachmentPart}
+     * @private
+     */
+    _attachment(mimeType, filename, data) {
+        const mime = String(mimeType || '').toLowerCase();
+        if (!this.allowedMimeTypes.has(mime)) {
+            throw new GatewayError(ErrorCodes.ATTACHMENT_TYPE_NOT_ALLOWED, `Attachment type '${mime}' is not allowed`, 415, {
+                allowed_types: [...this.allowedMimeTypes]
+            });
+        }
+
+        const base64 = String(data || '').replace(/\s+/g, '');
+        if (!base64 || base64.length % 4 === 1 || !BASE64_PATTERN.test(base64)) {
+            throw new GatewayError(ErrorCodes.ATTACHMENT_INVALID, 'Attachment data is not valid base64', 400);
+        }
+        const size = Buffer.byteLength(base64, 'base64');
+        if (size > this.maxFileSize) {
+            throw new GatewayError(ErrorCodes.ATTACHMENT_TOO_LARGE, `Attachment is ${size} bytes, the limit is ${this.maxFileSize}`, 413);
+        }
+
+        return { type: 'attachment', mime_type: mime, filename: filename || null, data: base64 };
+    }
+
+    /**
+     * Безопасное имя файла в рабочей папке: порядковый номер + имя клиента без спецсимволов.
+     * Пробелы и кавычки в имени помешали бы CLI распознать ссылку `@<файл>`.
+     * @param {number} counter
+     * @param {AttachmentPart} part
+     * @returns {string}
+     * @private
+     */
+    _fileName(counter, part) {
+        const base = part.filename ? path.basename(part.filename).replace(/[^A-Za-z0-9._-]/g, '_').slice(-80) : 'attachment';
+        const extension = EXTENSIONS[part.mime_type] || '';
+        const name = path.extname(base) ? base : `${base}${extension}`;
+        return `${counter}-${name}`;
+    }
+}
+
+// Экспортируем единственный экземпляр (Singleton pattern)
+module.exports = new AttachmentService();
@@ -0,0 +1,443 @@
+/**
+ * @file services/audit.service.js
+ * @description Журнал аудита генераций: кто и через какой маршрут запросил, какой диалог и итоговый промпт получил CLI,
+ * что он ответил, код выхода, stderr и время каждой попытки. Записи пишутся в JSONL файлы по дням (см. FileAuditStore),
+ * по ним можно искать (GET /api/audit) и повторить запрос, сравнив ответы (POST /api/audit/{id}/replay).
+ */
+
+const crypto = require('crypto');
+const config = require('../config/app.config');
+const FileAuditStore = require('../stores/audit.file.store');
+const moderation = require('./moderation.service');
+const { ErrorCodes, GatewayError } = require('../utils/errors');
+const { diffLines } = require('../utils/diff');
+const logger = require('../utils/logger');
+
+const log = logger.child({ component: 'audit' });
+
+/**
+ * Откуда пришел запрос. Поля попадают в запись журнала как есть.
+ * @typedef {Object} AuditContext
+ * @property {string} [request_id] - X-Request-Id HTTP запроса.
+ * @property {string} [route] - Метод и путь HTTP запроса.
+ * @property {string|null} [key_name] - Имя API ключа.
+ * @property {string} [batch_id] - Пакетное задание (для его элементов).
+ * @property {number} [batch_item] - Номер элемента задания.
+ */
+
+/**
+ * Одна попытка генерации (запуск процесса CLI).
+ * @typedef {Object} AuditAttempt
+ * @property {string} model
+ * @property {string} [cli_model] - Модель, переданная CLI, если отличается (псевдоним параметров генерации).
+ * @property {string|null} prompt - Промпт, переданный CLI.
+ * @property {number|null} exit_code
+ * @property {string|null} signal - Сигнал, которым процесс был остановлен (таймаут, отмена).
+ * @property {string|null} stderr
+ * @property {number} queue_ms - Ожидание слота в очереди.
+ * @property {number|null} duration_ms - Время работы процесса.
+ * @property {string} [spawn_error] - Процесс не удалось запустить.
+ */
+
+/**
+ * Незавершенная запись: создается в начале generate() / stream(), попытки добавляются по мере запуска процессов.
+ * @typedef {Object} AuditTrail
+ * @property {string} id
+ * @property {number} startedAt - Date.now() на старте.
+ * @property {string|null} owner - ID API ключа.
+ * @property {AuditContext} context
+ * @property {'buffered'|'stream'} mode
+ * @property {string} requestedModel
+ * @property {Array|string} conversation - Диалог без содержимого вложений.
+ * @property {boolean} hasAttachments
+ * @property {import('./gemini.service').GenerationParams|null} generation
+ * @property {AuditAttempt[]} attempts
+ * @property {Promise<void>[]} exits - Завершение процессов попыток (код выхода известен после него).
+ */
+
+/** Поля, которые можно исключить из записей (AUDIT_REDACT_FIELDS). */
+const REDACTABLE_FIELDS = ['conversation', 'prompt', 'output', 'stderr'];
+
+/** stderr длиннее этого обрезается: для диагностики достаточно начала. */
+const STDERR_MAX_CHARS = 16 * 1024;
+
+/** Формат ID записи: день UTC (по нему находится файл журнала) и случайная часть. */
+const ID_PATTERN = /^aud_(\d{4})(\d{2})(\d{2})_[a-f0-9]+$/;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Как часто удалять записи старше срока хранения (мс). */
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * @param {Date|number|string} [date]
+ * @returns {string} Дата UTC в формате YYYY-MM-DD.
+ */
+function dayOf(date = Date.now()) {
+    return new Date(date).toISOString().slice(0, 10);
+}
+
+/**
+ * Копия диалога для журнала: содержимое вложений (base64) не записывается, только тип, имя и размер.
+ * @param {Array|string} messages
+ * @returns {{conversation: Array|string, hasAttachments: boolean}}
+ */
+function snapshotConversation(messages) {
+    if (!Array.isArray(messages)) return { conversation: String(messages), hasAttachments: false };
+
+    let hasAttachments = false;
+    const conversation = messages.map((msg) => {
+        if (!Array.isArray(msg.content)) return { ...msg };
+        return {
+            ...msg,
+            content: msg.content.map((part) => {
+                if (part.type !== 'attachment') return { ...part };
+                hasAttachments = true;
+                const { data, ...meta } = part;
+                return { ...meta, bytes: Buffer.byteLength(data || '', 'base64') };
+            })
+        };
+    });
+    return { conversation, hasAttachments };
+}
+
+/**
+ * @param {Array|string|null} conversation
+ * @param {(text: string) => string} transform
+ * @returns {Array|string|null} Диалог с преобразованными текстами сообщений.
+ */
+function mapConversation(conversation, transform) {
+    if (conversation === null) return null;
+    if (!Array.isArray(conversation)) return transform(conversation);
+    return conversation.map((msg) => {
+        if (typeof msg.content === 'string') return { ...msg, content: transform(msg.content) };
+        if (!Array.isArray(msg.content)) return msg;
+        return { ...msg, content: msg.content.map(part => (part.type === 'text' ? { ...part, text: transform(part.text) } : part)) };
+    });
+}
+
+/**
+ * @param {Error|null} error
+ * @param {string} [finishReason]
+ * @returns {'success'|'error'|'timeout'|'cancelled'}
+ */
+function outcomeOf(error, finishReason) {
+    if (finishReason === 'cancelled' || (error && error.code === ErrorCodes.CANCELLED)) return 'cancelled';
+    if (finishReason === 'timeout' || (error && error.code === ErrorCodes.TIMEOUT)) return 'timeout';
+    return error || finishReason === 'error' ? 'error' : 'success';
+}
+
+class AuditService {
+
+    constructor() {
+        const { ENABLED, DIR, MAX_FILE_BYTES, RETENTION_DAYS, REDACT_FIELDS, REDACT_PII } = config.audit;
+        const unknown = REDACT_FIELDS.filter(field => !REDACTABLE_FIELDS.includes(field));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown AUDIT_REDACT_FIELDS: ${unknown.join(', ')} (expected ${REDACTABLE_FIELDS.join(', ')})`);
+        }
+
+        this.enabled = ENABLED;
+        this.retentionDays = RETENTION_DAYS;
+        this.redactFields = new Set(REDACT_FIELDS);
+        this.redactPii = REDACT_PII;
+        /** @type {Promise<void>} Цепочка записей в файл (по одной за раз). */
+        this.writing = Promise.resolve();
+
+        // Каталог журнала создается, только если журнал включен
+        this.store = this.enabled ? new FileAuditStore(DIR, { maxFileBytes: MAX_FILE_BYTES }) : null;
+        if (this.enabled) {
+            this._prune();
+            setInterval(() => this._prune(), PRUNE_INTERVAL_MS).unref();
+        }
+    }
+
+    /**
+     * @returns {boolean} true, если журнал включен (AUDIT_ENABLED).
+     */
+    isEnabled() {
+        return this.enabled;
+    }
+
+    /**
+     * Начинает запись генерации.
+     * @param {Array|string} messages - Диалог, переданный generate() / stream().
+     * @param {string} model - Запрошенная модель.
+     * @param {'buffered'|'stream'} mode
+     * @param {import('./gemini.service').RunOptions} options
+     * @returns {AuditTrail|null} null — журнал выключен или запуск не записывается (options.audit === false).
+     */
+    begin(messages, model, mode, options) {
+        if (!this.enabled || options.audit === false) return null;
+
+        const { conversation, hasAttachments } = snapshotConversation(messages);
+        return {
+            id: `aud_${dayOf().replace(/-/g, '')}_${crypto.randomBytes(8).toString('hex')}`,
+            startedAt: Date.now(),
+            owner: options.owner || null,
+            context: options.audit || {},
+            mode,
+            requestedModel: model,
+            conversation,
+            hasAttachments,
+            generation: options.generation || null,
+            attempts: [],
+            exits: []
+        };
+    }
+
+    /**
+     * Добавляет попытку: процесс CLI, его промпт, код выхода и stderr.
+     * @param {AuditTrail} trail
+     * @param {import('./gemini.service').BackendProcess} child
+     * @param {{model: string, cliModel: string, prompt: string, queueMs: number}} attempt
+     */
+    watch(trail, child, { model, cliModel, prompt, queueMs }) {
+        const startedAt = Date.now();
+        const attempt = {
+            model,
+            cli_model: cliModel !== model ? cliModel : undefined,
+            prompt,
+            exit_code: null,
+            signal: null,
+            stderr: '',
+            queue_ms: queueMs,
+            duration_ms: null
+        };
+        trail.attempts.push(attempt);
+
+        child.stderr.on('data', (chunk) => {
+            if (attempt.stderr.length < STDERR_MAX_CHARS) attempt.stderr = (attempt.stderr + chunk.toString()).slice(0, STDERR_MAX_CHARS);
+        });
+        trail.exits.push(new Promise((resolve) => {
+            child.on('close', (code, signal) => {
+                attempt.exit_code = code;
+                attempt.signal = signal || null;
+                attempt.duration_ms = Date.now() - startedAt;
+                resolve();
+            });
+            child.on('error', (err) => {
+                attempt.spawn_error = err.message;
+                attempt.duration_ms = Date.now() - startedAt;
+                resolve();
+            });
+        }));
+    }
+
+    /**
+     * Завершает запись и сохраняет ее в журнал. Запись дожидается выхода процессов попыток:
+     * при таймауте или отмене ответ клиенту уходит раньше, чем процесс CLI сообщит код выхода.
+     * @param {AuditTrail|null} trail
+     * @param {object} result
+     * @param {string} result.model - Модель, которая отвечала (последняя попытка).
+     * @param {string} [result.output] - Ответ модели (без фильтров модерации и разбора tools).
+     * @param {string} [result.finishReason] - Причина завершения потока.
+     * @param {import('./usage.service').Usage|null} [result.usage]
+     * @param {Error|null} [result.error]
+     */
+    finish(trail, { model, output = null, finishReason, usage = null, error = null }) {
+        if (!trail) return;
+        const finishedAt = Date.now();
+
+        this.writing = this.writing.then(async () => {
+            await Promise.all(trail.exits);
+            const entry = this._redact(this._entryOf(trail, { model, output, finishReason, usage, error, finishedAt }));
+            await this.store.append(dayOf(finishedAt), [entry]);
+        }).catch(err => log.error('Failed to write audit entry', { audit_id: trail.id, err }));
+    }
+
+    /**
+     * Ищет записи, новые первыми.
+     * @param {object} [query]
+     * @param {string} [query.requestId]
+     * @param {string} [query.keyId]
+     * @param {string} [query.model] - Модель, которая отвечала, или запрошенная.
+     * @param {string} [query.outcome] - success, error, timeout или cancelled.
+     * @param {string} [query.q] - Подстрока промпта или ответа (без учета регистра).
+     * @param {string} [query.from] - Начало периода (ISO 8601).
+     * @param {string} [query.to] - Конец периода (ISO 8601).
+     * @param {number} [query.limit=50]
+     * @returns {Promise<object[]>}
+     * @throws {GatewayError} AUDIT_DISABLED.
+     */
+    async search({ requestId, keyId, model, outcome, q, from, to, limit = 50 } = {}) {
+        this._assertEnabled();
+        await this.flush();
+
+        const fromTime = from ? Date.parse(from) : -Infinity;
+        const toTime = to ? Date.parse(to) : Infinity;
+        const needle = q ? q.toLowerCase() : null;
+        const matches = (entry) => {
+            if (requestId && entry.request_id !== requestId) return false;
+            if (keyId && entry.key_id !== keyId) return false;
+            if (model && entry.model !== model && entry.requested_model !== model) return false;
+            if (outcome && entry.outcome !== outcome) return false;
+            const startedAt = Date.parse(entry.started_at);
+            if (startedAt < fromTime || startedAt > toTime) return false;
+            if (needle && !`${entry.prompt || ''}\n${entry.output || ''}`.toLowerCase().includes(needle)) return false;
+            return true;
+        };
+
+        // Запись попадает в файл дня своего завершения: это день начала или (после полуночи) следующий
+        const files = await this.store.files({
+            from: from ? dayOf(fromTime) : undefined,
+            to: to ? dayOf(toTime + DAY_MS) : undefined
+        });
+        const found = [];
+        for (const file of files) {
+            const entries = await this.store.read(file);
+            for (const entry of entries.reverse()) {
+                if (!matches(entry)) continue;
+                found.push(entry);
+                if (found.length >= limit) return found;
+            }
+        }
+        return found;
+    }
+
+    /**
+     * @param {string} id
+     * @returns {Promise<object|null>}
+     * @throws {GatewayError} AUDIT_DISABLED.
+     */
+    async get(id) {
+        this._assertEnabled();
+        const match = ID_PATTERN.exec(id);
+        if (!match) return null;
+        await this.flush();
+
+        // Генерация, начатая перед полуночью, записана в файл следующего дня
+        const day = `${match[1]}-${match[2]}-${match[3]}`;
+        const nextDay = dayOf(Date.parse(day) + DAY_MS);
+        for (const file of await this.store.files({ from: day, to: nextDay })) {
+            const entry = (await this.store.read(file)).find(item => item.id === id);
+            if (entry) return entry;
+        }
+        return null;
+    }
+
+    /**
+     * Проверяет, что запись можно честно повторить: диалог и ответ записаны без изменений.
+     * Замаскированный диалог дал бы другой запрос, а без ответа сравнивать не с чем.
+     * @param {object} entry
+     * @throws {GatewayError} AUDIT_REPLAY_UNAVAILABLE.
+     */
+    assertReplayable(entry) {
+        if (entry.conversation === null) {
+            throw new GatewayError(ErrorCodes.AUDIT_REPLAY_UNAVAILABLE, `Audit entry '${entry.id}' has no conversation (AUDIT_REDACT_FIELDS)`, 409);
+        }
+        if (entry.output === null) {
+            throw new GatewayError(ErrorCodes.AUDIT_REPLAY_UNAVAILABLE, `Audit entry '${entry.id}' has no output to compare with (AUDIT_REDACT_FIELDS)`, 409);
+        }
+        if (entry.pii_redacted) {
+            throw new GatewayError(ErrorCodes.AUDIT_REPLAY_UNAVAILABLE, `Audit entry '${entry.id}' has personal data masked in the conversation or output (AUDIT_REDACT_PII)`, 409);
+        }
+        if (entry.has_attachments) {
+            throw new GatewayError(ErrorCodes.AUDIT_REPLAY_UNAVAILABLE, `Audit entry '${entry.id}' contains attachments that are not recorded`, 409);
+        }
+    }
+
+    /**
+     * Сравнивает записанный ответ с ответом повтора.
+     * @param {object} entry
+     * @param {string} output
+     * @returns {import('../utils/diff').TextDiff}
+     */
+    compare(entry, output) {
+        return diffLines(entry.output || '', output);
+    }
+
+    /**
+     * Дожидается записи всех завершенных генераций (например, перед остановкой процесса).
+     * @returns {Promise<void>}
+     */
+    flush() {
+        return this.writing;
+    }
+
+    /**
+     * @param {AuditTrail} trail
+     * @param {object} result
+     * @returns {object} Запись журнала.
+     * @private
+     */
+    _entryOf(trail, { model, output, finishReason, usage, error, finishedAt }) {
+        const last = trail.attempts[trail.attempts.length - 1] || null;
+        return {
+            id: trail.id,
+            started_at: new Date(trail.startedAt).toISOString(),
+            finished_at: new Date(finishedAt).toISOString(),
+            duration_ms: finishedAt - trail.startedAt,
+            request_id: null,
+            key_id: trail.owner,
+            ...trail.context,
+            mode: trail.mode,
+            requested_model: trail.requestedModel,
+            model,
+            generation: trail.generation,
+            conversation: trail.conversation,
+            has_attachments: trail.hasAttachments,
+            prompt: last ? last.prompt : null,
+            output,
+            outcome: outcomeOf(error, finishReason),
+            finish_reason: finishReason || null,
+            error: error ? { code: error.code || ErrorCodes.INTERNAL_ERROR, message: error.message } : null,
+            exit_code: last ? last.exit_code : null,
+            usage,
+            attempts: trail.attempts.map(({ prompt, ...attempt }) => attempt)
+        };
+    }
+
+    /**
+     * Убирает поля AUDIT_REDACT_FIELDS и (при AUDIT_REDACT_PII) персональные данные в текстах.
+     * pii_redacted отмечает, что маскирование изменило диалог или ответ (такую запись нельзя повторить).
+     * @param {object} entry
+     * @returns {object}
+     * @private
+     */
+    _redact(entry) {
+        const redacted = { ...entry, redacted: [...this.redactFields], pii_redacted: false };
+        if (this.redactFields.has('conversation')) redacted.conversation = null;
+        if (this.redactFields.has('prompt')) redacted.prompt = null;
+        if (this.redactFields.has('output')) redacted.output = null;
+        if (this.redactFields.has('stderr')) redacted.attempts = redacted.attempts.map(attempt => ({ ...attempt, stderr: null }));
+
+        if (this.redactPii) {
+            const redact = text => (typeof text === 'string' ? moderation.redactPii(text) : text);
+            const redactReplayed = (text) => {
+                const masked = redact(text);
+                if (masked !== text) redacted.pii_redacted = true;
+                return masked;
+            };
+            redacted.conversation = mapConversation(redacted.conversation, redactReplayed);
+            redacted.prompt = redact(redacted.prompt);
+            redacted.output = redactReplayed(redacted.output);
+            redacted.attempts = redacted.attempts.map(attempt => ({ ...attempt, stderr: redact(attempt.stderr) }));
+        }
+        return redacted;
+    }
+
+    /**
+     * @throws {GatewayError} AUDIT_DISABLED.
+     * @private
+     */
+    _assertEnabled() {
+        if (!this.enabled) {
+            throw new GatewayError(ErrorCodes.AUDIT_DISABLED, 'Audit log is disabled (AUDIT_ENABLED=false)', 404);
+        }
+    }
+
+    /**
+     * Удаляет файлы журнала старше AUDIT_RETENTION_DAYS.
+     * @private
+     */
+    _prune() {
+        const cutoff = dayOf(Date.now() - this.retentionDays * DAY_MS);
+        this.writing = this.writing.then(async () => {
+            const removed = await this.store.prune(cutoff);
+            if (removed > 0) log.info('Audit files removed by retention', { files: removed, before: cutoff });
+        }).catch(err => log.error('Failed to prune audit log', { err }));
+    }
+}
+
+// Экспортируем единственный экземпляр (Singleton pattern)
+module.exports = new AuditService();
@@ -0,0 +1,654 @@
+/**
+ * @file services/batch.service.js
+ * @description Сервис пакетных заданий: JSONL файл запросов обрабатывается в фоне через общую очередь CLI
+ * с приоритетом batch. Состояние заданий хранится на диске, поэтому после перезапуска
+ * незавершенные задания продолжаются с того места, где остановились.
+ */
+
+const crypto = require('crypto');
+const config = require('../config/app.config');
+const responseCache = require('./response.cache.service');
+const apiKeyService = require('./apikey.service');
+const modelRegistry = require('./model.registry.service');
+const moderation = require('./moderation.service');
+const FileBatchStore = require('../stores/batch.file.store');
+const { ErrorCodes, GatewayError, toErrorPayload } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+const log = logger.child({ component: 'batch' });
+
+/**
+ * @typedef {Object} BatchItem
+ * @property {number} index - Номер строки запроса (с нуля, без учета пустых строк).
+ * @property {string|null} custom_id - Идентификатор клиента для сопоставления результатов.
+ * @property {string} model
+ * @property {Array<{role: string, content: string}>} messages - Диалог после модерации.
+ * @property {{masks: Object<string, string>}|null} [moderation] - Маски персональных данных запроса (MODERATION_PII_MODE=mask).
+ * @property {'pending'|'running'|'succeeded'|'failed'|'cancelled'} status
+ * @property {number} attempts - Сколько раз элемент запускался.
+ * @property {string|null} response - Ответ модели (для succeeded).
+ * @property {string|null} response_model - Модель, которая фактически ответила (могла сработать резервная).
+ * @property {{code: string, message: string}|null} error - Последняя ошибка (для failed и перед повтором).
+ * @property {number|null} next_attempt_at - Время (мс), раньше которого повтор не запускается.
+ * @property {string|null} finished_at
+ */
+
+/**
+ * @typedef {Object} BatchJob
+ * @property {string} id
+ * @property {string} owner - ID API ключа, создавшего задание.
+ * @property {string[]} allowed_models - Модели, разрешенные ключу на момент создания (для резервных моделей).
+ * @property {string[]} [blocked_terms] - Запрещенные термины ключа на момент создания (фильтр ответов).
+ * @property {'queued'|'running'|'completed'|'cancelled'} status
+ * @property {Object<string, number>} counts - Число элементов по статусам и total.
+ * @property {BatchItem[]} items
+ * @property {string} created_at
+ * @property {string|null} started_at
+ * @property {string|null} finished_at
+ * @property {{code: string, message: string}|null} [error] - Причина досрочной остановки задания (отзыв ключа).
+ */
+
+/**
+ * Ошибки, после которых элемент имеет смысл повторить позже: сбой CLI или временная перегрузка.
+ * Быстрые повторы и резервные модели уже применены GeminiService; здесь — повтор через более длинную паузу.
+ */
+const RETRYABLE_CODES = new Set([
+    ErrorCodes.TIMEOUT,
+    ErrorCodes.CLI_ERROR,
+    ErrorCodes.MODEL_RATE_LIMITED,
+    ErrorCodes.UPSTREAM_UNAVAILABLE,
+    ErrorCodes.SPAWN_FAILED,
+    ErrorCodes.QUEUE_FULL,
+    ErrorCodes.QUEUE_TIMEOUT
+]);
+
+const TERMINAL_ITEM_STATUSES = new Set(['succeeded', 'failed', 'cancelled']);
+
+/** Задержка отложенного сохранения прогресса (мс): частые обновления элементов не переписывают файл каждый раз. */
+const SAVE_DEBOUNCE_MS = 1000;
+
+/**
+ * Приводит строку JSONL к диалогу: как в /api/chat, поддерживаются messages и устаревший prompt + system.
+ * @param {object} line
+ * @returns {Array<{role: string, content: string}>}
+ * @throws {Error} Описание проблемы для отчета о строке.
+ */
+function toConversation(line) {
+    if (Array.isArray(line.messages) && line.messages.length > 0) {
+        for (const msg of line.messages) {
+            if (!msg || !['system', 'user', 'assistant'].includes(msg.role) || typeof msg.content !== 'string') {
+                throw new Error('Each message must have role (system, user or assistant) and string content');
+            }
+        }
+        return line.messages.map(({ role, content }) => ({ role, content }));
+    }
+    if (typeof line.prompt === 'string' && line.prompt) {
+        const conversation = [];
+        if (typeof line.system === 'string' && line.system) conversation.push({ role: 'system', content: line.system });
+        conversation.push({ role: 'user', content: line.prompt });
+        return conversation;
+    }
+    throw new Error('Field "messages" or "prompt" is required');
+}
+
+/**
+ * @param {BatchItem[]} items
+ * @returns {Object<string, number>}
+ */
+function countItems(items) {
+    const counts = { total: items.length, pending: 0, running: 0, succeeded: 0, failed: 0, cancelled: 0 };
+    for (const item of items) counts[item.status] += 1;
+    return counts;
+}
+
+class BatchService {
+
+    constructor() {
+        this.store = new FileBatchStore(config.batches.STORE_DIR);
+        this.concurrency = config.batches.CONCURRENCY;
+        this.maxItems = config.batches.MAX_ITEMS;
+        this.maxRetries = config.batches.MAX_RETRIES;
+        this.retryDelayMs = config.batches.RETRY_DELAY_MS;
+
+        /**
+         * Незавершенные задания в порядке поступления (FIFO между заданиями).
+         * cursor — первый элемент, который еще ни разу не запускался; retries — элементы, ждущие повтора;
+         * deferredUntil — время (мс), раньше которого элементы не запускаются: квота ключа исчерпана.
+         * @type {Map<string, {job: BatchJob, cursor: number, retries: BatchItem[], deferredUntil?: number|null}>}
+         */
+        this.active = new Map();
+        /** @type {Map<string, AbortController>} Выполняющиеся элементы: `${jobId}:${index}` -> отмена. */
+        this.inFlight = new Map();
+        /** @type {Map<string, NodeJS.Timeout>} Отложенные сохранения по ID задания. */
+        this.saveTimers = new Map();
+        /** @type {Map<string, Promise<void>>} Последнее сохранение по ID задания (записи идут строго по очереди). */
+        this.saving = new Map();
+        /** @type {NodeJS.Timeout|null} Таймер пробуждения для отложенных повторов. */
+        this.wakeTimer = null;
+        /** @type {Set<Promise<void>>} Выполняющиеся элементы (дожидаемся их при остановке). */
+        this.runs = new Set();
+        /** Остановка шлюза: новые элементы не запускаются. */
+        this.isStopping = false;
+
+        this.ready = this._resume().catch(err => log.error('Failed to resume batches', { err }));
+    }
+
+    /**
+     * Разбирает и проверяет JSONL файл задания. Задание принимается только целиком:
+     * при любой ошибке возвращается список проблемных строк.
+     * @param {string} text - Содержимое файла: один ChatRequest (+ custom_id) на строку.
+     * @param {import('./apikey.service').ApiKeyIdentity} apiKey - Права ключа на модели.
+     * Запросы проходят модерацию: заблокированная строка попадает в отчет об ошибках.
+     * @returns {Array<{custom_id: string|null, model: string, messages: Array, moderation: object|null}>}
+     * @throws {GatewayError} BATCH_INVALID.
+     */
+    parse(text, apiKey) {
+        const lines = String(text || '').split(/\r?\n/);
+        const requests = [];
+        const errors = [];
+
+        lines.forEach((raw, lineIndex) => {
+            if (!raw.trim()) return;
+            const lineNumber = lineIndex + 1;
+            try {
+                let line;
+                try {
+                    line = JSON.parse(raw);
+                } catch (err) {
+                    throw new Error(`Invalid JSON: ${err.message}`);
+                }
+                if (!line || typeof line !== 'object' || Array.isArray(line)) {
+                    throw new Error('Line must be a JSON object');
+                }
+                if (line.custom_id !== undefined && typeof line.custom_id !== 'string') {
+                    throw new Error('Field "custom_id" must be a string');
+                }
+
+                // Ошибка реестра (неизвестная, отключенная или запрещенная ключу модель) попадает в отчет по строке
+                const model = modelRegistry.resolve(line.model, apiKey).id;
+
+                const { conversation, guard } = moderation.screen(toConversation(line), apiKey, log);
+                requests.push({
+                    custom_id: line.custom_id ?? null,
+                    model,
+                    messages: conversation,
+                    moderation: guard ? moderation.toJSON(guard) : null
+                });
+            } catch (err) {
+                errors.push({ line: lineNumber, message: err.message });
+            }
+        });
+
+        if (errors.length > 0) {
+            throw new GatewayError(ErrorCodes.BATCH_INVALID, `Batch file contains ${errors.length} invalid line(s)`, 400, { errors: errors.slice(0, 100) });
+        }
+        if (requests.length === 0) {
+            throw new GatewayError(ErrorCodes.BATCH_INVALID, 'Batch file contains no requests', 400);
+        }
+        if (requests.length > this.maxItems) {
+            throw new GatewayError(ErrorCodes.BATCH_INVALID, `Batch file contains ${requests.length} requests, the limit is ${this.maxItems}`, 400);
+        }
+        return requests;
+    }
+
+    /**
+     * Создает задание и ставит его в обработку.
+     * @param {{requests: Array<{custom_id: string|null, model: string, messages: Array, moderation?: object|null}>, apiKey: import('./apikey.service').ApiKeyIdentity}} params
+     * @returns {Promise<BatchJob>}
+     */
+    async create({ requests, apiKey }) {
+        const owner = apiKey.id;
+        await this.ready;
+
+        const items = requests.map((request, index) => ({
+            index,
+            custom_id: request.custom_id,
+            model: request.model,
+            messages: request.messages,
+            moderation: request.moderation || null,
+            status: 'pending',
+            attempts: 0,
+            response: null,
+            response_model: null,
+            error: null,
+            next_attempt_at: null,
+            finished_at: null
+        }));
+
+        const job = {
+            id: `batch_${crypto.randomBytes(12).toString('hex')}`,
+            owner,
+            allowed_models: apiKey.allowed_models || ['*'],
+            blocked_terms: apiKey.blocked_terms || [],
+            status: 'queued',
+            counts: countItems(items),
+            items,
+            created_at: new Date().toISOString(),
+            started_at: null,
+            finished_at: null,
+            error: null
+        };
+
+        await this._saveNow(job);
+        this.active.set(job.id, { job, cursor: 0, retries: [] });
+        log.info('Batch created', { batch_id: job.id, owner, items: items.length });
+
+        this._pump();
+        return job;
+    }
+
+    /**
+     * @param {string} id
+     * @returns {Promise<BatchJob|null>} Актуальное состояние (для незавершенных — из памяти).
+     */
+    async get(id) {
+        await this.ready;
+        if (this.active.has(id)) return this.active.get(id).job;
+        if (!this.store.isValidId(id)) return null;
+        return this.store.get(id);
+    }
+
+    /**
+     * @param {string|null} owner - ID ключа; null — все задания (для администратора).
+     * @returns {Promise<BatchJob[]>} Задания, новые первыми.
+     */
+    async list(owner) {
+        await this.ready;
+        const stored = await this.store.list();
+        const jobs = stored.map(job => (this.active.has(job.id) ? this.active.get(job.id).job : job));
+        return jobs
+            .filter(job => owner === null || job.owner === owner)
+            .sort((a, b) => b.created_at.localeCompare(a.created_at));
+    }
+
+    /**
+     * Отменяет задание: ожидающие элементы помечаются cancelled, выполняющиеся прерываются.
+     * Уже полученные результаты сохраняются.
+     * @param {string} id
+     * @returns {Promise<BatchJob>}
+     * @throws {GatewayError} BATCH_NOT_FOUND, BATCH_FINISHED.
+     */
+    async cancel(id) {
+        await this.ready;
+        const state = this.active.get(id);
+        if (!state) {
+            const job = await this.get(id);
+            if (!job) throw new GatewayError(ErrorCodes.BATCH_NOT_FOUND, `Batch '${id}' not found`, 404);
+            throw new GatewayError(ErrorCodes.BATCH_FINISHED, `Batch '${id}' is already ${job.status}`, 409);
+        }
+
+        const { job } = state;
+        this._cancelJob(job);
+        log.info('Batch cancelled', { batch_id: job.id, counts: job.counts });
+        await this._saveNow(job);
+        return job;
+    }
+
+    /**
+     * Останавливает незавершенные задания отозванного ключа так же, как отмена:
+     * ожидающие элементы не запускаются, выполняющиеся прерываются.
+     * @param {string} owner - ID отозванного ключа.
+     * @returns {Promise<void>}
+     */
+    async revokeOwner(owner) {
+        await this.ready;
+        const jobs = [...this.active.values()].map(state => state.job).filter(job => job.owner === owner);
+        await Promise.all(jobs.map(job => this._stopRevoked(job)));
+    }
+
+    /**
+     * Краткое представление задания без элементов (для ответов API).
+     * @param {BatchJob} job
+     * @returns {object}
+     */
+    summarize(job) {
+        const { items, allowed_models, blocked_terms, ...summary } = job;
+        return summary;
+    }
+
+    /**
+     * Результаты завершенных элементов в порядке строк исходного файла.
+     * @param {BatchJob} job
+     * @returns {Array<object>}
+     */
+    results(job) {
+        return job.items
+            .filter(item => TERMINAL_ITEM_STATUSES.has(item.status))
+            .map(item => ({
+                index: item.index,
+                custom_id: item.custom_id,
+                status: item.status,
+                model: item.response_model || item.model,
+                response: item.response,
+                error: item.error,
+                attempts: item.attempts
+            }));
+    }
+
+    /**
+     * Остановка шлюза: новые элементы не запускаются, выполняющиеся дожидаются своих процессов CLI
+     * (их останавливает GeminiService), после чего состояние всех незавершенных заданий сохраняется.
+     * Прерванные элементы возвращаются в ожидание и выполняются после перезапуска.
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        this.isStopping = true;
+        if (this.wakeTimer) {
+            clearTimeout(this.wakeTimer);
+            this.wakeTimer = null;
+        }
+
+        await Promise.allSettled([...this.runs]);
+        const jobs = [...this.active.values()].map(state => state.job);
+        await Promise.all(jobs.map(job => this._saveNow(job).catch(err => log.error('Failed to save batch', { batch_id: job.id, err }))));
+        await Promise.allSettled([...this.saving.values()]);
+    }
+
+    /**
+     * Запускает элементы, пока есть свободные места в пуле BATCH_CONCURRENCY.
+     * Элементы ставятся в общую очередь CLI по одному, поэтому большое задание не вытесняет интерактивные запросы.
+     * @private
+     */
+    _pump() {
+        if (this.isStopping) return;
+        while (this.inFlight.size < this.concurrency) {
+            const next = this._nextItem();
+            if (!next) break;
+            const run = this._runItem(next.job, next.item, next.release).finally(() => this.runs.delete(run));
+            this.runs.add(run);
+        }
+        this._scheduleWake();
+    }
+
+    /**
+     * Выбирает следующий элемент: сначала созревшие повторы, затем еще не запускавшиеся, по порядку заданий.
+     * Каждый запуск элемента учитывается в квотах ключа-владельца (RPM / RPD / параллельные запросы), как отдельный запрос:
+     * пока лимит исчерпан, задание откладывается, а задания других ключей продолжают выполняться.
+     * Задания отозванного ключа останавливаются.
+     * @returns {{job: BatchJob, item: BatchItem, release: Function}|null}
+     * @private
+     */
+    _nextItem() {
+        const now = Date.now();
+        for (const state of this.active.values()) {
+            if (state.deferredUntil) {
+                if (state.deferredUntil > now) continue;
+                state.deferredUntil = null;
+            }
+            if (apiKeyService.isRevoked(state.job.owner)) {
+                this._stopRevoked(state.job).catch(err => log.error('Failed to save batch', { batch_id: state.job.id, err }));
+                continue;
+            }
+
+            const retryIndex = state.retries.findIndex(item => item.next_attempt_at <= now);
+            const items = state.job.items;
+            while (state.cursor < items.length && (items[state.cursor].status !== 'pending' || items[state.cursor].attempts > 0)) {
+                state.cursor += 1;
+            }
+            if (retryIndex === -1 && state.cursor >= items.length) continue;
+
+            const quota = apiKeyService.acquire({ id: state.job.owner });
+            if (!quota.ok) {
+                state.deferredUntil = now + quota.retryAfter * 1000;
+                log.debug('Batch deferred by key quota', { batch_id: state.job.id, limit: quota.limit, retry_after: quota.retryAfter });
+                continue;
+            }
+
+            if (retryIndex !== -1) {
+                const [item] = state.retries.splice(retryIndex, 1);
+                return { job: state.job, item, release: quota.release };
+            }
+            const item = items[state.cursor];
+            state.cursor += 1;
+            return { job: state.job, item, release: quota.release };
+        }
+        return null;
+    }
+
+    /**
+     * Планирует пробуждение к ближайшему отложенному повтору или концу ожидания квоты, если пул не занят полностью.
+     * @private
+     */
+    _scheduleWake() {
+        if (this.wakeTimer) {
+            clearTimeout(this.wakeTimer);
+            this.wakeTimer = null;
+        }
+        if (this.inFlight.size >= this.concurrency) return;
+
+        let earliest = Infinity;
+        for (const state of this.active.values()) {
+            for (const item of state.retries) earliest = Math.min(earliest, item.next_attempt_at);
+            if (state.deferredUntil) earliest = Math.min(earliest, state.deferredUntil);
+        }
+        if (earliest === Infinity) return;
+
+        this.wakeTimer = setTimeout(() => {
+            this.wakeTimer = null;
+            this._pump();
+        }, Math.max(0, earliest - Date.now()));
+        this.wakeTimer.unref();
+    }
+
+    /**
+     * Выполняет один элемент и обновляет состояние задания.
+     * @param {BatchJob} job
+     * @param {BatchItem} item
+     * @param {Function} release - Освобождает слот квоты ключа (см. ApiKeyService.acquire).
+     * @private
+     */
+    async _runItem(job, item, release) {
+        const key = `${job.id}:${item.index}`;
+        const controller = new AbortController();
+        this.inFlight.set(key, controller);
+
+        const itemLog = log.child({ batch_id: job.id, item: item.index });
+        if (job.status === 'queued') {
+            job.status = 'running';
+            job.started_at = new Date().toISOString();
+        }
+        item.status = 'running';
+        item.attempts += 1;
+        item.next_attempt_at = null;
+        job.counts = countItems(job.items);
+        this._scheduleSave(job);
+
+        try {
+            const options = {
+                priority: 'batch',
+                owner: job.owner,
+                signal: controller.signal,
+                log: itemLog,
+                canUseModel: (model) => apiKeyService.isModelAllowed({ allowed_models: job.allowed_models }, model),
+                audit: { batch_id: job.id, batch_item: item.index }
+            };
+            const cache = await responseCache.lookup(item.messages, item.model);
+            let result = await responseCache.generate(cache, item.messages, item.model, options);
+            if (moderation.isEnabled()) {
+                const guard = moderation.createGuard({ id: job.owner, blocked_terms: job.blocked_terms }, itemLog, item.moderation || {});
+                result = moderation.filterResult(guard, result);
+            }
+            item.status = 'succeeded';
+            item.response = result.text;
+            item.response_model = result.model || item.model;
+            item.error = null;
+            item.finished_at = new Date().toISOString();
+        } catch (err) {
+            this._handleItemError(job, item, err, itemLog);
+        } finally {
+            this.inFlight.delete(key);
+            release();
+        }
+
+        job.counts = countItems(job.items);
+        if (job.status === 'running' && job.counts.pending === 0 && job.counts.running === 0) {
+            this._finish(job, 'completed');
+            log.info('Batch completed', { batch_id: job.id, counts: job.counts });
+            await this._saveNow(job).catch(err => log.error('Failed to save batch', { batch_id: job.id, err }));
+        } else {
+            this._scheduleSave(job);
+        }
+        this._pump();
+    }
+
+    /**
+     * Фиксирует ошибку элемента: временные ошибки повторяются с экспоненциальной задержкой,
+     * остальные (и исчерпанные повторы) — финальный статус failed.
+     * @param {BatchJob} job
+     * @param {BatchItem} item
+     * @param {Error} err
+     * @param {import('../utils/logger').Logger} itemLog
+     * @private
+     */
+    _handleItemError(job, item, err, itemLog) {
+        if (job.status === 'cancelled') {
+            item.status = 'cancelled';
+            item.finished_at = new Date().toISOString();
+            return;
+        }
+
+        // Элемент прерван остановкой шлюза: попытка не засчитывается, элемент выполнится после перезапуска (см. _resume)
+        if (this.isStopping) {
+            item.status = 'pending';
+            item.attempts -= 1;
+            item.next_attempt_at = item.attempts > 0 ? Date.now() : null;
+            itemLog.info('Batch item interrupted by shutdown, will resume after restart', { attempt: item.attempts });
+            return;
+        }
+
+        const { code, message } = toErrorPayload(err, itemLog);
+        item.error = { code, message };
+
+        if (RETRYABLE_CODES.has(code) && item.attempts <= this.maxRetries) {
+            const delay = this.retryDelayMs * 2 ** (item.attempts - 1);
+            item.status = 'pending';
+            item.next_attempt_at = Date.now() + delay;
+            this.active.get(job.id).retries.push(item);
+            itemLog.warn('Batch item failed, will retry', { code, attempt: item.attempts, retry_in_ms: delay });
+            return;
+        }
+
+        item.status = 'failed';
+        item.finished_at = new Date().toISOString();
+        itemLog.warn('Batch item failed', { code, attempts: item.attempts });
+    }
+
+    /**
+     * Отменяет задание: ожидающие элементы помечаются cancelled, выполняющиеся прерываются.
+     * @param {BatchJob} job
+     * @param {{code: string, message: string}|null} [error] - Причина, если задание остановлено не клиентом.
+     * @private
+     */
+    _cancelJob(job, error = null) {
+        const now = new Date().toISOString();
+        for (const item of job.items) {
+            if (item.status === 'pending') {
+                item.status = 'cancelled';
+                item.finished_at = now;
+            }
+        }
+        for (const item of job.items) {
+            const controller = this.inFlight.get(`${job.id}:${item.index}`);
+            if (controller) controller.abort();
+        }
+
+        job.error = error;
+        this._finish(job, 'cancelled');
+    }
+
+    /**
+     * Останавливает задание отозванного ключа и сохраняет его.
+     * @param {BatchJob} job
+     * @returns {Promise<void>}
+     * @private
+     */
+    _stopRevoked(job) {
+        this._cancelJob(job, { code: ErrorCodes.KEY_REVOKED, message: `API key '${job.owner}' was revoked` });
+        log.info('Batch stopped: API key revoked', { batch_id: job.id, owner: job.owner, counts: job.counts });
+        return this._saveNow(job);
+    }
+
+    /**
+     * Переводит задание в финальный статус и убирает его из обработки.
+     * @param {BatchJob} job
+     * @param {'completed'|'cancelled'} status
+     * @private
+     */
+    _finish(job, status) {
+        job.status = status;
+        job.finished_at = new Date().toISOString();
+        job.counts = countItems(job.items);
+        this.active.delete(job.id);
+    }
+
+    /**
+     * Откладывает сохранение задания (прогресс отдельных элементов).
+     * @param {BatchJob} job
+     * @private
+     */
+    _scheduleSave(job) {
+        if (this.saveTimers.has(job.id)) return;
+        const timer = setTimeout(() => {
+            this.saveTimers.delete(job.id);
+            this._saveNow(job).catch(err => log.error('Failed to save batch', { batch_id: job.id, err }));
+        }, SAVE_DEBOUNCE_MS);
+        timer.unref();
+        this.saveTimers.set(job.id, timer);
+    }
+
+    /**
+     * Сохраняет задание немедленно (создание, отмена, завершение).
+     * Записи одного задания выполняются последовательно, чтобы старое состояние не перезаписало новое.
+     * @param {BatchJob} job
+     * @returns {Promise<void>}
+     * @private
+     */
+    _saveNow(job) {
+        const timer = this.saveTimers.get(job.id);
+        if (timer) {
+            clearTimeout(timer);
+            this.saveTimers.delete(job.id);
+        }
+
+        const previous = this.saving.get(job.id) || Promise.resolve();
+        const current = previous.catch(() => {}).then(() => this.store.save(job));
+        this.saving.set(job.id, current);
+        current.finally(() => {
+            if (this.saving.get(job.id) === current) this.saving.delete(job.id);
+        }).catch(() => {});
+        return current;
+    }
+
+    /**
+     * Восстанавливает незавершенные задания после перезапуска.
+     * Элементы, прерванные остановкой процесса, возвращаются в ожидание; уже полученные результаты сохраняются.
+     * @private
+     */
+    async _resume() {
+        // Квоты и отзыв ключей проверяются при запуске элементов, поэтому ключи должны быть загружены
+        await apiKeyService.ready;
+        const jobs = await this.store.list();
+        const unfinished = jobs
+            .filter(job => job.status === 'queued' || job.status === 'running')
+            .sort((a, b) => a.created_at.localeCompare(b.created_at));
+
+        for (const job of unfinished) {
+            const retries = [];
+            for (const item of job.items) {
+                if (item.status === 'running') item.status = 'pending';
+                if (item.status === 'pending' && item.attempts > 0) {
+                    item.next_attempt_at = item.next_attempt_at || Date.now();
+                    retries.push(item);
+                }
+            }
+            job.counts = countItems(job.items);
+            this.active.set(job.id, { job, cursor: 0, retries });
+            log.info('Batch resumed', { batch_id: job.id, counts: job.counts });
+        }
+
+        if (unfinished.length > 0) this._pump();
+    }
+}
+
+// Экспортируем единственный экземпляр (Singleton pattern)
+module.exports = new BatchService();
@@ -1,11 +1,169 @@
 /**
  * @file services/gemini.service.js
  * @description Сервисный слой для взаимодействия с утилитой командной строки Google Gemini CLI.
- * Отвечает за формирование аргументов и порождение дочерних процессов ОС.
+ * Отвечает за очередь, повторы, таймауты и разбор ответа; сами процессы генерации запускает бэкенд
+ * (GATEWAY_BACKEND: Gemini CLI или мок-бэкенд для разработки и тестов).
  */
 
-const { spawn, ChildProcessWithoutNullStreams } = require('child_process');
+const fs = require('fs/promises');
+const path = require('path');
+const EventEmitter = require('events');
 const config = require('../config/app.config');
+const StreamJsonParser = require('../utils/stream-json.parser');
+const { RequestScheduler } = require('./request.scheduler');
+const attachmentService = require('./attachment.service');
+const modelRegistry = require('./model.registry.service');
+const usageService = require('./usage.service');
+const auditService = require('./audit.service');
+const GeminiCliBackend = require('../backends/gemini-cli.backend');
+const MockBackend = require('../backends/mock.backend');
+const { ErrorCodes, GatewayError } = require('../utils/errors');
+const { classifyCliFailure, isRetryable, allowsFallback } = require('../utils/cli-error.classifier');
+const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
+
+/**
+ * @typedef {Object} RunOptions
+ * @property {'interactive'|'standard'|'batch'} [priority] - Класс приоритета в очереди.
+ * @property {string} [owner] - Владелец запроса для справедливой очереди (ID API ключа).
+ * @property {AbortSignal} [signal] - Отмена: снимает запрос с очереди или останавливает процесс.
+ * @property {(position: number, queued: number) => void} [onQueuePosition] - Позиция в очереди, пока запрос ждет.
+ * @property {import('../utils/logger').Logger} [log] - Логгер запроса (с request_id).
+ * @property {number} [timeoutMs] - Таймаут watchdog для этого запуска (по умолчанию timeout_ms модели или GEMINI_REQUEST_TIMEOUT_MS).
+ * @property {boolean} [retry=true] - Повторять временные сбои CLI (GEMINI_RETRY_ATTEMPTS).
+ * @property {boolean} [fallback=true] - Переходить на резервные модели (GEMINI_FALLBACK_MODELS).
+ * @property {(model: string) => boolean} [canUseModel] - Какие резервные модели доступны вызывающему (по умолчанию — все).
+ * @property {GenerationParams|null} [generation] - Параметры генерации (temperature, max_tokens и т.п.).
+ * @property {import('./audit.service').AuditContext|false} [audit] - Контекст записи в журнале аудита (ID HTTP запроса,
+ *   маршрут, имя ключа); false — генерация не записывается.
+ * @property {boolean} [usage=true] - Учитывать генерацию в статистике использования (false — служебные запуски, например проба готовности).
+ * @property {import('./audit.service').AuditTrail|null} [trail] - Запись журнала текущей генерации (задают generate() / stream()).
+ */
+
+/**
+ * @typedef {Object} GenerationParams
+ * @property {number} [temperature]
+ * @property {number} [top_p]
+ * @property {number} [max_tokens] - Максимум токенов ответа.
+ * @property {string[]} [stop] - Стоп-последовательности.
+ */
+
+/**
+ * Процесс генерации: подмножество ChildProcess, которое использует сервис.
+ * stdout — ответ (текст в buffered режиме, stream-json в потоковом), stderr — диагностика сбоя;
+ * событие close(code, signal) приходит после того, как вывод прочитан, ненулевой код разбирается classifyCliFailure.
+ * @typedef {import('events').EventEmitter & {
+ *   stdout: import('stream').Readable,
+ *   stderr: import('stream').Readable,
+ *   pid: number|undefined,
+ *   killed: boolean,
+ *   exitCode: number|null,
+ *   kill: (signal?: NodeJS.Signals) => boolean
+ * }} BackendProcess
+ */
+
+/**
+ * @typedef {Object} BackendRequest
+ * @property {string} model - ID модели (или псевдоним из workspaceConfig).
+ * @property {string} prompt - Диалог, собранный в текст с префиксами ролей.
+ * @property {string} [cwd] - Рабочая папка запроса (вложения, настройки генерации).
+ * @property {import('../utils/logger').Logger} log - Логгер запроса.
+ */
+
+/**
+ * Бэкенд генерации (см. backends/).
+ * @typedef {Object} Backend
+ * @property {string} name
+ * @property {(request: BackendRequest) => BackendProcess} generate - Полный ответ текстом.
+ * @property {(request: BackendRequest) => BackendProcess} stream - Ответ в формате stream-json.
+ * @property {() => BackendProcess} health - Процесс, который печатает версию и завершается с кодом 0.
+ * @property {(model: string, generation?: GenerationParams|null) => {files: Object<string, string>, model: string}|null} [workspaceConfig]
+ *   Файлы рабочей папки и модель запуска для параметров генерации. Нет метода или null — параметры не передаются.
+ */
+
+/**
+ * @typedef {Object} RetryPlan
+ * @property {string[]} models - Запрошенная модель и резервные за ней.
+ * @property {number} index - Текущая модель в models.
+ * @property {number} attempt - Сколько повторов уже сделано на текущей модели.
+ * @property {number} maxRetries
+ */
+
+/**
+ * @param {bigint} startedAt - Значение process.hrtime.bigint() на старте.
+ * @returns {number} Прошедшее время в секундах.
+ */
+function secondsSince(startedAt) {
+    return Number(process.hrtime.bigint() - startedAt) / 1e9;
+}
+
+/**
+ * Пауза перед повтором, прерываемая отменой запроса.
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ * @throws {GatewayError} CANCELLED.
+ */
+function pause(ms, signal) {
+    return new Promise((resolve, reject) => {
+        const cancelled = () => new GatewayError(ErrorCodes.CANCELLED, 'Request was cancelled by the client', 499);
+        if (signal && signal.aborted) return reject(cancelled());
+
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(cancelled());
+        };
+        const timer = setTimeout(() => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/** Префиксы ролей, которыми _buildPrompt размечает диалог. */
+const ROLE_MARKER_PATTERN = /^([ \t]*)(User|System Instruction|Model):/gim;
+
+/**
+ * Экранирует префиксы ролей в начале строк (`System Instruction:` → `\System Instruction:`).
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeRoleMarkers(text) {
+    return text.replace(ROLE_MARKER_PATTERN, '$1\\$2:');
+}
+
+/**
+ * Текст сообщения. Вложения, еще не сохраненные в рабочую папку, учитываются ссылкой `@<файл>`.
+ * @param {import('./attachment.service').MessageContent} content
+ * @returns {string}
+ */
+function contentToText(content) {
+    if (!Array.isArray(content)) return String(content ?? '');
+    return content.map(part => (part.type === 'text' ? part.text : `@${part.filename || 'attachment'}`)).join('\n');
+}
+
+/**
+ * Создает бэкенд генерации по GATEWAY_BACKEND.
+ * @returns {Backend}
+ */
+function createBackend() {
+    switch (config.backend.TYPE) {
+        case 'gemini':
+            return new GeminiCliBackend(config.gemini.CLI_COMMAND);
+        case 'mock':
+            return new MockBackend({
+                latencyMs: config.backend.MOCK_LATENCY_MS,
+                chunkDelayMs: config.backend.MOCK_CHUNK_DELAY_MS,
+                scriptFile: config.backend.MOCK_SCRIPT_FILE
+            });
+        default:
+            throw new Error(`Unknown GATEWAY_BACKEND: '${config.backend.TYPE}' (expected gemini or mock)`);
+    }
+}
+
+/** Как часто проверять, завершились ли процессы CLI при остановке шлюза (мс). */
+const IDLE_POLL_MS = 100;
 
 /**
  * Класс, инкапсулирующий логику запуска Gemini CLI.
@@ -13,73 +171,704 @@ const config = require('../config/app.config');
 class GeminiService {
 
     constructor() {
-        this.cliCommand = config.gemini.CLI_COMMAND;
-        this.maxConcurrent = config.gemini.MAX_CONCURRENT_REQUESTS;
-        this.activeRequests = 0;
-        this.requestQueue = [];
-    }
-
-    _buildArgs(messages, model, stream = false) {
-        let fullPrompt = '';
-
-        if (Array.isArray(messages)) {
-            fullPrompt = messages.map(msg => {
-                let prefix = 'User';
-                if (msg.role === 'system') prefix = 'System Instruction';
-                else if (msg.role === 'assistant') prefix = 'Model';
-                else if (msg.role === 'user') prefix = 'User';
-                return `${prefix}: ${msg.content}`;
-            }).join('\n\n');
-        } else {
-            // Legacy/Fallback input
-            fullPrompt = String(messages);
+        /** @type {Backend} */
+        this.backend = createBackend();
+        this.log = logger.child({ component: 'gemini' });
+        this.scheduler = new RequestScheduler({
+            maxConcurrent: config.gemini.MAX_CONCURRENT_REQUESTS,
+            maxQueueLength: config.gemini.MAX_QUEUE_LENGTH,
+            waitTimeoutMs: config.gemini.QUEUE_TIMEOUT_MS
+        });
+        metrics.setQueueStatsProvider(() => this.scheduler.stats());
+
+        /**
+         * Очереди моделей с собственным лимитом max_concurrent (реестр моделей).
+         * @type {Map<string, RequestScheduler>}
+         */
+        this.modelSchedulers = new Map();
+
+        /** @type {Set<BackendProcess>} Запущенные процессы CLI (для остановки шлюза). */
+        this.children = new Set();
+        /** @type {GatewayError|null} Ошибка для новых запросов после drain(). */
+        this.shutdownError = null;
+    }
+
+    /**
+     * Начинает остановку: очереди закрываются, ожидающие слота и новые запросы получают 503 SHUTTING_DOWN,
+     * повторы и переход на резервные модели прекращаются. Выполняющиеся процессы продолжают работу.
+     */
+    drain() {
+        this.shutdownError = new GatewayError(ErrorCodes.SHUTTING_DOWN, 'Server is shutting down, retry the request later', 503, { retry_after: 5 });
+        this.scheduler.close(this.shutdownError);
+        for (const scheduler of this.modelSchedulers.values()) scheduler.close(this.shutdownError);
+    }
+
+    /**
+     * @returns {boolean} true, если шлюз останавливается (вызван drain()).
+     */
+    isDraining() {
+        return this.shutdownError !== null;
+    }
+
+    /**
+     * Ждет завершения всех процессов CLI.
+     * @param {number} timeoutMs
+     * @returns {Promise<boolean>} false, если за timeoutMs остались работающие процессы.
+     */
+    waitForIdle(timeoutMs) {
+        return new Promise((resolve) => {
+            const startedAt = Date.now();
+            const check = () => {
+                if (this.children.size === 0) return resolve(true);
+                if (Date.now() - startedAt >= timeoutMs) return resolve(false);
+                setTimeout(check, IDLE_POLL_MS);
+            };
+            check();
+        });
+    }
+
+    /**
+     * Останавливает оставшиеся процессы CLI. Их запросы завершаются ошибкой SHUTTING_DOWN
+     * (потоки получают событие error и done).
+     * @param {NodeJS.Signals} [signal='SIGTERM']
+     * @returns {number} Сколько процессов получили сигнал.
+     */
+    terminateAll(signal = 'SIGTERM') {
+        const error = this.shutdownError || new GatewayError(ErrorCodes.SHUTTING_DOWN, 'Server is shutting down', 503);
+        for (const child of this.children) {
+            child.terminatedBy = error;
+            child.kill(signal);
+        }
+        return this.children.size;
+    }
+
+    /**
+     * Быстрая проверка перед открытием SSE потока: если очередь переполнена,
+     * клиенту лучше сразу получить HTTP 503, чем событие error внутри потока.
+     * @param {string} [model] - Учитывать также очередь модели с собственным лимитом max_concurrent.
+     * @throws {GatewayError} QUEUE_FULL.
+     */
+    assertCapacity(model) {
+        const modelScheduler = model && this.modelSchedulers.get(model);
+        if (this.scheduler.isFull() || (modelScheduler && modelScheduler.isFull())) {
+            throw new GatewayError(ErrorCodes.QUEUE_FULL, 'Server is busy: queue is full', 503, { retry_after: 5 });
         }
+    }
 
-        const args = [fullPrompt, '-m', model];
-        if (stream) {
-            args.push('-o', 'stream-json');
+    /**
+     * @returns {object} Текущее состояние очереди (активные процессы, ожидающие запросы по приоритетам
+     *   и по моделям с собственным лимитом).
+     */
+    getQueueStats() {
+        const byModel = {};
+        for (const [model, scheduler] of this.modelSchedulers) {
+            const { active, maxConcurrent, queued } = scheduler.stats();
+            byModel[model] = { active, maxConcurrent, queued };
         }
-        return args;
+        return { ...this.scheduler.stats(), byModel };
     }
 
+    /**
+     * Проверяет размер промпта до постановки в очередь.
+     * @param {Array|string} messages
+     * @returns {number} Размер промпта в байтах.
+     * @throws {GatewayError} PROMPT_TOO_LARGE.
+     */
+    assertPromptSize(messages) {
+        const size = Buffer.byteLength(this._buildPrompt(messages));
+        const limit = config.gemini.MAX_PROMPT_BYTES;
+        if (size > limit) {
+            throw new GatewayError(ErrorCodes.PROMPT_TOO_LARGE, `Prompt is ${size} bytes, the limit is ${limit}`, 413, {
+                prompt_bytes: size,
+                max_prompt_bytes: limit
+            });
+        }
+        return size;
+    }
+
+    /**
+     * Собирает диалог в один текст с префиксами ролей.
+     * Префиксы в начале строк содержимого экранируются: текст пользователя не может выдать себя
+     * за системную инструкцию или ответ модели.
+     * @param {Array|string} messages
+     * @returns {string}
+     * @private
+     */
+    _buildPrompt(messages) {
+        if (!Array.isArray(messages)) {
+            // Legacy/Fallback input
+            return String(messages);
+        }
+
+        return messages.map(msg => {
+            let prefix = 'User';
+            if (msg.role === 'system') prefix = 'System Instruction';
+            else if (msg.role === 'assistant') prefix = 'Model';
+            else if (msg.role === 'user') prefix = 'User';
+            return `${prefix}: ${escapeRoleMarkers(contentToText(msg.content))}`;
+        }).join('\n\n');
+    }
+
+    /**
+     * Запускает проверку бэкенда (для Gemini CLI — `gemini --version`).
+     * @returns {BackendProcess}
+     */
     checkHealth() {
-        return spawn(this.cliCommand, ['--version']);
+        return this.backend.health();
+    }
+
+    /**
+     * Создает процесс генерации, соблюдая лимит одновременных запросов (общий и лимит модели max_concurrent).
+     * Возвращает Promise, который резолвится в процесс бэкенда (BackendProcess), когда подойдет очередь.
+     * Если у модели есть системная инструкция по умолчанию, а в диалоге своей нет, она добавляется в промпт.
+     * Если в сообщениях есть вложения или заданы параметры генерации, процесс запускается во временной рабочей папке,
+     * которая удаляется после его завершения.
+     * @param {Array|string} messages
+     * @param {string} model
+     * @param {boolean} isStream
+     * @param {RunOptions} [options]
+     * @throws {GatewayError} QUEUE_FULL, QUEUE_TIMEOUT, CANCELLED, SHUTTING_DOWN.
+     */
+    async createProcessBuffered(messages, model, isStream, options = {}) {
+        const { priority = 'standard', owner, signal, onQueuePosition, log = this.log } = options;
+        if (this.shutdownError) throw this.shutdownError;
+
+        // Если слотов нет — ждем в очереди (с таймаутом и возможностью отмены).
+        // Сначала слот модели: общий слот не должен простаивать, пока запрос ждет свою модель
+        const queuedAt = process.hrtime.bigint();
+        const acquireOptions = { priority, owner, signal, onPosition: onQueuePosition, log };
+        const releaseModel = await this._acquireModelSlot(model, acquireOptions);
+        let releaseGlobal;
+        try {
+            releaseGlobal = await this.scheduler.acquire(acquireOptions);
+        } catch (err) {
+            releaseModel();
+            throw err;
+        }
+        const release = () => {
+            releaseGlobal();
+            releaseModel();
+        };
+        const queueSeconds = secondsSince(queuedAt);
+        metrics.queueWaitDuration.observe({ priority }, queueSeconds);
+
+        // Вложения и параметры генерации требуют рабочей папки запроса: CLI запускается в ней
+        const prompted = modelRegistry.withSystemPrompt(messages, model);
+        let workspace;
+        try {
+            workspace = await this._prepareWorkspace(prompted, model, options.generation);
+        } catch (err) {
+            release();
+            log.error('Failed to prepare CLI workspace', { err });
+            throw new GatewayError(ErrorCodes.INTERNAL_ERROR, 'Failed to prepare request workspace', 500);
+        }
+
+        // Клиент ушел, пока готовилась рабочая папка: событие abort уже прошло, и процесс никто бы не остановил
+        if (signal && signal.aborted) {
+            release();
+            if (workspace) workspace.cleanup().catch(err => log.warn('Failed to remove CLI workspace', { dir: workspace.dir, err }));
+            throw new GatewayError(ErrorCodes.CANCELLED, 'Request was cancelled by the client', 499);
+        }
+
+        const request = {
+            model: workspace ? workspace.cliModel : model,
+            prompt: this._buildPrompt(workspace ? workspace.messages : prompted),
+            cwd: workspace ? workspace.dir : undefined,
+            log
+        };
+        const child = isStream ? this.backend.stream(request) : this.backend.generate(request);
+        log.debug('CLI process spawned', { model, backend: this.backend.name, mode: isStream ? 'stream' : 'buffered', pid: child.pid, workspace: workspace && workspace.dir });
+        if (options.trail) {
+            auditService.watch(options.trail, child, { model, cliModel: request.model, prompt: request.prompt, queueMs: Math.round(queueSeconds * 1000) });
+        }
+
+        // Освобождаем слот при любом исходе (release идемпотентен)
+        child.on('close', release);
+        child.on('error', release);
+
+        this.children.add(child);
+        child.on('close', () => this.children.delete(child));
+        child.on('error', () => this.children.delete(child));
+
+        if (workspace) {
+            let removed = false;
+            const cleanup = () => {
+                if (removed) return;
+                removed = true;
+                workspace.cleanup().catch(err => log.warn('Failed to remove CLI workspace', { dir: workspace.dir, err }));
+            };
+            child.on('close', cleanup);
+            child.on('error', cleanup);
+        }
+
+        // Клиент ушел, пока процесс работает — останавливаем CLI
+        if (signal) {
+            const onAbort = () => {
+                if (!child.killed && child.exitCode === null) {
+                    log.info('Request cancelled, killing CLI process', { model, pid: child.pid });
+                    child.kill();
+                }
+            };
+            signal.addEventListener('abort', onAbort, { once: true });
+            child.on('close', () => signal.removeEventListener('abort', onAbort));
+        }
+
+        return child;
+    }
+
+    /**
+     * Запускает генерацию и дожидается полного ответа.
+     * Временные сбои повторяются с экспоненциальной задержкой, а недоступная модель заменяется
+     * следующей из цепочки GEMINI_FALLBACK_MODELS. В ответе — модель, которая фактически ответила,
+     * и статистика запроса (usage), которая учитывается за владельцем запроса. Генерация записывается в журнал аудита.
+     * @param {Array|string} messages - Диалог или готовый текст запроса.
+     * @param {string} model - ID модели.
+     * @param {RunOptions} [options]
+     * @returns {Promise<{text: string, model: string, usage: import('./usage.service').Usage}>}
+     * @throws {GatewayError} PROMPT_TOO_LARGE или ошибка последней попытки (см. _generateOnce).
+     */
+    async generate(messages, model, options = {}) {
+        this.assertPromptSize(messages);
+        const log = options.log || this.log;
+        const plan = this._retryPlan(model, options);
+        const startedAt = Date.now();
+        const trail = auditService.begin(messages, model, 'buffered', options);
+        const attemptOptions = { ...options, trail };
+        let current = model;
+
+        for (;;) {
+            try {
+                const result = await this._generateOnce(messages, current, attemptOptions);
+                // Буферизованный режим CLI не сообщает статистику токенов: оцениваем по тексту
+                const prompt = this._buildPrompt(modelRegistry.withSystemPrompt(messages, current));
+                const usage = usageService.measure(prompt, result.text, null, startedAt);
+                this._recordUsage(options, { model: current, usage, latencyMs: usage.latency_ms });
+                auditService.finish(trail, { model: current, output: result.text, usage });
+                return { ...result, model: current, usage };
+            } catch (err) {
+                const next = this._nextAttempt(plan, err, log);
+                if (!next) {
+                    this._recordUsage(options, { model: current, failed: true, latencyMs: Date.now() - startedAt });
+                    auditService.finish(trail, { model: current, error: err });
+                    throw err;
+                }
+                try {
+                    await pause(next.delayMs, options.signal);
+                } catch (pauseErr) {
+                    // Клиент ушел во время паузы перед повтором: запрос завершается отменой
+                    this._recordUsage(options, { model: current, failed: true, latencyMs: Date.now() - startedAt });
+                    auditService.finish(trail, { model: current, error: pauseErr });
+                    throw pauseErr;
+                }
+                current = next.model;
+            }
+        }
+    }
+
+    /**
+     * Одна попытка генерации с ожиданием полного ответа.
+     * Учитывает очередь и watchdog (TIMEOUT_MS).
+     * @param {Array|string} messages
+     * @param {string} model
+     * @param {RunOptions} [options]
+     * @returns {Promise<{text: string}>}
+     * @throws {GatewayError} SPAWN_FAILED, TIMEOUT, CANCELLED, ошибки CLI (см. cli-error.classifier) или очереди.
+     * @private
+     */
+    async _generateOnce(messages, model, options = {}) {
+        const log = options.log || this.log;
+        const timeoutMs = this._timeoutFor(model, options);
+        const child = await this.createProcessBuffered(messages, model, false, options);
+        const startedAt = process.hrtime.bigint();
+
+        return new Promise((resolve, reject) => {
+            let output = '';
+            let errorOut = '';
+            let isSettled = false;
+
+            const settle = (outcome, fn, value) => {
+                if (isSettled) return;
+                isSettled = true;
+                clearTimeout(timer);
+                metrics.cliProcessDuration.observe({ model, mode: 'buffered', outcome }, secondsSince(startedAt));
+                fn(value);
+            };
+
+            // Watchdog: зависший CLI принудительно убиваем
+            const timer = setTimeout(() => {
+                child.kill(); // SIGTERM
+                metrics.cliTimeoutsTotal.inc({ model });
+                log.warn('CLI process timed out', { model, pid: child.pid, timeout_ms: timeoutMs });
+                settle('timeout', reject, new GatewayError(ErrorCodes.TIMEOUT, 'Gateway Timeout: Model took too long to respond', 504));
+            }, timeoutMs);
+
+            child.on('error', (err) => {
+                metrics.cliSpawnFailuresTotal.inc({ model });
+                log.error('Failed to spawn CLI process', { model, err });
+                settle('spawn_failed', reject, new GatewayError(ErrorCodes.SPAWN_FAILED, 'Failed to spawn CLI process', 500, { details: err.message }));
+            });
+
+            child.stdout.on('data', (chunk) => { output += chunk.toString(); });
+            child.stderr.on('data', (chunk) => { errorOut += chunk.toString(); });
+
+            child.on('close', (code) => {
+                if (child.terminatedBy) {
+                    log.warn('CLI process stopped by gateway shutdown', { model, pid: child.pid });
+                    return settle('shutdown', reject, child.terminatedBy);
+                }
+                if (options.signal && options.signal.aborted) {
+                    return settle('cancelled', reject, new GatewayError(ErrorCodes.CANCELLED, 'Request was cancelled by the client', 499));
+                }
+                if (code !== 0) {
+                    const err = classifyCliFailure(code, errorOut);
+                    log.error('CLI execution failed', { model, code: err.code, exit_code: code, stderr: errorOut });
+                    return settle('error', reject, err);
+                }
+                log.debug('CLI process finished', { model, duration_ms: Math.round(secondsSince(startedAt) * 1000) });
+                settle('success', resolve, { text: output.trim() });
+            });
+        });
     }
 
     /**
-     * Создает процесс генерации, соблюдая лимит одновременных запросов.
-     * Возвращает Promise, который резолвится в ChildProcess, когда подойдет очередь.
+     * Запускает потоковую генерацию (stream-json).
+     * Возвращает EventEmitter, который транслирует нормализованные события:
+     * - 'event' ({type, data}) — delta, tool_call, usage, error по мере поступления;
+     * - 'end' ({finishReason, text, usage, error, model}) — ровно один раз по завершении;
+     *   usage — статистика запроса (null, если генерация не завершилась успешно).
+     * Метод cancel() останавливает процесс CLI (например, при отключении клиента),
+     * свойство model — модель текущей попытки.
+     *
+     * Повтор и переход на резервную модель возможны, только пока клиенту не отправлено ни одного фрагмента ответа:
+     * события usage / error до первого фрагмента придерживаются и отбрасываются, если попытка будет повторена.
+     * @param {Array|string} messages
+     * @param {string} model
+     * @param {RunOptions} [options]
+     * @returns {Promise<EventEmitter & {cancel: Function, model: string}>}
+     * @throws {GatewayError} PROMPT_TOO_LARGE, ошибки очереди первой попытки (QUEUE_FULL, QUEUE_TIMEOUT, CANCELLED).
      */
-    async createProcessBuffered(messages, model, isStream) {
-        // Если слотов нет — ждем в очереди
-        if (this.activeRequests >= this.maxConcurrent) {
-            console.log(`[Queue] Limit reached (${this.activeRequests}/${this.maxConcurrent}). Request queued.`);
-            await new Promise(resolve => this.requestQueue.push(resolve));
+    async stream(messages, model, options = {}) {
+        this.assertPromptSize(messages);
+        const log = options.log || this.log;
+        const plan = this._retryPlan(model, options);
+        const startedAt = Date.now();
+        const run = new EventEmitter();
+        // Отмена прерывает и паузу между попытками, и ожидание в очереди
+        const controller = new AbortController();
+        const signal = controller.signal;
+        if (options.signal) {
+            if (options.signal.aborted) controller.abort();
+            else options.signal.addEventListener('abort', () => controller.abort(), { once: true });
         }
+        const trail = auditService.begin(messages, model, 'stream', options);
+        const attemptOptions = { ...options, signal, trail };
+
+        let attempt = null;
+        let hasOutput = false;
+        let held = [];
+
+        const flushHeld = () => {
+            for (const event of held.splice(0)) run.emit('event', event);
+        };
+
+        const attach = (inner, attemptModel) => {
+            attempt = inner;
+            run.model = attemptModel;
+            if (signal.aborted) inner.cancel();
+
+            inner.on('event', (event) => {
+                if (!hasOutput && (event.type === 'usage' || event.type === 'error')) {
+                    held.push(event);
+                    return;
+                }
+                hasOutput = true;
+                flushHeld();
+                run.emit('event', event);
+            });
 
-        this.activeRequests++;
-        const args = this._buildArgs(messages, model, isStream);
-        const child = spawn(this.cliCommand, args);
+            inner.once('end', async (result) => {
+                const next = !hasOutput && !signal.aborted && result.error
+                    ? this._nextAttempt(plan, result.error, log)
+                    : null;
+                if (!next) {
+                    flushHeld();
+                    const usage = this._recordStream(messages, attemptModel, result, startedAt, options);
+                    auditService.finish(trail, { model: attemptModel, output: result.text, finishReason: result.finishReason, usage, error: result.error });
+                    return run.emit('end', { ...result, usage, model: attemptModel });
+                }
 
-        const onFinish = () => {
-            this.activeRequests--;
-            console.log(`[Queue] Process finished. Active: ${this.activeRequests}/${this.maxConcurrent}`);
-            if (this.requestQueue.length > 0) {
-                // Запускаем следующий ждущий запрос
-                const nextResolve = this.requestQueue.shift();
-                nextResolve();
+                held = [];
+                try {
+                    await pause(next.delayMs, signal);
+                    attach(await this._streamOnce(messages, next.model, attemptOptions), next.model);
+                } catch (err) {
+                    const finishReason = err.code === ErrorCodes.CANCELLED ? 'cancelled' : 'error';
+                    this._recordUsage(options, { model: next.model, failed: true, latencyMs: Date.now() - startedAt });
+                    auditService.finish(trail, { model: next.model, output: '', finishReason, error: err });
+                    run.emit('end', { finishReason, text: '', usage: null, error: finishReason === 'error' ? err : null, model: next.model });
+                }
+            });
+        };
+
+        run.cancel = () => {
+            controller.abort();
+            if (attempt) attempt.cancel();
+        };
+
+        let first;
+        try {
+            first = await this._streamOnce(messages, model, attemptOptions);
+        } catch (err) {
+            this._recordUsage(options, { model, failed: true, latencyMs: Date.now() - startedAt });
+            auditService.finish(trail, { model, error: err });
+            throw err;
+        }
+        attach(first, model);
+        return run;
+    }
+
+    /**
+     * Учитывает завершенную потоковую генерацию. Токены берутся из статистики stream-json,
+     * а если CLI ее не прислал — оцениваются по тексту.
+     * @param {Array|string} messages
+     * @param {string} model - Модель, которая отвечала.
+     * @param {{finishReason: string, text: string, usage: object|null, error: object|null}} result - Итог попытки.
+     * @param {number} startedAt - Date.now() на старте запроса.
+     * @param {RunOptions} options
+     * @returns {import('./usage.service').Usage|null} null для ошибки, таймаута и отмены.
+     * @private
+     */
+    _recordStream(messages, model, result, startedAt, options) {
+        if (result.error || ['error', 'timeout', 'cancelled'].includes(result.finishReason)) {
+            this._recordUsage(options, { model, failed: true, latencyMs: Date.now() - startedAt });
+            return null;
+        }
+        const prompt = this._buildPrompt(modelRegistry.withSystemPrompt(messages, model));
+        const usage = usageService.measure(prompt, result.text, result.usage, startedAt);
+        this._recordUsage(options, { model, usage, latencyMs: usage.latency_ms });
+        return usage;
+    }
+
+    /**
+     * Записывает генерацию в статистику использования от имени владельца запроса (если options.usage не false).
+     * @param {RunOptions} options
+     * @param {{model: string, usage?: import('./usage.service').Usage, failed?: boolean, latencyMs: number}} entry
+     * @private
+     */
+    _recordUsage(options, entry) {
+        if (options.usage === false) return;
+        usageService.record({ owner: options.owner, ...entry });
+    }
+
+    /**
+     * Одна попытка потоковой генерации (интерфейс как у stream(), без повторов).
+     * @param {Array|string} messages
+     * @param {string} model
+     * @param {RunOptions} [options]
+     * @returns {Promise<EventEmitter & {cancel: Function}>}
+     * @throws {GatewayError} Ошибки очереди (QUEUE_FULL, QUEUE_TIMEOUT, CANCELLED).
+     * @private
+     */
+    async _streamOnce(messages, model, options = {}) {
+        const log = options.log || this.log;
+        const timeoutMs = this._timeoutFor(model, options);
+        const child = await this.createProcessBuffered(messages, model, true, options);
+        const startedAt = process.hrtime.bigint();
+        const parser = new StreamJsonParser({ log });
+        const run = new EventEmitter();
+        let isFinished = false;
+        let hasFirstToken = false;
+
+        const forward = (events) => {
+            for (const event of events) {
+                if (event.type === 'delta' && !hasFirstToken) {
+                    hasFirstToken = true;
+                    metrics.streamTimeToFirstToken.observe({ model }, secondsSince(startedAt));
+                }
+                run.emit('event', event);
             }
         };
 
-        // Освобождаем слот при любом исходе
-        child.on('close', onFinish);
+        const finish = (finishReason, error = null) => {
+            if (isFinished) return;
+            isFinished = true;
+            clearTimeout(timer);
+            metrics.cliProcessDuration.observe({ model, mode: 'stream', outcome: finishReason }, secondsSince(startedAt));
+            run.emit('end', { finishReason, text: parser.text, usage: parser.usage, error });
+        };
+
+        run.cancel = () => {
+            if (!child.killed && child.exitCode === null) {
+                log.info('Generation cancelled, killing CLI process', { model, pid: child.pid });
+                child.kill();
+            }
+            finish('cancelled');
+        };
+
+        // Watchdog: зависший CLI принудительно убиваем
+        const timer = setTimeout(() => {
+            child.kill();
+            metrics.cliTimeoutsTotal.inc({ model });
+            log.warn('CLI process timed out', { model, pid: child.pid, timeout_ms: timeoutMs });
+            finish('timeout', new GatewayError(ErrorCodes.TIMEOUT, 'Model took too long to respond', 504));
+        }, timeoutMs);
+
         child.on('error', (err) => {
-            // Если ошибка запуска (до close), тоже надо освободить слот, 
-            // но обычно error сопровождается close или exit, однако для надежности:
-            // (хотя часто close стреляет всегда, дублировать не будем, оставим на close)
+            metrics.cliSpawnFailuresTotal.inc({ model });
+            log.error('Failed to spawn CLI process', { model, err });
+            finish('error', new GatewayError(ErrorCodes.SPAWN_FAILED, 'Failed to spawn CLI process'));
         });
 
-        return child;
+        child.stdout.on('data', (chunk) => {
+            if (!isFinished) forward(parser.push(chunk));
+        });
+
+        // stderr нужен целиком: по нему классифицируется ошибка (лимит, авторизация, сеть)
+        let errorOut = '';
+        child.stderr.on('data', (chunk) => { errorOut += chunk.toString(); });
+
+        child.on('close', (code) => {
+            if (isFinished) return;
+            forward(parser.end());
+
+            if (child.terminatedBy) {
+                log.warn('CLI process stopped by gateway shutdown', { model, pid: child.pid });
+                return finish('error', child.terminatedBy);
+            }
+
+            if (code !== 0) {
+                const err = classifyCliFailure(code, errorOut);
+                log.error('CLI execution failed', { model, code: err.code, exit_code: code, stderr: errorOut });
+                return finish('error', err);
+            }
+            finish(parser.finishReason || 'stop');
+        });
+
+        return run;
+    }
+
+    /**
+     * Занимает слот в очереди модели, если в реестре для нее задан max_concurrent.
+     * Лимит читается при каждом запросе: изменение файла реестра применяется без перезапуска.
+     * @param {string} model
+     * @param {object} acquireOptions - Параметры RequestScheduler.acquire().
+     * @returns {Promise<Function>} release().
+     * @throws {GatewayError} QUEUE_FULL, QUEUE_TIMEOUT, CANCELLED.
+     * @private
+     */
+    async _acquireModelSlot(model, acquireOptions) {
+        const entry = modelRegistry.get(model);
+        const limit = entry && entry.max_concurrent;
+        let scheduler = this.modelSchedulers.get(model);
+        if (!limit && !scheduler) return () => {};
+
+        if (!scheduler) {
+            scheduler = new RequestScheduler({
+                maxConcurrent: limit,
+                maxQueueLength: config.gemini.MAX_QUEUE_LENGTH,
+                waitTimeoutMs: config.gemini.QUEUE_TIMEOUT_MS,
+                log: logger.child({ component: 'queue', model })
+            });
+            this.modelSchedulers.set(model, scheduler);
+        }
+        // Лимит сняли — очередь модели больше не ограничивает запросы, ожидающие разбираются сразу
+        scheduler.setMaxConcurrent(limit || Infinity);
+        return scheduler.acquire(acquireOptions);
+    }
+
+    /**
+     * @param {string} model
+     * @param {RunOptions} options
+     * @returns {number} Таймаут watchdog: из параметров запуска, из реестра моделей или GEMINI_REQUEST_TIMEOUT_MS.
+     * @private
+     */
+    _timeoutFor(model, options) {
+        const entry = modelRegistry.get(model);
+        return options.timeoutMs || (entry && entry.timeout_ms) || config.gemini.TIMEOUT_MS;
+    }
+
+    /**
+     * Готовит рабочую папку запуска CLI: сохраняет вложения (ссылки `@<файл>` в промпте)
+     * и записывает файлы с параметрами генерации, если их требует бэкенд (Gemini CLI — .gemini/settings.json).
+     * @param {Array|string} messages
+     * @param {string} model
+     * @param {GenerationParams|null} [generation]
+     * @returns {Promise<{dir: string, messages: Array|string, cliModel: string, cleanup: () => Promise<void>}|null>}
+     *   null — папка не нужна.
+     * @private
+     */
+    async _prepareWorkspace(messages, model, generation) {
+        const settings = this.backend.workspaceConfig ? this.backend.workspaceConfig(model, generation) : null;
+        const hasAttachments = attachmentService.hasAttachments(messages);
+        if (!settings && !hasAttachments) return null;
+
+        const workspace = await attachmentService.createWorkspace();
+        try {
+            const staged = hasAttachments ? await attachmentService.stage(messages, workspace.dir) : messages;
+            for (const [file, content] of Object.entries(settings ? settings.files : {})) {
+                await fs.mkdir(path.dirname(path.join(workspace.dir, file)), { recursive: true });
+                await fs.writeFile(path.join(workspace.dir, file), content);
+            }
+            return { ...workspace, messages: staged, cliModel: settings ? settings.model : model };
+        } catch (err) {
+            await workspace.cleanup().catch(() => {});
+            throw err;
+        }
+    }
+
+    /**
+     * Составляет план попыток: запрошенная модель и следующие за ней в цепочке GEMINI_FALLBACK_MODELS,
+     * доступные вызывающему и не отключенные в реестре моделей.
+     * @param {string} model
+     * @param {RunOptions} options
+     * @returns {RetryPlan}
+     * @private
+     */
+    _retryPlan(model, options) {
+        const { retry = true, fallback = true, canUseModel = () => true } = options;
+        const chain = config.gemini.FALLBACK_MODELS;
+        const position = chain.indexOf(model);
+        const fallbacks = fallback && position !== -1 ? chain.slice(position + 1).filter(m => modelRegistry.isAvailable(m) && canUseModel(m)) : [];
+
+        return {
+            models: [model, ...fallbacks],
+            index: 0,
+            attempt: 0,
+            maxRetries: retry ? config.gemini.RETRY_ATTEMPTS : 0
+        };
+    }
+
+    /**
+     * Решает, что делать после неудачной попытки: повторить на той же модели, перейти к следующей или сдаться.
+     * @param {RetryPlan} plan
+     * @param {Error} err
+     * @param {import('../utils/logger').Logger} log
+     * @returns {{model: string, delayMs: number}|null} null — ошибку нужно вернуть клиенту.
+     * @private
+     */
+    _nextAttempt(plan, err, log) {
+        const model = plan.models[plan.index];
+        // Во время остановки новые процессы не запускаются
+        if (this.shutdownError) return null;
+
+        if (isRetryable(err) && plan.attempt < plan.maxRetries) {
+            plan.attempt += 1;
+            const delayMs = config.gemini.RETRY_DELAY_MS * 2 ** (plan.attempt - 1);
+            metrics.cliRetriesTotal.inc({ model, code: err.code, action: 'retry' });
+            log.warn('Retrying CLI request', { model, code: err.code, attempt: plan.attempt, retry_in_ms: delayMs });
+            return { model, delayMs };
+        }
+
+        if (allowsFallback(err) && plan.index < plan.models.length - 1) {
+            plan.index += 1;
+            plan.attempt = 0;
+            const next = plan.models[plan.index];
+            metrics.cliRetriesTotal.inc({ model, code: err.code, action: 'fallback' });
+            log.warn('Falling back to next model', { model, fallback_model: next, code: err.code });
+            return { model: next, delayMs: 0 };
+        }
+
+        return null;
     }
 }
 
@@ -0,0 +1,221 @@
+/**
+ * @file services/health.service.js
+ * @description Сервис проверок готовности (readiness).
+ * Проверяет бинарник CLI, авторизацию через пробный промпт, заполненность очереди и конфигурацию ключей.
+ * Во время остановки шлюза сервис сразу считается недоступным.
+ * Дорогие проверки кэшируются с TTL, чтобы частые запросы оркестратора не занимали слоты очереди.
+ */
+
+const config = require('../config/app.config');
+const geminiService = require('./gemini.service');
+const modelRegistry = require('./model.registry.service');
+const apiKeyService = require('./apikey.service');
+const logger = require('../utils/logger');
+
+const log = logger.child({ component: 'health' });
+
+/** Доля заполнения очереди, начиная с которой сервис считается деградировавшим. */
+const QUEUE_DEGRADED_RATIO = 0.8;
+
+/**
+ * @typedef {Object} ComponentStatus
+ * @property {'ok'|'degraded'|'error'|'skipped'} status
+ * @property {string} [message]
+ * @property {string} [checked_at] - Время последней проверки (для кэшируемых проверок).
+ */
+
+/**
+ * @typedef {Object} ReadinessReport
+ * @property {'ok'|'degraded'|'unavailable'} status - unavailable, если хотя бы один компонент в статусе error.
+ * @property {Object<string, ComponentStatus>} checks
+ * @property {string} timestamp
+ */
+
+/**
+ * Результат асинхронной проверки с TTL и объединением параллельных вызовов.
+ */
+class CachedCheck {
+
+    /**
+     * @param {() => Promise<ComponentStatus>} run
+     * @param {number} ttlMs
+     * @param {object} [options]
+     * @param {boolean} [options.staleWhileRevalidate=false] - Отдавать устаревший результат, обновляя его в фоне.
+     */
+    constructor(run, ttlMs, { staleWhileRevalidate = false } = {}) {
+        this.run = run;
+        this.ttlMs = ttlMs;
+        this.staleWhileRevalidate = staleWhileRevalidate;
+        /** @type {ComponentStatus|null} */
+        this.result = null;
+        this.expiresAt = 0;
+        /** @type {Promise<ComponentStatus>|null} */
+        this.pending = null;
+    }
+
+    /**
+     * @returns {Promise<ComponentStatus>}
+     */
+    get() {
+        if (this.result && Date.now() < this.expiresAt) return Promise.resolve(this.result);
+
+        if (!this.pending) {
+            this.pending = this.run()
+                .catch(err => ({ status: 'error', message: err.message }))
+                .then(result => {
+                    this.result = { ...result, checked_at: new Date().toISOString() };
+                    this.expiresAt = Date.now() + this.ttlMs;
+                    this.pending = null;
+                    return this.result;
+                });
+        }
+
+        if (this.result && this.staleWhileRevalidate) return Promise.resolve(this.result);
+        return this.pending;
+    }
+}
+
+class HealthService {
+
+    constructor() {
+        this.cliCheck = new CachedCheck(() => this._checkCli(), config.health.CACHE_TTL_MS);
+        this.probeCheck = new CachedCheck(() => this._runProbe(), config.health.PROBE_TTL_MS, { staleWhileRevalidate: true });
+    }
+
+    /**
+     * Собирает отчет о готовности сервиса принимать запросы.
+     * @returns {Promise<ReadinessReport>}
+     */
+    async getReadiness() {
+        // Во время остановки балансировщик должен сразу убрать экземпляр; проверки CLI не нужны
+        if (geminiService.isDraining()) {
+            return {
+                status: 'unavailable',
+                checks: { shutdown: { status: 'error', message: 'Server is shutting down' } },
+                timestamp: new Date().toISOString()
+            };
+        }
+
+        await apiKeyService.ready;
+
+        const [cli, probe] = await Promise.all([
+            this.cliCheck.get(),
+            config.health.PROBE_ENABLED ? this.probeCheck.get() : Promise.resolve({ status: 'skipped' })
+        ]);
+
+        const checks = {
+            cli,
+            probe,
+            queue: this._checkQueue(),
+            api_keys: this._checkApiKeys()
+        };
+
+        const statuses = Object.values(checks).map(check => check.status);
+        let status = 'ok';
+        if (statuses.includes('error')) status = 'unavailable';
+        else if (statuses.includes('degraded')) status = 'degraded';
+
+        return { status, checks, timestamp: new Date().toISOString() };
+    }
+
+    /**
+     * Проверяет бэкенд генерации (для Gemini CLI — `gemini --version`: бинарник доступен и запускается).
+     * @returns {Promise<ComponentStatus>}
+     * @private
+     */
+    _checkCli() {
+        return new Promise((resolve) => {
+            const child = geminiService.checkHealth();
+            let output = '';
+
+            const timer = setTimeout(() => {
+                child.kill();
+                resolve({ status: 'error', message: `CLI did not respond within ${config.health.CLI_TIMEOUT_MS} ms` });
+            }, config.health.CLI_TIMEOUT_MS);
+
+            child.stdout.on('data', (chunk) => { output += chunk.toString(); });
+
+            // Если процесс не удалось запустить (например, gemini не установлен)
+            child.on('error', (err) => {
+                clearTimeout(timer);
+                resolve({ status: 'error', message: `Gemini CLI binary is not accessible: ${err.message}` });
+            });
+
+            child.on('close', (code) => {
+                clearTimeout(timer);
+                if (code === 0) {
+                    resolve({ status: 'ok', version: output.trim() });
+                } else {
+                    resolve({ status: 'error', message: `CLI exited with code ${code}` });
+                }
+            });
+        });
+    }
+
+    /**
+     * Выполняет пробный промпт: проверяет авторизацию CLI (.gemini) и ответ модели.
+     * Если очередь занята, проба пропускается, чтобы не отнимать слот у пользователей.
+     * @returns {Promise<ComponentStatus>}
+     * @private
+     */
+    async _runProbe() {
+        const queue = geminiService.getQueueStats();
+        if (queue.active >= queue.maxConcurrent) {
+            // Прежний результат (если есть) остается в силе до следующей попытки
+            if (this.probeCheck.result) return this.probeCheck.result;
+            return { status: 'degraded', message: 'Probe postponed: all CLI slots are busy' };
+        }
+
+        const model = modelRegistry.defaultModel();
+        const startedAt = Date.now();
+        try {
+            await geminiService.generate(config.health.PROBE_PROMPT, model, {
+                priority: 'batch',
+                owner: 'health',
+                timeoutMs: config.health.PROBE_TIMEOUT_MS,
+                // Проба проверяет именно модель по умолчанию и должна быстро показывать сбой
+                retry: false,
+                fallback: false,
+                // Периодическая проба не относится к запросам клиентов: не пишется в журнал аудита и статистику
+                audit: false,
+                usage: false,
+                log
+            });
+            return { status: 'ok', model, latency_ms: Date.now() - startedAt };
+        } catch (err) {
+            log.warn('Readiness probe failed', { err, code: err.code });
+            // code различает истекшую авторизацию .gemini (CLI_AUTH_EXPIRED), лимиты и сбои сети;
+            // stderr нераспознанных ошибок помогает разобраться в остальном
+            const stderr = err.details && err.details.details ? String(err.details.details).slice(0, 500) : undefined;
+            return { status: 'error', model, code: err.code, message: err.message, details: stderr };
+        }
+    }
+
+    /**
+     * @returns {ComponentStatus} degraded, если очередь почти заполнена.
+     * @private
+     */
+    _checkQueue() {
+        const stats = geminiService.getQueueStats();
+        const isSaturated = stats.queued >= stats.maxQueueLength * QUEUE_DEGRADED_RATIO;
+        return {
+            status: isSaturated ? 'degraded' : 'ok',
+            active: stats.active,
+            max_concurrent: stats.maxConcurrent,
+            queued: stats.queued,
+            max_queue_length: stats.maxQueueLength
+        };
+    }
+
+    /**
+     * @returns {ComponentStatus} error, если не настроен ни один способ аутентификации клиентов.
+     * @private
+     */
+    _checkApiKeys() {
+        if (apiKeyService.isConfigured()) return { status: 'ok' };
+        return { status: 'error', message: 'Neither APP_API_KEY nor API keys file is configured' };
+    }
+}
+
+// Экспортируем единственный экземпляр (Singleton pattern)
+module.exports = new HealthService();
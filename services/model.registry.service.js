@@ -0,0 +1,303 @@
+/**
+ * @file services/model.registry.service.js
+ * @description Реестр моделей: загружается из файла MODELS_FILE (YAML или JSON) и перечитывается при его изменении.
+ * Единое место проверки модели запроса: ID или псевдоним, отключенные и устаревшие модели, права API ключа.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yamljs');
+const config = require('../config/app.config');
+const apiKeyService = require('./apikey.service');
+const { ErrorCodes, GatewayError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+const log = logger.child({ component: 'models' });
+
+/**
+ * @typedef {Object} ModelEntry
+ * @property {string} id - ID модели для CLI.
+ * @property {string} name
+ * @property {string} description
+ * @property {string[]} aliases - Псевдонимы (fast, smart и т.п.).
+ * @property {number|null} timeout_ms - Таймаут ответа CLI (null — GEMINI_REQUEST_TIMEOUT_MS).
+ * @property {number|null} max_concurrent - Максимум одновременных процессов с этой моделью (null — без отдельного лимита).
+ * @property {string|null} system_prompt - Системная инструкция по умолчанию.
+ * @property {boolean} deprecated
+ * @property {string|null} sunset - Дата вывода из эксплуатации (ISO 8601).
+ * @property {string|null} sunset_message
+ * @property {boolean} disabled
+ */
+
+/**
+ * Реестр на случай, если файла MODELS_FILE нет.
+ */
+const BUILTIN_REGISTRY = {
+    default_model: 'gemini-2.5-flash-lite',
+    models: [
+        { id: 'gemini-2.5-flash-lite', name: 'Gemini 2.5 Flash Lite', description: 'Fastest, low cost' },
+        { id: 'gemini-2.5-flash', name: 'Gemini 2.5 Flash', description: 'Balanced performance' }
+    ]
+};
+
+/**
+ * @param {*} value
+ * @param {string} field
+ * @param {string} id
+ * @returns {number|null}
+ */
+function positiveInt(value, field, id) {
+    if (value === undefined || value === null) return null;
+    if (!Number.isInteger(value) || value <= 0) {
+        throw new Error(`Model '${id}': "${field}" must be a positive integer`);
+    }
+    return value;
+}
+
+/**
+ * @param {*} value
+ * @param {string} field
+ * @param {string} id
+ * @returns {string|null}
+ */
+function optionalString(value, field, id) {
+    if (value === undefined || value === null) return null;
+    if (typeof value !== 'string') {
+        throw new Error(`Model '${id}': "${field}" must be a string`);
+    }
+    return value;
+}
+
+/**
+ * Проверяет описание модели из файла и приводит его к ModelEntry.
+ * @param {object} raw
+ * @returns {ModelEntry}
+ * @throws {Error} Описание некорректно.
+ */
+function toEntry(raw) {
+    if (!raw || typeof raw !== 'object' || typeof raw.id !== 'string' || !raw.id.trim()) {
+        throw new Error('Every model must have a non-empty "id"');
+    }
+    const id = raw.id.trim();
+
+    const aliases = raw.aliases === undefined || raw.aliases === null ? [] : raw.aliases;
+    if (!Array.isArray(aliases) || aliases.some(alias => typeof alias !== 'string' || !alias.trim())) {
+        throw new Error(`Model '${id}': "aliases" must be a list of strings`);
+    }
+
+    let sunset = null;
+    if (raw.sunset !== undefined && raw.sunset !== null) {
+        // YAML может отдать дату объектом Date
+        const date = new Date(raw.sunset);
+        if (Number.isNaN(date.getTime())) {
+            throw new Error(`Model '${id}': "sunset" must be an ISO 8601 date`);
+        }
+        sunset = date.toISOString();
+    }
+
+    return {
+        id,
+        name: optionalString(raw.name, 'name', id) || id,
+        description: optionalString(raw.description, 'description', id) || '',
+        aliases: aliases.map(alias => alias.trim()),
+        timeout_ms: positiveInt(raw.timeout_ms, 'timeout_ms', id),
+        max_concurrent: positiveInt(raw.max_concurrent, 'max_concurrent', id),
+        system_prompt: optionalString(raw.system_prompt, 'system_prompt', id),
+        deprecated: raw.deprecated === true,
+        sunset,
+        sunset_message: optionalString(raw.sunset_message, 'sunset_message', id),
+        disabled: raw.disabled === true
+    };
+}
+
+class ModelRegistryService {
+
+    constructor() {
+        this.filePath = path.resolve(config.models.FILE);
+        this.isYaml = /\.ya?ml$/i.test(this.filePath);
+
+        /** @type {Map<string, ModelEntry>} */
+        this.models = new Map();
+        /** @type {Map<string, string>} Псевдоним -> ID модели. */
+        this.aliases = new Map();
+        this.defaultId = null;
+
+        // Ошибка в файле при запуске — ошибка конфигурации: шлюз не стартует с непонятным набором моделей
+        this._apply(this._read());
+        this._watch();
+    }
+
+    /**
+     * @returns {string} ID модели по умолчанию.
+     */
+    defaultModel() {
+        return this.defaultId;
+    }
+
+    /**
+     * @returns {ModelEntry[]} Все модели реестра, включая отключенные.
+     */
+    list() {
+        return [...this.models.values()];
+    }
+
+    /**
+     * @param {string} idOrAlias
+     * @returns {ModelEntry|null}
+     */
+    get(idOrAlias) {
+        if (!idOrAlias) return null;
+        return this.models.get(idOrAlias) || this.models.get(this.aliases.get(idOrAlias)) || null;
+    }
+
+    /**
+     * @param {ModelEntry} model
+     * @returns {boolean} true, если модель отключена флагом или ее дата sunset прошла.
+     */
+    isDisabled(model) {
+        return model.disabled || (model.sunset !== null && Date.parse(model.sunset) <= Date.now());
+    }
+
+    /**
+     * @param {string} idOrAlias
+     * @returns {boolean} true, если модель есть в реестре и не отключена (используется для цепочки резервных моделей).
+     */
+    isAvailable(idOrAlias) {
+        const model = this.get(idOrAlias);
+        return Boolean(model) && !this.isDisabled(model);
+    }
+
+    /**
+     * Проверяет модель запроса: псевдоним раскрывается в ID, отключенные модели и модели вне прав ключа отклоняются.
+     * @param {string} [requested] - ID или псевдоним; пусто — модель по умолчанию.
+     * @param {import('./apikey.service').ApiKeyIdentity} [apiKey] - Ключ вызывающего (без ключа права не проверяются).
+     * @returns {ModelEntry}
+     * @throws {GatewayError} MODEL_UNKNOWN, MODEL_DISABLED, MODEL_NOT_ALLOWED.
+     */
+    resolve(requested, apiKey) {
+        const model = this.get(requested || this.defaultId);
+        if (!model) {
+            const available = this.list().filter(m => !this.isDisabled(m)).map(m => m.id);
+            throw new GatewayError(ErrorCodes.MODEL_UNKNOWN, `Invalid model ID: '${requested}'. Available models: ${available.join(', ')}`, 400, {
+                available_models: available
+            });
+        }
+
+        if (this.isDisabled(model)) {
+            throw new GatewayError(ErrorCodes.MODEL_DISABLED, model.sunset_message || `Model '${model.id}' is no longer available`, 410, {
+                model: model.id,
+                sunset: model.sunset
+            });
+        }
+
+        if (apiKey && !apiKeyService.isModelAllowed(apiKey, model.id)) {
+            throw new GatewayError(ErrorCodes.MODEL_NOT_ALLOWED, `API key '${apiKey.name}' is not allowed to use model '${model.id}'`, 403);
+        }
+        return model;
+    }
+
+    /**
+     * Добавляет системную инструкцию модели по умолчанию, если в диалоге нет своей.
+     * @param {Array<{role: string, content: *}>|string} messages
+     * @param {string} model - ID модели.
+     * @returns {Array<{role: string, content: *}>|string}
+     */
+    withSystemPrompt(messages, model) {
+        const entry = this.get(model);
+        if (!entry || !entry.system_prompt || !Array.isArray(messages)) return messages;
+        if (messages.some(msg => msg.role === 'system')) return messages;
+        return [{ role: 'system', content: entry.system_prompt }, ...messages];
+    }
+
+    /**
+     * Описание модели для клиентов (/api/models): системная инструкция не раскрывается.
+     * @param {ModelEntry} model
+     * @returns {object}
+     */
+    toPublic(model) {
+        const { system_prompt: systemPrompt, ...rest } = model;
+        const status = this.isDisabled(model) ? 'disabled' : (model.deprecated ? 'deprecated' : 'active');
+        return { ...rest, status, has_system_prompt: Boolean(systemPrompt) };
+    }
+
+    /**
+     * Читает файл реестра. Если файла нет, используется встроенный список моделей.
+     * @returns {object}
+     * @private
+     */
+    _read() {
+        let raw;
+        try {
+            raw = fs.readFileSync(this.filePath, 'utf8');
+        } catch (err) {
+            if (err.code !== 'ENOENT') throw err;
+            log.warn('Models file not found, using built-in models', { file: this.filePath });
+            return BUILTIN_REGISTRY;
+        }
+        return this.isYaml ? YAML.parse(raw) : JSON.parse(raw);
+    }
+
+    /**
+     * Проверяет содержимое файла и заменяет текущий реестр целиком.
+     * @param {object} data - { default_model, models: [...] }
+     * @throws {Error} Содержимое некорректно (текущий реестр не меняется).
+     * @private
+     */
+    _apply(data) {
+        if (!data || !Array.isArray(data.models) || data.models.length === 0) {
+            throw new Error(`Models file ${this.filePath} must contain a non-empty "models" list`);
+        }
+
+        const models = new Map();
+        const aliases = new Map();
+        for (const entry of data.models.map(toEntry)) {
+            if (models.has(entry.id) || aliases.has(entry.id)) {
+                throw new Error(`Duplicate model ID or alias: '${entry.id}'`);
+            }
+            models.set(entry.id, entry);
+        }
+        for (const entry of models.values()) {
+            for (const alias of entry.aliases) {
+                if (models.has(alias) || aliases.has(alias)) {
+                    throw new Error(`Duplicate model ID or alias: '${alias}'`);
+                }
+                aliases.set(alias, entry.id);
+            }
+        }
+
+        const requestedDefault = config.gemini.DEFAULT_MODEL || data.default_model;
+        const defaultModel = requestedDefault
+            ? models.get(requestedDefault) || models.get(aliases.get(requestedDefault))
+            : [...models.values()].find(m => !this.isDisabled(m));
+        if (!defaultModel || this.isDisabled(defaultModel)) {
+            throw new Error(`Default model '${requestedDefault || ''}' is missing or disabled in the models file`);
+        }
+
+        this.models = models;
+        this.aliases = aliases;
+        this.defaultId = defaultModel.id;
+        log.info('Model registry loaded', { models: [...models.keys()], default_model: this.defaultId });
+    }
+
+    /**
+     * Перечитывает файл при изменении. Ошибочная версия файла не применяется: работает прежний реестр.
+     * @private
+     */
+    _watch() {
+        const interval = config.models.RELOAD_INTERVAL_MS;
+        if (!interval) return;
+
+        // watchFile (опрос mtime) переживает атомарную замену файла редактором, в отличие от fs.watch
+        fs.watchFile(this.filePath, { interval, persistent: false }, (curr, prev) => {
+            if (curr.mtimeMs === prev.mtimeMs) return;
+            try {
+                this._apply(this._read());
+            } catch (err) {
+                log.error('Failed to reload models file, keeping previous registry', { file: this.filePath, err });
+            }
+        });
+    }
+}
+
+// Экспортируем единственный экземпляр (Singleton pattern)
+module.exports = new ModelRegistryService();
@@ -0,0 +1,565 @@
+/**
+ * @file services/moderation.service.js
+ * @description Модерация чата: персональные данные (email, телефоны, номера карт, токены, словарь) и запрещенные термины.
+ * Входящие сообщения проверяются до передачи CLI (замена, обратимая маска или отказ 422), ответы модели фильтруются
+ * и в buffered, и в потоковом режиме. Каждое действие пишется в журнал аудита (лог с audit: 'moderation') и метрики.
+ */
+
+const fs = require('fs');
+const EventEmitter = require('events');
+const config = require('../config/app.config');
+const { ErrorCodes, GatewayError } = require('../utils/errors');
+const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
+
+/**
+ * @typedef {Object} PiiRule
+ * @property {string} type - Тип данных (email, phone, card, token, dictionary).
+ * @property {string} label - Метка в заменах ([REDACTED_EMAIL], [EMAIL_1]).
+ * @property {RegExp} pattern - Глобальный шаблон поиска.
+ * @property {(match: string) => boolean} [validate] - Дополнительная проверка совпадения.
+ */
+
+/**
+ * Состояние модерации одного запроса.
+ * @typedef {Object} ModerationGuard
+ * @property {string|null} keyId - ID API ключа.
+ * @property {string[]} terms - Запрещенные термины (общие и ключа).
+ * @property {Object<string, string>} masks - Маски запроса: метка ([EMAIL_1]) -> исходное значение.
+ * @property {import('../utils/logger').Logger} log - Логгер запроса.
+ */
+
+const MODES = ['redact', 'mask', 'block', 'off'];
+
+/** Замена запрещенного термина в ответе модели. */
+const BLOCKED_REPLACEMENT = '[BLOCKED]';
+
+/** Метка маски в ответе модели: [EMAIL_1], [PHONE_2], ... */
+const MASK_PATTERN = /\[([A-Z]+)_(\d+)\]/g;
+
+/**
+ * Сколько символов конца потока придерживается: совпадение, разрезанное границей фрагмента, должно целиком
+ * попасть в следующую проверку. Больше самого длинного совпадения с пробелами (телефон, номер карты, фраза).
+ */
+const STREAM_HOLDBACK_CHARS = 64;
+
+/** Больше этого потоковый фильтр не придерживает текст без пробелов (например, очень длинный токен). */
+const STREAM_MAX_BUFFER_CHARS = 4096;
+
+/**
+ * @param {string} value - Номер карты (цифры с пробелами или дефисами).
+ * @returns {boolean} true, если контрольная сумма Луна сходится.
+ */
+function luhn(value) {
+    const digits = value.replace(/\D/g, '');
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        let digit = Number(digits[digits.length - 1 - i]);
+        if (i % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) digit -= 9;
+        }
+        sum += digit;
+    }
+    return sum % 10 === 0;
+}
+
+/**
+ * Шаблоны персональных данных в порядке проверки: токены и карты раньше телефонов (цифры карты похожи на телефон).
+ * @type {PiiRule[]}
+ */
+const PII_RULES = [
+    {
+        type: 'token',
+        label: 'TOKEN',
+        pattern: /\b(?:(?:sk|pk|rk|gk)[-_][A-Za-z0-9_-]{16,}|gh[pousr]_[A-Za-z0-9]{20,}|xox[abprs]-[A-Za-z0-9-]{10,}|AKIA[0-9A-Z]{16}|AIza[0-9A-Za-z_-]{35}|eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,})/g
+    },
+    {
+        type: 'card',
+        label: 'CARD',
+        pattern: /(?<![\d-])(?:\d{4}([ -]?)\d{4}\1\d{4}\1\d{1,7}|\d{4}([ -]?)\d{6}\2\d{5})(?!\d)/g,
+        validate: luhn
+    },
+    {
+        type: 'email',
+        label: 'EMAIL',
+        pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g
+    },
+    {
+        type: 'phone',
+        label: 'PHONE',
+        pattern: /(?<![\w+(])(?:\+|\()?(?:\d[ ().-]{0,2}){9,14}\d(?!\w)/g,
+        validate: (match) => {
+            const digits = match.replace(/\D/g, '').length;
+            return digits >= 10 && digits <= 15;
+        }
+    }
+];
+
+/**
+ * Шаблон для списка терминов: без учета регистра, только целые слова (в том числе кириллица).
+ * @param {string[]} terms
+ * @returns {RegExp|null}
+ */
+function termsPattern(terms) {
+    if (terms.length === 0) return null;
+    const escaped = [...terms]
+        .sort((a, b) => b.length - a.length)
+        .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    return new RegExp(`(?<![\\p{L}\\p{N}_])(?:${escaped.join('|')})(?![\\p{L}\\p{N}_])`, 'giu');
+}
+
+/**
+ * Загружает словарь персональных данных: один термин на строку, пустые строки и # — комментарии пропускаются.
+ * @param {string|undefined} file
+ * @returns {string[]}
+ */
+function loadDictionary(file) {
+    if (!file) return [];
+    return fs.readFileSync(file, 'utf8')
+        .split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => line && !line.startsWith('#'));
+}
+
+/**
+ * Заменяет совпадения шаблона, прошедшие проверку.
+ * @param {string} text
+ * @param {RegExp} pattern
+ * @param {(match: string) => string} replace
+ * @param {(match: string) => boolean} [validate]
+ * @returns {{text: string, count: number}}
+ */
+function replaceMatches(text, pattern, replace, validate) {
+    let count = 0;
+    const result = text.replace(pattern, (match) => {
+        if (validate && !validate(match)) return match;
+        count += 1;
+        return replace(match);
+    });
+    return { text: result, count };
+}
+
+/**
+ * Текстовые части сообщения (строка или части text), к которым применяется модерация.
+ * @param {import('./attachment.service').MessageContent} content
+ * @param {(text: string) => string} transform
+ * @returns {import('./attachment.service').MessageContent}
+ */
+function mapContent(content, transform) {
+    if (typeof content === 'string') return transform(content);
+    if (!Array.isArray(content)) return content;
+    return content.map(part => (part.type === 'text' ? { ...part, text: transform(part.text) } : part));
+}
+
+/**
+ * Потоковый фильтр: придерживает конец текста, пока совпадение могло быть разрезано границей фрагмента.
+ * Текст отдается до последнего пробела перед окном STREAM_HOLDBACK_CHARS и не посреди найденного совпадения.
+ */
+class StreamScanner {
+
+    /**
+     * @param {(text: string) => string} filter - Фильтр готового к отправке текста.
+     * @param {RegExp[]} patterns - Шаблоны, совпадения которых нельзя разрезать.
+     */
+    constructor(filter, patterns) {
+        this.filter = filter;
+        this.patterns = patterns;
+        this.buffer = '';
+    }
+
+    /**
+     * @param {string} text - Очередной фрагмент ответа модели.
+     * @returns {string} Отфильтрованный текст, который можно отправить клиенту (может быть пустым).
+     */
+    push(text) {
+        this.buffer += text;
+        const cut = this._safeCut();
+        if (cut <= 0) return '';
+
+        const ready = this.buffer.slice(0, cut);
+        this.buffer = this.buffer.slice(cut);
+        return this.filter(ready);
+    }
+
+    /**
+     * @returns {string} Отфильтрованный остаток (конец потока).
+     */
+    flush() {
+        const rest = this.buffer;
+        this.buffer = '';
+        return rest ? this.filter(rest) : '';
+    }
+
+    /**
+     * @returns {number} Длина начала буфера, которое можно отфильтровать и отправить.
+     * @private
+     */
+    _safeCut() {
+        let cut = this.buffer.length - STREAM_HOLDBACK_CHARS;
+        if (cut <= 0) return 0;
+
+        // Email, токен или метка маски не содержат пробелов: режем только после пробельного символа
+        while (cut > 0 && !/\s/.test(this.buffer[cut - 1])) cut -= 1;
+        if (cut === 0) {
+            return this.buffer.length > STREAM_MAX_BUFFER_CHARS ? this.buffer.length - STREAM_HOLDBACK_CHARS : 0;
+        }
+
+        // Телефон, номер карты или фраза с пробелами могут пересекать точку разреза — отдаем текст до их начала
+        for (const pattern of this.patterns) {
+            for (const match of this.buffer.matchAll(pattern)) {
+                if (match.index < cut && match.index + match[0].length > cut) cut = match.index;
+            }
+        }
+        return cut;
+    }
+}
+
+class ModerationService {
+
+    constructor() {
+        const { ENABLED, PII_MODE, PII_TYPES, PII_DICTIONARY_FILE, BLOCKED_TERMS, OUTPUT_FILTER } = config.moderation;
+        if (!MODES.includes(PII_MODE)) {
+            throw new Error(`Unknown MODERATION_PII_MODE: '${PII_MODE}' (expected ${MODES.join(', ')})`);
+        }
+
+        this.enabled = ENABLED;
+        this.mode = PII_MODE;
+        this.outputFilter = OUTPUT_FILTER;
+        this.globalTerms = BLOCKED_TERMS;
+
+        /** @type {PiiRule[]} */
+        this.rules = PII_RULES.filter(rule => PII_TYPES.includes(rule.type));
+        const dictionary = termsPattern(this.enabled ? loadDictionary(PII_DICTIONARY_FILE) : []);
+        if (dictionary) this.rules.push({ type: 'dictionary', label: 'PII', pattern: dictionary });
+    }
+
+    /**
+     * @returns {boolean} true, если модерация включена (MODERATION_ENABLED).
+     */
+    isEnabled() {
+        return this.enabled;
+    }
+
+    /**
+     * Проверяет диалог перед генерацией: запрещенные термины (общие и ключа) отклоняют запрос,
+     * персональные данные обрабатываются по MODERATION_PII_MODE.
+     * @param {Array<{role: string, content: import('./attachment.service').MessageContent}>} conversation
+     * @param {import('./apikey.service').ApiKeyIdentity|null} apiKey
+     * @param {import('../utils/logger').Logger} [log] - Логгер запроса.
+     * @returns {{conversation: Array, guard: ModerationGuard|null}} guard — null, если модерация выключена.
+     * @throws {GatewayError} CONTENT_BLOCKED (422).
+     */
+    screen(conversation, apiKey, log = logger) {
+        if (!this.enabled) return { conversation, guard: null };
+
+        const guard = this.createGuard(apiKey, log);
+        const tally = new Map();
+
+        const blocked = termsPattern(guard.terms);
+        const keyTerms = new Set(((apiKey && apiKey.blocked_terms) || []).map(term => term.toLowerCase()));
+        const assertAllowed = (text) => {
+            if (!blocked) return;
+            blocked.lastIndex = 0;
+            const match = blocked.exec(text);
+            if (!match) return;
+            const scope = keyTerms.has(match[0].toLowerCase()) ? 'api_key' : 'global';
+            this._block(guard, 'blocked_term', { scope });
+        };
+
+        // Одинаковые значения получают одну и ту же метку: модель видит, что речь об одном и том же
+        const labels = new Map();
+        const counters = new Map();
+        const maskOf = (rule, value) => {
+            if (!labels.has(value)) {
+                const n = (counters.get(rule.label) || 0) + 1;
+                counters.set(rule.label, n);
+                const label = `[${rule.label}_${n}]`;
+                labels.set(value, label);
+                guard.masks[label] = value;
+            }
+            return labels.get(value);
+        };
+
+        const screened = conversation.map(msg => ({
+            ...msg,
+            content: mapContent(msg.content, (text) => {
+                assertAllowed(text);
+                if (this.mode === 'off') return text;
+
+                for (const rule of this.rules) {
+                    if (this.mode === 'block') {
+                        const found = replaceMatches(text, rule.pattern, match => match, rule.validate);
+                        if (found.count > 0) this._block(guard, `pii.${rule.type}`);
+                        continue;
+                    }
+                    const replace = this.mode === 'mask'
+                        ? match => maskOf(rule, match)
+                        : () => `[REDACTED_${rule.label}]`;
+                    const result = replaceMatches(text, rule.pattern, replace, rule.validate);
+                    this._count(tally, `pii.${rule.type}`, this.mode, result.count);
+                    text = result.text;
+                }
+                return text;
+            })
+        }));
+
+        this._auditTally(guard, 'input', tally);
+        return { conversation: screened, guard };
+    }
+
+    /**
+     * Создает состояние модерации запроса. Для пакетных заданий состояние сохраняется вместе с элементом
+     * (см. toJSON) и восстанавливается перед фильтрацией ответа.
+     * @param {import('./apikey.service').ApiKeyIdentity|null} apiKey
+     * @param {import('../utils/logger').Logger} [log]
+     * @param {{masks?: Object<string, string>}} [saved]
+     * @returns {ModerationGuard}
+     */
+    createGuard(apiKey, log = logger, saved = {}) {
+        return {
+            keyId: apiKey ? apiKey.id : null,
+            terms: [...this.globalTerms, ...((apiKey && apiKey.blocked_terms) || [])],
+            masks: { ...(saved.masks || {}) },
+            log
+        };
+    }
+
+    /**
+     * @param {ModerationGuard} guard
+     * @returns {{masks: Object<string, string>}} Данные для восстановления состояния (createGuard).
+     */
+    toJSON(guard) {
+        return { masks: guard.masks };
+    }
+
+    /**
+     * Фильтрует ответ модели: запрещенные термины и (при MODERATION_OUTPUT_FILTER) персональные данные заменяются,
+     * метки масок запроса заменяются исходными значениями.
+     * @param {ModerationGuard} guard
+     * @param {string} text
+     * @returns {string}
+     */
+    filterText(guard, text) {
+        const tally = new Map();
+        const filtered = this._filter(guard, text, tally);
+        this._auditTally(guard, 'output', tally);
+        return filtered;
+    }
+
+    /**
+     * Заменяет персональные данные на [REDACTED_<тип>] независимо от MODERATION_ENABLED и MODERATION_PII_MODE
+     * (типы MODERATION_PII_TYPES; словарь — только при включенной модерации). Действия не пишутся в аудит модерации:
+     * метод маскирует данные для хранения, например в журнале аудита (AUDIT_REDACT_PII).
+     * @param {string} text
+     * @returns {string}
+     */
+    redactPii(text) {
+        for (const rule of this.rules) {
+            text = replaceMatches(text, rule.pattern, () => `[REDACTED_${rule.label}]`, rule.validate).text;
+        }
+        return text;
+    }
+
+    /**
+     * Фильтрует результат генерации: текст, разобранный JSON (response_format) и аргументы вызовов функций.
+     * @param {ModerationGuard} guard
+     * @param {{text: string, parsed?: *, toolCalls?: Array}} result
+     * @returns {object}
+     */
+    filterResult(guard, result) {
+        const tally = new Map();
+        const filtered = { ...result };
+
+        if (result.parsed !== undefined) {
+            // Ответ JSON: фильтруются строки внутри значения, текст — его сериализация
+            filtered.parsed = this._filterValue(guard, result.parsed, tally);
+            filtered.text = JSON.stringify(filtered.parsed);
+        } else {
+            filtered.text = this._filter(guard, result.text || '', tally);
+        }
+        if (result.toolCalls) filtered.toolCalls = this._filterToolCalls(guard, result.toolCalls, tally);
+
+        this._auditTally(guard, 'output', tally);
+        return filtered;
+    }
+
+    /**
+     * Оборачивает потоковую генерацию: фрагменты delta фильтруются с учетом границ фрагментов,
+     * вызовы функций (tool_calls) и финальный текст — целиком.
+     * @param {import('events').EventEmitter & {cancel: Function, model: string}} run
+     * @param {ModerationGuard} guard
+     * @returns {import('events').EventEmitter & {cancel: Function, model: string}}
+     */
+    wrapStream(run, guard) {
+        const wrapped = new EventEmitter();
+        wrapped.cancel = () => run.cancel();
+        Object.defineProperty(wrapped, 'model', { get: () => run.model });
+
+        const tally = new Map();
+        const scanner = new StreamScanner(text => this._filter(guard, text, tally), this._outputPatterns(guard));
+        const flush = () => {
+            const rest = scanner.flush();
+            if (rest) wrapped.emit('event', { type: 'delta', data: { text: rest } });
+        };
+
+        run.on('event', (event) => {
+            if (event.type === 'delta') {
+                const text = scanner.push(event.data.text);
+                if (text) wrapped.emit('event', { type: 'delta', data: { text } });
+                return;
+            }
+            if (event.type === 'tool_calls') {
+                // Вызовы приходят после текста ответа: придержанный конец текста отправляется раньше них
+                flush();
+                const toolCalls = this._filterToolCalls(guard, event.data.tool_calls, tally);
+                return wrapped.emit('event', { type: 'tool_calls', data: { tool_calls: toolCalls } });
+            }
+            wrapped.emit('event', event);
+        });
+
+        run.on('end', (result) => {
+            flush();
+            const end = { ...result, text: this._filter(guard, result.text || '', new Map()) };
+            if (result.toolCalls) end.toolCalls = this._filterToolCalls(guard, result.toolCalls, new Map());
+            this._auditTally(guard, 'output', tally);
+            wrapped.emit('end', end);
+        });
+
+        return wrapped;
+    }
+
+    /**
+     * @param {ModerationGuard} guard
+     * @param {string} text
+     * @param {Map<string, object>} tally - Счетчики действий для аудита.
+     * @returns {string}
+     * @private
+     */
+    _filter(guard, text, tally) {
+        const blocked = termsPattern(guard.terms);
+        if (blocked) {
+            const result = replaceMatches(text, blocked, () => BLOCKED_REPLACEMENT);
+            this._count(tally, 'blocked_term', 'redact', result.count);
+            text = result.text;
+        }
+
+        if (this.outputFilter) {
+            for (const rule of this.rules) {
+                const result = replaceMatches(text, rule.pattern, () => `[REDACTED_${rule.label}]`, rule.validate);
+                this._count(tally, `pii.${rule.type}`, 'redact', result.count);
+                text = result.text;
+            }
+        }
+
+        // Метки масок — после фильтра: исходные данные пользователя возвращаются ему как есть
+        if (Object.keys(guard.masks).length > 0) {
+            const result = replaceMatches(text, MASK_PATTERN, match => guard.masks[match] ?? match, match => match in guard.masks);
+            this._count(tally, 'mask', 'unmask', result.count);
+            text = result.text;
+        }
+        return text;
+    }
+
+    /**
+     * @param {ModerationGuard} guard
+     * @param {*} value
+     * @param {Map<string, object>} tally
+     * @returns {*} Копия значения с отфильтрованными строками.
+     * @private
+     */
+    _filterValue(guard, value, tally) {
+        if (typeof value === 'string') return this._filter(guard, value, tally);
+        if (Array.isArray(value)) return value.map(item => this._filterValue(guard, item, tally));
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this._filterValue(guard, item, tally)]));
+        }
+        return value;
+    }
+
+    /**
+     * Фильтрует аргументы вызовов функций (строка JSON) по значениям, чтобы не нарушить JSON.
+     * @param {ModerationGuard} guard
+     * @param {Array} toolCalls
+     * @param {Map<string, object>} tally
+     * @returns {Array}
+     * @private
+     */
+    _filterToolCalls(guard, toolCalls, tally) {
+        return toolCalls.map(call => ({
+            ...call,
+            function: {
+                ...call.function,
+                arguments: JSON.stringify(this._filterValue(guard, JSON.parse(call.function.arguments), tally))
+            }
+        }));
+    }
+
+    /**
+     * Шаблоны, совпадения которых потоковый фильтр не должен разрезать.
+     * @param {ModerationGuard} guard
+     * @returns {RegExp[]}
+     * @private
+     */
+    _outputPatterns(guard) {
+        const patterns = [MASK_PATTERN];
+        const blocked = termsPattern(guard.terms);
+        if (blocked) patterns.push(blocked);
+        if (this.outputFilter) patterns.push(...this.rules.map(rule => rule.pattern));
+        return patterns;
+    }
+
+    /**
+     * @param {ModerationGuard} guard
+     * @param {string} rule - Сработавшее правило (blocked_term, pii.email, ...).
+     * @param {object} [details]
+     * @throws {GatewayError} CONTENT_BLOCKED.
+     * @private
+     */
+    _block(guard, rule, details = {}) {
+        this._audit(guard, 'input', rule, 'block', 1);
+        throw new GatewayError(ErrorCodes.CONTENT_BLOCKED, `Request blocked by content policy (rule ${rule})`, 422, { rule, ...details });
+    }
+
+    /**
+     * @param {Map<string, object>} tally
+     * @param {string} rule
+     * @param {string} action
+     * @param {number} count
+     * @private
+     */
+    _count(tally, rule, action, count) {
+        if (count === 0) return;
+        const key = `${rule}:${action}`;
+        const entry = tally.get(key) || { rule, action, count: 0 };
+        entry.count += count;
+        tally.set(key, entry);
+    }
+
+    /**
+     * @param {ModerationGuard} guard
+     * @param {'input'|'output'} direction
+     * @param {Map<string, object>} tally
+     * @private
+     */
+    _auditTally(guard, direction, tally) {
+        for (const { rule, action, count } of tally.values()) this._audit(guard, direction, rule, action, count);
+    }
+
+    /**
+     * Запись журнала аудита. Сами найденные значения не пишутся — только правило, действие и число совпадений.
+     * @param {ModerationGuard} guard
+     * @param {'input'|'output'} direction
+     * @param {string} rule
+     * @param {string} action
+     * @param {number} count
+     * @private
+     */
+    _audit(guard, direction, rule, action, count) {
+        metrics.moderationActionsTotal.inc({ direction, rule, action }, count);
+        guard.log.info('Moderation action', { audit: 'moderation', key_id: guard.keyId, direction, rule, action, count });
+    }
+}
+
+// Экспортируем единственный экземпляр (Singleton pattern)
+module.exports = new ModerationService();
@@ -0,0 +1,293 @@
+/**
+ * @file services/request.scheduler.js
+ * @description Планировщик слотов для процессов CLI.
+ * Ограничивает число одновременных процессов и длину очереди, поддерживает классы приоритета,
+ * справедливое чередование владельцев (API ключей) внутри класса, таймаут ожидания и отмену.
+ */
+
+const { ErrorCodes, GatewayError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+/**
+ * Классы приоритета в порядке обслуживания (меньше — раньше).
+ * @enum {number}
+ */
+const Priority = Object.freeze({
+    /** Потоковые запросы: пользователь смотрит на экран и ждет первые токены. */
+    interactive: 0,
+    /** Обычные запросы с ожиданием полного ответа. */
+    standard: 1,
+    /** Фоновые задачи, которым не важна задержка. */
+    batch: 2
+});
+
+/**
+ * @typedef {Object} QueueEntry
+ * @property {number} priority
+ * @property {string} owner - Ключ справедливости (обычно ID API ключа).
+ * @property {Function} resolve
+ * @property {Function} reject
+ * @property {Function|undefined} onPosition - Колбэк с текущей позицией в очереди (1 — следующий).
+ * @property {number|null} position - Последняя сообщенная позиция.
+ * @property {Function} cleanup - Снимает таймер и подписку на AbortSignal.
+ */
+
+class RequestScheduler {
+
+    /**
+     * @param {object} options
+     * @param {number} options.maxConcurrent - Максимум одновременно выполняемых процессов.
+     * @param {number} options.maxQueueLength - Максимум ожидающих запросов (сверх — отказ 503).
+     * @param {number} options.waitTimeoutMs - Максимальное время ожидания слота.
+     * @param {import('../utils/logger').Logger} [options.log]
+     */
+    constructor({ maxConcurrent, maxQueueLength, waitTimeoutMs, log = logger.child({ component: 'queue' }) }) {
+        this.maxConcurrent = maxConcurrent;
+        this.maxQueueLength = maxQueueLength;
+        this.waitTimeoutMs = waitTimeoutMs;
+        this.log = log;
+        this.active = 0;
+
+        /**
+         * Очереди по классам приоритета: priority -> (owner -> FIFO).
+         * Порядок ключей Map задает очередь чередования владельцев.
+         * @type {Map<number, Map<string, QueueEntry[]>>}
+         */
+        this.queues = new Map(Object.values(Priority).map(p => [p, new Map()]));
+        this.queued = 0;
+        /** @type {GatewayError|null} Ошибка для всех новых запросов после close(). */
+        this.closedError = null;
+    }
+
+    /**
+     * @returns {boolean} true, если новый запрос будет немедленно отклонен из-за переполнения очереди.
+     */
+    isFull() {
+        return this.active >= this.maxConcurrent && this.queued >= this.maxQueueLength;
+    }
+
+    /**
+     * Меняет лимит одновременных процессов (например, после перечитывания реестра моделей).
+     * Если лимит вырос, ожидающие запросы сразу получают освободившиеся слоты.
+     * @param {number} maxConcurrent
+     */
+    setMaxConcurrent(maxConcurrent) {
+        if (this.maxConcurrent === maxConcurrent) return;
+        this.maxConcurrent = maxConcurrent;
+        this._dispatch();
+    }
+
+    /**
+     * Запрашивает слот. Промис резолвится функцией release(), которую нужно вызвать
+     * по завершении процесса (повторные вызовы игнорируются).
+     * @param {object} [options]
+     * @param {keyof Priority} [options.priority='standard']
+     * @param {string} [options.owner='anonymous']
+     * @param {AbortSignal} [options.signal] - Отмена ожидания (например, клиент закрыл соединение).
+     * @param {(position: number, queued: number) => void} [options.onPosition]
+     * @param {import('../utils/logger').Logger} [options.log] - Логгер запроса (с request_id).
+     * @returns {Promise<Function>}
+     * @throws {GatewayError} QUEUE_FULL, QUEUE_TIMEOUT, CANCELLED или ошибка close().
+     */
+    acquire({ priority = 'standard', owner = 'anonymous', signal, onPosition, log = this.log } = {}) {
+        if (signal && signal.aborted) {
+            return Promise.reject(new GatewayError(ErrorCodes.CANCELLED, 'Request was cancelled by the client', 499));
+        }
+        if (this.closedError) return Promise.reject(this.closedError);
+
+        if (this.active < this.maxConcurrent && this.queued === 0) {
+            this.active++;
+            return Promise.resolve(this._createRelease());
+        }
+
+        if (this.queued >= this.maxQueueLength) {
+            return Promise.reject(new GatewayError(
+                ErrorCodes.QUEUE_FULL,
+                `Server is busy: queue is full (${this.maxQueueLength} waiting requests)`,
+                503,
+                { retry_after: 5 }
+            ));
+        }
+
+        return new Promise((resolve, reject) => {
+            const level = Priority[priority] ?? Priority.standard;
+
+            const onAbort = () => {
+                this._remove(entry);
+                reject(new GatewayError(ErrorCodes.CANCELLED, 'Request was cancelled by the client', 499));
+            };
+
+            const timer = setTimeout(() => {
+                this._remove(entry);
+                reject(new GatewayError(
+                    ErrorCodes.QUEUE_TIMEOUT,
+                    `Request waited in queue longer than ${this.waitTimeoutMs} ms`,
+                    503,
+                    { retry_after: 5 }
+                ));
+            }, this.waitTimeoutMs);
+
+            const entry = {
+                priority: level,
+                owner,
+                resolve,
+                reject,
+                onPosition,
+                position: null,
+                cleanup: () => {
+                    clearTimeout(timer);
+                    if (signal) signal.removeEventListener('abort', onAbort);
+                }
+            };
+
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+            const byOwner = this.queues.get(level);
+            if (!byOwner.has(owner)) byOwner.set(owner, []);
+            byOwner.get(owner).push(entry);
+            this.queued++;
+
+            log.info('Concurrency limit reached, request queued', {
+                priority,
+                active: this.active,
+                max_concurrent: this.maxConcurrent,
+                queued: this.queued
+            });
+            this._notifyPositions();
+        });
+    }
+
+    /**
+     * Закрывает очередь (остановка шлюза): ожидающие и все новые запросы отклоняются ошибкой err.
+     * Уже выданные слоты продолжают работать и освобождаются как обычно.
+     * @param {GatewayError} err
+     */
+    close(err) {
+        this.closedError = err;
+        for (const byOwner of this.queues.values()) {
+            for (const entries of byOwner.values()) {
+                for (const entry of entries) {
+                    entry.cleanup();
+                    entry.reject(err);
+                }
+            }
+            byOwner.clear();
+        }
+        this.queued = 0;
+    }
+
+    /**
+     * @returns {{active: number, maxConcurrent: number, queued: number, maxQueueLength: number, byPriority: object}}
+     */
+    stats() {
+        const byPriority = {};
+        for (const [name, level] of Object.entries(Priority)) {
+            let count = 0;
+            for (const entries of this.queues.get(level).values()) count += entries.length;
+            byPriority[name] = count;
+        }
+        return {
+            active: this.active,
+            maxConcurrent: this.maxConcurrent,
+            queued: this.queued,
+            maxQueueLength: this.maxQueueLength,
+            byPriority
+        };
+    }
+
+    /**
+     * @returns {Function} Идемпотентная функция освобождения слота.
+     * @private
+     */
+    _createRelease() {
+        let isReleased = false;
+        return () => {
+            if (isReleased) return;
+            isReleased = true;
+            this.active--;
+            this.log.debug('Slot released', { active: this.active, max_concurrent: this.maxConcurrent });
+            this._dispatch();
+        };
+    }
+
+    /**
+     * Выдает освободившиеся слоты следующим запросам.
+     * @private
+     */
+    _dispatch() {
+        let isChanged = false;
+        while (this.active < this.maxConcurrent && this.queued > 0) {
+            const entry = this._shift();
+            entry.cleanup();
+            this.active++;
+            entry.resolve(this._createRelease());
+            isChanged = true;
+        }
+        if (isChanged) this._notifyPositions();
+    }
+
+    /**
+     * Извлекает следующий запрос: самый приоритетный класс, внутри него — владелец,
+     * чья очередь дольше всех не обслуживалась (round-robin).
+     * @returns {QueueEntry}
+     * @private
+     */
+    _shift() {
+        for (const byOwner of this.queues.values()) {
+            for (const [owner, entries] of byOwner) {
+                const entry = entries.shift();
+                // Владелец уходит в конец очереди чередования (или удаляется, если запросов больше нет)
+                byOwner.delete(owner);
+                if (entries.length > 0) byOwner.set(owner, entries);
+                this.queued--;
+                return entry;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Удаляет запрос из очереди (таймаут или отмена).
+     * @param {QueueEntry} entry
+     * @private
+     */
+    _remove(entry) {
+        entry.cleanup();
+        const byOwner = this.queues.get(entry.priority);
+        const entries = byOwner.get(entry.owner);
+        if (!entries) return;
+
+        const index = entries.indexOf(entry);
+        if (index === -1) return;
+
+        entries.splice(index, 1);
+        if (entries.length === 0) byOwner.delete(entry.owner);
+        this.queued--;
+        this._notifyPositions();
+    }
+
+    /**
+     * Пересчитывает позиции в порядке будущего обслуживания и сообщает ожидающим об изменениях.
+     * @private
+     */
+    _notifyPositions() {
+        let position = 0;
+        for (const byOwner of this.queues.values()) {
+            // Моделируем round-robin: по одному запросу от каждого владельца за проход
+            const pending = [...byOwner.values()].map(entries => [...entries]);
+            while (pending.some(entries => entries.length > 0)) {
+                for (const entries of pending) {
+                    const entry = entries.shift();
+                    if (!entry) continue;
+                    position++;
+                    if (entry.position !== position) {
+                        entry.position = position;
+                        if (entry.onPosition) entry.onPosition(position, this.queued);
+                    }
+                }
+            }
+        }
+    }
+}
+
+module.exports = { RequestScheduler, Priority };
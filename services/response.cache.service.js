@@ -0,0 +1,413 @@
+/**
+ * @file services/response.cache.service.js
+ * @description Кэш ответов модели для одинаковых запросов (нормализованный диалог + модель).
+ * Стоит перед GeminiService: отдает сохраненный ответ без запуска CLI, объединяет одновременные
+ * одинаковые запросы на одном процессе и умеет воспроизводить кэшированный ответ как поток событий.
+ */
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const config = require('../config/app.config');
+const geminiService = require('./gemini.service');
+const MemoryCacheStore = require('../stores/cache.memory.store');
+const FileCacheStore = require('../stores/cache.file.store');
+const { ErrorCodes, GatewayError } = require('../utils/errors');
+const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
+
+const log = logger.child({ component: 'cache' });
+
+/** Размер фрагмента delta при воспроизведении кэшированного ответа. */
+const REPLAY_CHUNK_CHARS = 64;
+
+/**
+ * @typedef {Object} CacheEntry
+ * @property {string} text - Полный ответ модели.
+ * @property {object|null} usage - Статистика генерации исходного запроса.
+ * @property {string} model - Модель, которая фактически ответила (с учетом резервных).
+ * @property {string} created_at
+ */
+
+/**
+ * @typedef {Object} CacheLookup
+ * @property {string} key - SHA-256 нормализованного запроса.
+ * @property {'HIT'|'MISS'|'BYPASS'} status - Значение заголовка X-Cache.
+ * @property {CacheEntry|null} entry - Найденная запись (для HIT из хранилища).
+ * @property {boolean} isStorable - false при Cache-Control: no-store.
+ */
+
+/**
+ * @typedef {Object} Flight
+ * @description Выполняющийся запрос, к которому присоединяются одинаковые запросы.
+ * @property {Promise<{text: string, usage: object|null, model: string}>} promise
+ * @property {(signal?: AbortSignal) => Promise<{text: string, usage: object|null, model: string}>} join
+ */
+
+/**
+ * Создает хранилище согласно конфигурации.
+ * @returns {MemoryCacheStore|FileCacheStore}
+ */
+function createStore() {
+    switch (config.cache.STORE) {
+        case 'file':
+            return new FileCacheStore(config.cache.STORE_DIR, config.cache.MAX_ENTRIES);
+        case 'memory':
+            return new MemoryCacheStore(config.cache.MAX_ENTRIES);
+        default:
+            throw new Error(`Unknown RESPONSE_CACHE_STORE: '${config.cache.STORE}' (expected memory or file)`);
+    }
+}
+
+/**
+ * Разбирает заголовок Cache-Control клиента.
+ * @param {string|undefined} header
+ * @returns {{noCache: boolean, noStore: boolean}}
+ */
+function parseCacheControl(header) {
+    const directives = String(header || '').toLowerCase().split(',').map(d => d.trim());
+    return {
+        noCache: directives.includes('no-cache'),
+        noStore: directives.includes('no-store')
+    };
+}
+
+/**
+ * Приводит запрос к каноническому виду: незначимые различия (лишние поля сообщений,
+ * строковый prompt вместо messages) не должны давать разные ключи.
+ * @param {Array<{role: string, content: string|Array}>|string} messages
+ * @returns {Array<{role: string, content: string|Array}>}
+ */
+function normalizeMessages(messages) {
+    if (!Array.isArray(messages)) return [{ role: 'user', content: String(messages) }];
+    // Части с вложениями входят в ключ целиком (тип + base64): ключ все равно хешируется
+    return messages.map(({ role, content }) => ({ role, content: Array.isArray(content) ? content : String(content ?? '') }));
+}
+
+/**
+ * @returns {GatewayError}
+ */
+function cancelledError() {
+    return new GatewayError(ErrorCodes.CANCELLED, 'Request was cancelled by the client', 499);
+}
+
+class ResponseCacheService {
+
+    constructor() {
+        this.enabled = config.cache.ENABLED;
+        this.ttlMs = config.cache.TTL_MS;
+        this.store = this.enabled ? createStore() : null;
+        /** @type {Map<string, Flight>} Выполняющиеся запросы по ключу кэша. */
+        this.inflight = new Map();
+    }
+
+    /**
+     * @param {Array|string} messages
+     * @param {string} model
+     * @param {import('./gemini.service').GenerationParams|null} [generation] - Параметры генерации меняют ответ и входят в ключ.
+     * @returns {string} Ключ кэша.
+     */
+    keyFor(messages, model, generation = null) {
+        const request = { model, messages: normalizeMessages(messages) };
+        // Без параметров ключ остается прежним: записи, сохраненные до их появления, продолжают совпадать
+        if (generation) request.generation = generation;
+        const canonical = JSON.stringify(request);
+        return crypto.createHash('sha256').update(canonical).digest('hex');
+    }
+
+    /**
+     * Ищет ответ в кэше до начала генерации, чтобы контроллер мог выставить X-Cache
+     * до отправки заголовков (важно для SSE).
+     * @param {Array|string} messages
+     * @param {string} model
+     * @param {string} [cacheControl] - Заголовок Cache-Control запроса.
+     * @param {import('./gemini.service').GenerationParams|null} [generation]
+     * @returns {Promise<CacheLookup|null>} null, если кэш выключен.
+     */
+    async lookup(messages, model, cacheControl, generation = null) {
+        if (!this.enabled) return null;
+
+        const { noCache, noStore } = parseCacheControl(cacheControl);
+        const lookup = { key: this.keyFor(messages, model, generation), status: 'MISS', entry: null, isStorable: !noStore };
+
+        if (noCache || noStore) {
+            lookup.status = 'BYPASS';
+            metrics.responseCacheRequestsTotal.inc({ result: 'bypass' });
+            return lookup;
+        }
+
+        const entry = await this._read(lookup.key);
+        if (entry) {
+            lookup.status = 'HIT';
+            lookup.entry = entry;
+            metrics.responseCacheRequestsTotal.inc({ result: 'hit' });
+        } else if (this.inflight.has(lookup.key)) {
+            // Такой же запрос уже выполняется: присоединимся к нему, CLI не запускается
+            lookup.status = 'HIT';
+        }
+        return lookup;
+    }
+
+    /**
+     * Аналог GeminiService.generate с учетом кэша.
+     * Уточняет lookup.status, если запрос присоединился к выполняющемуся такому же.
+     * @param {CacheLookup|null} lookup - Результат lookup() (null — кэш выключен).
+     * @param {Array|string} messages
+     * @param {string} model
+     * @param {import('./gemini.service').RunOptions} [options]
+     * @returns {Promise<{text: string, usage?: object|null, model: string}>}
+     */
+    async generate(lookup, messages, model, options = {}) {
+        if (!lookup) return geminiService.generate(messages, model, options);
+        if (lookup.entry) return { text: lookup.entry.text, usage: lookup.entry.usage, model: lookup.entry.model };
+
+        const flight = this._joinableFlight(lookup);
+        if (flight) {
+            // Одинаковый запрос мог стартовать уже после lookup(): ответ все равно будет без своего процесса CLI
+            lookup.status = 'HIT';
+            metrics.responseCacheRequestsTotal.inc({ result: 'coalesced' });
+            const result = await this._follow(flight, lookup, options.signal);
+            if (result) return result;
+
+            // Ведущий запрос был отменен своим клиентом — запускаем генерацию сами
+            lookup.status = 'MISS';
+            return this.generate(lookup, messages, model, options);
+        }
+
+        if (lookup.status !== 'BYPASS') metrics.responseCacheRequestsTotal.inc({ result: 'miss' });
+
+        // Приоритет и владелец берутся у первого запроса; отмена — общая для всех ожидающих
+        return this._startSharedFlight(lookup, model, (signal) =>
+            geminiService.generate(messages, model, { ...options, signal })
+        ).join(options.signal);
+    }
+
+    /**
+     * Аналог GeminiService.stream с учетом кэша. Для HIT возвращает воспроизведение сохраненного ответа
+     * с тем же интерфейсом ('event', 'end', cancel()), поэтому контроллеры обрабатывают его как обычный поток.
+     * @param {CacheLookup|null} lookup
+     * @param {Array|string} messages
+     * @param {string} model
+     * @param {import('./gemini.service').RunOptions} [options]
+     * @returns {Promise<EventEmitter & {cancel: Function}>}
+     */
+    async stream(lookup, messages, model, options = {}) {
+        if (!lookup) return geminiService.stream(messages, model, options);
+        if (lookup.entry) return this._replay(lookup.entry);
+
+        const flight = this._joinableFlight(lookup);
+        if (flight) {
+            metrics.responseCacheRequestsTotal.inc({ result: 'coalesced' });
+            const result = await this._follow(flight, lookup, options.signal);
+            if (!result) return this.stream(lookup, messages, model, options);
+            return this._replay({ text: result.text, usage: result.usage, model: result.model });
+        }
+
+        if (lookup.status !== 'BYPASS') metrics.responseCacheRequestsTotal.inc({ result: 'miss' });
+        const run = await geminiService.stream(messages, model, options);
+        this._startStreamFlight(lookup, model, run);
+        return run;
+    }
+
+    /**
+     * @param {CacheLookup} lookup
+     * @returns {Flight|null} Выполняющийся одинаковый запрос (BYPASS к чужим запросам не присоединяется).
+     * @private
+     */
+    _joinableFlight(lookup) {
+        if (lookup.status === 'BYPASS') return null;
+        return this.inflight.get(lookup.key) || null;
+    }
+
+    /**
+     * Ждет результат чужого запроса.
+     * @param {Flight} flight
+     * @param {CacheLookup} lookup
+     * @param {AbortSignal} [signal]
+     * @returns {Promise<{text: string, usage: object|null}|null>} null, если ведущий запрос отменил его клиент
+     *   (а не текущий) — тогда генерацию нужно запустить заново.
+     * @private
+     */
+    async _follow(flight, lookup, signal) {
+        try {
+            return await flight.join(signal);
+        } catch (err) {
+            const isOwnCancel = signal && signal.aborted;
+            if (err.code !== ErrorCodes.CANCELLED || isOwnCancel) throw err;
+            log.info('Coalesced request lost its leader, retrying', { key: lookup.key });
+            return null;
+        }
+    }
+
+    /**
+     * Запускает буферизованный запрос, общий для всех присоединившихся клиентов.
+     * Процесс CLI останавливается, только когда отключились все ожидающие клиенты.
+     * @param {CacheLookup} lookup
+     * @param {string} model
+     * @param {(signal: AbortSignal) => Promise<{text: string, model: string}>} start
+     * @returns {Flight}
+     * @private
+     */
+    _startSharedFlight(lookup, model, start) {
+        const controller = new AbortController();
+        let waiters = 0;
+
+        const promise = start(controller.signal).then(async (result) => {
+            if (lookup.isStorable) await this._write(lookup.key, result.model || model, result.text, result.usage || null);
+            return result;
+        });
+
+        const flight = {
+            promise,
+            join: (signal) => new Promise((resolve, reject) => {
+                let isDone = false;
+                waiters++;
+
+                const onAbort = () => {
+                    if (isDone) return;
+                    isDone = true;
+                    if (--waiters === 0) controller.abort();
+                    reject(cancelledError());
+                };
+
+                if (signal) {
+                    if (signal.aborted) return onAbort();
+                    signal.addEventListener('abort', onAbort, { once: true });
+                }
+
+                promise.then((value) => {
+                    if (isDone) return;
+                    isDone = true;
+                    if (signal) signal.removeEventListener('abort', onAbort);
+                    resolve(value);
+                }, (err) => {
+                    if (isDone) return;
+                    isDone = true;
+                    if (signal) signal.removeEventListener('abort', onAbort);
+                    reject(err);
+                });
+            })
+        };
+
+        this._register(lookup.key, flight);
+        return flight;
+    }
+
+    /**
+     * Регистрирует потоковую генерацию как общий запрос: остальные клиенты дождутся ее результата.
+     * Потоком управляет его собственный клиент; при отмене присоединившиеся запустят генерацию сами.
+     * @param {CacheLookup} lookup
+     * @param {string} model
+     * @param {EventEmitter} run
+     * @private
+     */
+    _startStreamFlight(lookup, model, run) {
+        const promise = new Promise((resolve, reject) => {
+            run.once('end', async ({ finishReason, text, usage, error, model: answeredBy }) => {
+                if (finishReason !== 'stop') {
+                    return reject(error || (finishReason === 'cancelled' ? cancelledError() : new GatewayError(
+                        ErrorCodes.CLI_ERROR, `Generation finished with reason '${finishReason}'`
+                    )));
+                }
+                if (lookup.isStorable) await this._write(lookup.key, answeredBy || model, text, usage || null);
+                resolve({ text, usage: usage || null, model: answeredBy || model });
+            });
+        });
+        // Ошибку ведущего потока получает его клиент через run; здесь она важна только присоединившимся
+        promise.catch(() => {});
+
+        const flight = {
+            promise,
+            join: (signal) => new Promise((resolve, reject) => {
+                if (signal && signal.aborted) return reject(cancelledError());
+                const onAbort = () => reject(cancelledError());
+                if (signal) {
+                    signal.addEventListener('abort', onAbort, { once: true });
+                    promise.finally(() => signal.removeEventListener('abort', onAbort)).catch(() => {});
+                }
+                promise.then(resolve, reject);
+            })
+        };
+
+        this._register(lookup.key, flight);
+    }
+
+    /**
+     * @param {string} key
+     * @param {Flight} flight
+     * @private
+     */
+    _register(key, flight) {
+        // BYPASS-запрос при уже выполняющемся таком же не подменяет его
+        if (this.inflight.has(key)) return;
+
+        this.inflight.set(key, flight);
+        const cleanup = () => {
+            if (this.inflight.get(key) === flight) this.inflight.delete(key);
+        };
+        flight.promise.then(cleanup, cleanup);
+    }
+
+    /**
+     * Воспроизводит сохраненный ответ как поток: delta фрагментами, usage и end.
+     * @param {{text: string, usage: object|null, model?: string}} entry
+     * @returns {EventEmitter & {cancel: Function}}
+     * @private
+     */
+    _replay(entry) {
+        const run = new EventEmitter();
+        let isCancelled = false;
+        run.cancel = () => { isCancelled = true; };
+        run.model = entry.model;
+
+        setImmediate(() => {
+            if (isCancelled) return;
+            for (let i = 0; i < entry.text.length; i += REPLAY_CHUNK_CHARS) {
+                run.emit('event', { type: 'delta', data: { text: entry.text.slice(i, i + REPLAY_CHUNK_CHARS) } });
+            }
+            if (entry.usage) run.emit('event', { type: 'usage', data: entry.usage });
+            run.emit('end', { finishReason: 'stop', text: entry.text, usage: entry.usage, error: null, model: entry.model });
+        });
+
+        return run;
+    }
+
+    /**
+     * @param {string} key
+     * @returns {Promise<CacheEntry|null>} Запись, если она есть и не устарела.
+     * @private
+     */
+    async _read(key) {
+        try {
+            const entry = await this.store.get(key);
+            if (!entry) return null;
+
+            if (Date.now() - Date.parse(entry.created_at) > this.ttlMs) {
+                await this.store.delete(key);
+                return null;
+            }
+            return entry;
+        } catch (err) {
+            // Сбой кэша не должен ломать запрос — идем в CLI
+            log.error('Failed to read cache entry', { key, err });
+            return null;
+        }
+    }
+
+    /**
+     * @param {string} key
+     * @param {string} model
+     * @param {string} text
+     * @param {object|null} usage
+     * @private
+     */
+    async _write(key, model, text, usage) {
+        try {
+            await this.store.set(key, { text, usage, model, created_at: new Date().toISOString() });
+        } catch (err) {
+            log.error('Failed to write cache entry', { key, err });
+        }
+    }
+}
+
+// Экспортируем единственный экземпляр (Singleton pattern)
+module.exports = new ResponseCacheService();
@@ -0,0 +1,269 @@
+/**
+ * @file services/session.service.js
+ * @description Сервис серверных сессий диалога.
+ * Хранит историю сообщений, собирает из нее контекст для GeminiService
+ * и следит, чтобы промпт не превышал настроенный размер (политики truncate / summary).
+ */
+
+const crypto = require('crypto');
+const config = require('../config/app.config');
+const geminiService = require('./gemini.service');
+const modelRegistry = require('./model.registry.service');
+const moderation = require('./moderation.service');
+const MemorySessionStore = require('../stores/session.memory.store');
+const FileSessionStore = require('../stores/session.file.store');
+const { ErrorCodes, GatewayError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+const log = logger.child({ component: 'session' });
+
+/**
+ * @typedef {Object} SessionMessage
+ * @property {'user'|'assistant'} role
+ * @property {string} content
+ * @property {string} created_at
+ */
+
+/**
+ * @typedef {Object} Session
+ * @property {string} id
+ * @property {string|null} owner - ID API ключа, создавшего сессию.
+ * @property {string} model - Модель по умолчанию для сессии.
+ * @property {string|null} system - Системная инструкция.
+ * @property {object} metadata - Произвольные данные клиента.
+ * @property {SessionMessage[]} messages - Полная история диалога.
+ * @property {{text: string, covered: number, updated_at: string}|null} summary - Краткое содержание
+ *   первых `covered` сообщений (политика summary).
+ * @property {string} created_at
+ * @property {string} updated_at
+ */
+
+/** Инструкция для сворачивания старой части истории в краткое содержание. */
+const SUMMARY_INSTRUCTION = 'Summarize the conversation below so that it can replace the original messages as context. '
+    + 'Keep facts, decisions, names, numbers and open questions. Reply with the summary only.';
+
+/**
+ * Создает хранилище согласно конфигурации.
+ * @returns {MemorySessionStore|FileSessionStore}
+ */
+function createStore() {
+    switch (config.sessions.STORE) {
+        case 'file':
+            return new FileSessionStore(config.sessions.STORE_DIR);
+        case 'memory':
+            return new MemorySessionStore();
+        default:
+            throw new Error(`Unknown SESSION_STORE: '${config.sessions.STORE}' (expected memory or file)`);
+    }
+}
+
+/**
+ * @param {Array<{content: string}>} messages
+ * @returns {number} Суммарная длина текста сообщений.
+ */
+function sizeOf(messages) {
+    return messages.reduce((total, msg) => total + msg.content.length, 0);
+}
+
+class SessionService {
+
+    constructor() {
+        this.store = createStore();
+        this.maxPromptChars = config.sessions.MAX_PROMPT_CHARS;
+        this.historyPolicy = config.sessions.HISTORY_POLICY;
+        /** @type {Set<string>} ID сессий, в которых сейчас идет генерация. */
+        this.busySessions = new Set();
+    }
+
+    /**
+     * Создает новую сессию.
+     * @param {{model: string, system?: string, metadata?: object, owner?: string}} params
+     * @returns {Promise<Session>}
+     */
+    async create({ model, system, metadata, owner }) {
+        const now = new Date().toISOString();
+        const session = {
+            id: crypto.randomUUID(),
+            owner: owner || null,
+            model,
+            system: system || null,
+            metadata: metadata || {},
+            messages: [],
+            summary: null,
+            created_at: now,
+            updated_at: now
+        };
+        await this.store.save(session);
+        return session;
+    }
+
+    /**
+     * @param {string} id
+     * @returns {Promise<Session|null>}
+     */
+    async get(id) {
+        return this.store.get(id);
+    }
+
+    /**
+     * @param {string} id
+     * @returns {Promise<boolean>} true, если сессия была удалена.
+     */
+    async delete(id) {
+        return this.store.delete(id);
+    }
+
+    /**
+     * Начинает ход диалога: блокирует сессию от параллельных запросов
+     * и собирает контекст для модели с учетом политики истории.
+     * После генерации нужно вызвать commitTurn() или releaseTurn().
+     * @param {string} id
+     * @param {string} content - Новое сообщение пользователя.
+     * @param {string} [model] - Модель (ID или псевдоним) для этого хода (по умолчанию — модель сессии).
+     * @param {import('./apikey.service').ApiKeyIdentity} [apiKey] - Ключ вызывающего: чужие сессии недоступны.
+     * @returns {Promise<{session: Session, conversation: Array, model: string}>}
+     * @throws {GatewayError} SESSION_NOT_FOUND, SESSION_BUSY, MODEL_UNKNOWN, MODEL_DISABLED, MODEL_NOT_ALLOWED.
+     */
+    async beginTurn(id, content, model, apiKey) {
+        if (this.busySessions.has(id)) {
+            throw new GatewayError(ErrorCodes.SESSION_BUSY, 'Another message is being processed in this session', 409);
+        }
+        this.busySessions.add(id);
+
+        try {
+            const session = await this.store.get(id);
+            if (!session || (apiKey && !apiKey.admin && session.owner !== apiKey.id)) {
+                throw new GatewayError(ErrorCodes.SESSION_NOT_FOUND, `Session '${id}' not found`, 404);
+            }
+
+            // Права ключа и реестр моделей могли измениться после создания сессии
+            const selectedModel = modelRegistry.resolve(model || session.model, apiKey).id;
+            const conversation = await this._buildConversation(session, content, selectedModel);
+            return { session, conversation, model: selectedModel };
+        } catch (err) {
+            this.busySessions.delete(id);
+            throw err;
+        }
+    }
+
+    /**
+     * Сохраняет завершенный ход (сообщение пользователя и ответ модели) и снимает блокировку.
+     * Вызывается только после успешного завершения процесса CLI.
+     * @param {Session} session
+     * @param {string} content - Сообщение пользователя.
+     * @param {string} reply - Ответ модели.
+     * @returns {Promise<Session>}
+     */
+    async commitTurn(session, content, reply) {
+        try {
+            const now = new Date().toISOString();
+            session.messages.push(
+                { role: 'user', content, created_at: now },
+                { role: 'assistant', content: reply, created_at: now }
+            );
+            session.updated_at = now;
+            await this.store.save(session);
+            return session;
+        } finally {
+            this.busySessions.delete(session.id);
+        }
+    }
+
+    /**
+     * Снимает блокировку без сохранения (генерация завершилась ошибкой).
+     * @param {Session} session
+     */
+    releaseTurn(session) {
+        this.busySessions.delete(session.id);
+    }
+
+    /**
+     * Собирает диалог для модели: system, краткое содержание, история и новое сообщение.
+     * Если промпт превышает MAX_PROMPT_CHARS, применяется политика истории:
+     * summary сворачивает старые сообщения, truncate (и страховка для summary) отбрасывает самые старые.
+     * @param {Session} session
+     * @param {string} content
+     * @param {string} model
+     * @returns {Promise<Array<{role: string, content: string}>>}
+     * @private
+     */
+    async _buildConversation(session, content, model) {
+        const userMessage = { role: 'user', content };
+
+        const assemble = () => {
+            const head = [];
+            if (session.system) head.push({ role: 'system', content: session.system });
+            if (session.summary) {
+                head.push({ role: 'system', content: `Summary of the earlier conversation:\n${session.summary.text}` });
+            }
+            const start = session.summary ? session.summary.covered : 0;
+            const history = session.messages.slice(start).map(({ role, content }) => ({ role, content }));
+            return { head, history };
+        };
+
+        let { head, history } = assemble();
+        const fits = () => sizeOf(head) + sizeOf(history) + content.length <= this.maxPromptChars;
+
+        if (!fits() && this.historyPolicy === 'summary' && history.length > 0) {
+            try {
+                await this._summarize(session, model);
+                ({ head, history } = assemble());
+            } catch (err) {
+                log.error('Failed to summarize history, falling back to truncate', { session_id: session.id, err });
+            }
+        }
+
+        let dropped = 0;
+        while (!fits() && history.length > 0) {
+            history.shift();
+            dropped++;
+        }
+        if (dropped > 0) {
+            log.info('Dropped oldest messages to fit prompt limit', { session_id: session.id, dropped, max_prompt_chars: this.maxPromptChars });
+        }
+
+        return [...head, ...history, userMessage];
+    }
+
+    /**
+     * Сворачивает старую часть истории в краткое содержание.
+     * Свежие сообщения, занимающие не более половины бюджета, остаются как есть.
+     * @param {Session} session
+     * @param {string} model
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _summarize(session, model) {
+        const start = session.summary ? session.summary.covered : 0;
+        const budget = this.maxPromptChars / 2;
+
+        let cut = session.messages.length;
+        let tailSize = 0;
+        while (cut > start && tailSize + session.messages[cut - 1].content.length <= budget) {
+            cut--;
+            tailSize += session.messages[cut].content.length;
+        }
+        if (cut <= start) return;
+
+        const transcript = session.messages
+            .slice(start, cut)
+            .map(msg => `${msg.role}: ${msg.content}`)
+            .join('\n\n');
+        const previous = session.summary ? `Previous summary:\n${session.summary.text}\n\n` : '';
+
+        // История хранится как есть, поэтому перед отправкой CLI проходит ту же модерацию, что и сообщения чата
+        const { conversation, guard } = moderation.screen([
+            { role: 'system', content: SUMMARY_INSTRUCTION },
+            { role: 'user', content: `${previous}Conversation:\n${transcript}` }
+        ], null, log);
+        const result = await geminiService.generate(conversation, model, { owner: session.owner || undefined });
+        const text = guard ? moderation.filterText(guard, result.text) : result.text;
+
+        session.summary = { text, covered: cut, updated_at: new Date().toISOString() };
+        await this.store.save(session);
+        log.info('History summarized', { session_id: session.id, messages: cut - start });
+    }
+}
+
+// Экспортируем единственный экземпляр (Singleton pattern)
+module.exports = new SessionService();
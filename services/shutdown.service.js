@@ -0,0 +1,103 @@
+/**
+ * @file services/shutdown.service.js
+ * @description Корректная остановка шлюза по SIGTERM / SIGINT.
+ * Порядок: readiness становится unavailable, новые и ожидающие в очереди запросы получают 503 SHUTTING_DOWN,
+ * выполняющиеся процессы CLI дорабатывают до SHUTDOWN_GRACE_PERIOD_MS, оставшиеся останавливаются
+ * (открытые потоки получают события error и done), состояние пакетных заданий, учет и журнал аудита сохраняются,
+ * процесс завершается.
+ */
+
+const config = require('../config/app.config');
+const geminiService = require('./gemini.service');
+const batchService = require('./batch.service');
+const usageService = require('./usage.service');
+const auditService = require('./audit.service');
+const logger = require('../utils/logger');
+
+const log = logger.child({ component: 'shutdown' });
+
+class ShutdownService {
+
+    constructor() {
+        /** @type {Promise<void>|null} */
+        this.running = null;
+    }
+
+    /**
+     * Запускает остановку. Повторный сигнал во время остановки завершает процесс немедленно.
+     * @param {import('http').Server} server
+     * @param {NodeJS.Signals} signal
+     * @returns {Promise<void>}
+     */
+    shutdown(server, signal) {
+        if (this.running) {
+            log.warn('Second signal received, exiting immediately', { signal });
+            process.exit(1);
+        }
+
+        // Оставшиеся процессы CLI добивает обработчик 'exit' (см. reap)
+        this.running = this._run(server, signal).then(() => process.exit(0), (err) => {
+            log.error('Shutdown failed', { err });
+            process.exit(1);
+        });
+        return this.running;
+    }
+
+    /**
+     * Убивает все процессы CLI (SIGKILL). Подключается к событию 'exit' процесса, поэтому срабатывает
+     * и при аварийном завершении: после падения шлюза не остается осиротевших процессов.
+     */
+    reap() {
+        const killed = geminiService.terminateAll('SIGKILL');
+        if (killed > 0) log.warn('Killed orphaned CLI processes', { count: killed });
+    }
+
+    /**
+     * @param {import('http').Server} server
+     * @param {NodeJS.Signals} signal
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _run(server, signal) {
+        const { GRACE_PERIOD_MS: gracePeriodMs, KILL_TIMEOUT_MS: killTimeoutMs } = config.shutdown;
+        log.info('Shutdown started', {
+            signal,
+            active_processes: geminiService.children.size,
+            queued: geminiService.getQueueStats().queued,
+            grace_period_ms: gracePeriodMs
+        });
+
+        // 1. Новые и ожидающие в очереди запросы получают 503, readiness — unavailable.
+        // Порт пока открыт, чтобы оркестратор видел статус остановки, а клиенты — явный 503 вместо обрыва
+        const batchesStopped = batchService.stop();
+        geminiService.drain();
+
+        // 2. Выполняющиеся процессы дорабатывают в пределах grace period, оставшиеся останавливаются
+        if (!await geminiService.waitForIdle(gracePeriodMs)) {
+            log.warn('Grace period expired, stopping CLI processes', { count: geminiService.children.size });
+            geminiService.terminateAll('SIGTERM');
+            if (!await geminiService.waitForIdle(killTimeoutMs)) {
+                log.warn('CLI processes did not exit, killing', { count: geminiService.children.size });
+                geminiService.terminateAll('SIGKILL');
+                await geminiService.waitForIdle(killTimeoutMs);
+            }
+        }
+
+        // 3. Состояние, которое сохраняется отложенно
+        await batchesStopped;
+        await usageService.flush().catch(err => log.error('Failed to save usage', { err }));
+        await auditService.flush();
+
+        // 4. Ответы отправлены: закрываем порт, а соединения, которые клиенты держат открытыми, — принудительно
+        const closed = new Promise(resolve => server.close(resolve));
+        const isClosed = await Promise.race([
+            closed.then(() => true),
+            new Promise(resolve => setTimeout(resolve, killTimeoutMs, false))
+        ]);
+        if (!isClosed) server.closeAllConnections();
+        log.info('Shutdown complete');
+    }
+}
+
+// Экспортируем единственный экземпляр (Singleton pattern)
+module.exports = new ShutdownService();
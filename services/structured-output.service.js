@@ -0,0 +1,166 @@
+/**
+ * @file services/structured-output.service.js
+ * @description Режим структурированного ответа (response_format json_object / json_schema).
+ * CLI не умеет ограничивать вывод схемой, поэтому шлюз добавляет в диалог инструкцию, проверяет ответ
+ * по JSON Schema и при ошибке просит модель исправить его (не больше STRUCTURED_OUTPUT_MAX_REPAIRS раз).
+ */
+
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const config = require('../config/app.config');
+const usageService = require('./usage.service');
+const { ErrorCodes, GatewayError } = require('../utils/errors');
+const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
+
+const log = logger.child({ component: 'structured-output' });
+
+/**
+ * @typedef {Object} ResponseFormat
+ * @property {'json_object'|'json_schema'} type
+ * @property {object|null} schema - JSON Schema ответа (для json_object — null).
+ * @property {import('ajv').ValidateFunction|null} validate
+ */
+
+/** Сколько ошибок схемы передается модели и клиенту. */
+const MAX_REPORTED_ERRORS = 10;
+
+/**
+ * Извлекает JSON из ответа модели: модели часто оборачивают его в блок ```json или добавляют пояснения.
+ * @param {string} text
+ * @returns {string}
+ */
+function extractJson(text) {
+    const trimmed = text.trim();
+    const fenced = /```(?:json)?\s*\n([\s\S]*?)\n?```/i.exec(trimmed);
+    if (fenced) return fenced[1].trim();
+
+    const start = trimmed.search(/[[{]/);
+    const end = Math.max(trimmed.lastIndexOf('}'), trimmed.lastIndexOf(']'));
+    return start !== -1 && end > start ? trimmed.slice(start, end + 1) : trimmed;
+}
+
+class StructuredOutputService {
+
+    constructor() {
+        this.maxRepairs = config.structuredOutput.MAX_REPAIRS;
+        this.ajv = addFormats(new Ajv({ allErrors: true, strict: false }));
+    }
+
+    /**
+     * Проверяет response_format запроса и компилирует схему.
+     * @param {{type: string, schema?: object, json_schema?: {schema?: object}}|undefined} responseFormat
+     *   Формат /api/chat (`schema`) или OpenAI (`json_schema.schema`).
+     * @returns {ResponseFormat|null} null — обычный текстовый ответ.
+     * @throws {GatewayError} RESPONSE_SCHEMA_INVALID.
+     */
+    compile(responseFormat) {
+        if (!responseFormat || responseFormat.type === 'text') return null;
+        if (responseFormat.type === 'json_object') return { type: 'json_object', schema: null, validate: null };
+
+        const schema = responseFormat.schema || (responseFormat.json_schema && responseFormat.json_schema.schema);
+        if (!schema || typeof schema !== 'object') {
+            throw new GatewayError(ErrorCodes.RESPONSE_SCHEMA_INVALID, 'response_format "json_schema" requires a schema', 400);
+        }
+        try {
+            // Схема клиента не должна оставаться в экземпляре Ajv: иначе его кэш рос бы с каждым запросом,
+            // а повтор того же $id в следующем запросе вызывал бы ошибку
+            const { $id, ...anonymous } = schema;
+            const validate = this.ajv.compile(anonymous);
+            this.ajv.removeSchema(anonymous);
+            return { type: 'json_schema', schema, validate };
+        } catch (err) {
+            throw new GatewayError(ErrorCodes.RESPONSE_SCHEMA_INVALID, `Invalid JSON schema: ${err.message}`, 400);
+        }
+    }
+
+    /**
+     * Добавляет в конец диалога инструкцию отвечать только JSON (по схеме).
+     * @param {Array<{role: string, content: *}>} conversation
+     * @param {ResponseFormat} format
+     * @returns {Array<{role: string, content: *}>}
+     */
+    withInstruction(conversation, format) {
+        const instruction = format.schema
+            ? `Reply with a single JSON value that conforms to this JSON Schema:\n${JSON.stringify(format.schema)}\n`
+            : 'Reply with a single valid JSON object.\n';
+        return [
+            ...conversation,
+            { role: 'system', content: `${instruction}Output only the JSON: no markdown code fences, no explanations.` }
+        ];
+    }
+
+    /**
+     * Проверяет ответ модели и при необходимости просит исправить его.
+     * @param {ResponseFormat} format
+     * @param {Array<{role: string, content: *}>} conversation - Диалог с инструкцией (см. withInstruction).
+     * @param {{text: string, model: string, usage?: object|null}} result - Первый ответ модели.
+     * @param {(messages: Array) => Promise<{text: string, model: string, usage?: object|null}>} regenerate - Повторная генерация.
+     * @returns {Promise<{text: string, model: string, usage: object|null, parsed: *}>} text — нормализованный JSON,
+     *   usage — сумма по всем генерациям, включая исправления.
+     * @throws {GatewayError} STRUCTURED_OUTPUT_INVALID, если ответ не исправлен за MAX_REPAIRS попыток.
+     */
+    async resolve(format, conversation, result, regenerate) {
+        let current = result;
+        let history = conversation;
+
+        for (let attempt = 0; ; attempt++) {
+            const check = this.check(format, current.text);
+            if (check.ok) {
+                metrics.structuredOutputTotal.inc({ outcome: 'valid' });
+                return { ...current, text: JSON.stringify(check.value), parsed: check.value };
+            }
+
+            if (attempt >= this.maxRepairs) {
+                metrics.structuredOutputTotal.inc({ outcome: 'invalid' });
+                throw new GatewayError(ErrorCodes.STRUCTURED_OUTPUT_INVALID, 'Model output does not match the requested JSON format', 502, {
+                    validation_errors: check.errors,
+                    attempts: attempt + 1
+                });
+            }
+
+            metrics.structuredOutputTotal.inc({ outcome: 'repair' });
+            log.info('Asking model to repair structured output', { attempt: attempt + 1, errors: check.errors });
+            history = [
+                ...history,
+                { role: 'assistant', content: current.text },
+                {
+                    role: 'user',
+                    content: `Your previous reply is not valid: ${check.errors.join('; ')}. `
+                        + 'Reply again with only the corrected JSON.'
+                }
+            ];
+            const repaired = await regenerate(history);
+            current = { ...repaired, usage: usageService.sum(current.usage || null, repaired.usage || null) };
+        }
+    }
+
+    /**
+     * Разбирает ответ модели и проверяет его по схеме.
+     * @param {ResponseFormat} format
+     * @param {string} text - Ответ модели.
+     * @returns {{ok: true, value: *}|{ok: false, errors: string[]}}
+     */
+    check(format, text) {
+        let value;
+        try {
+            value = JSON.parse(extractJson(text));
+        } catch (err) {
+            return { ok: false, errors: [`invalid JSON (${err.message})`] };
+        }
+
+        if (format.validate && !format.validate(value)) {
+            const errors = format.validate.errors
+                .slice(0, MAX_REPORTED_ERRORS)
+                .map(e => `${e.instancePath || '/'} ${e.message}`);
+            return { ok: false, errors };
+        }
+        if (!format.validate && (value === null || typeof value !== 'object')) {
+            return { ok: false, errors: ['expected a JSON object'] };
+        }
+        return { ok: true, value };
+    }
+}
+
+// Экспортируем единственный экземпляр (Singleton pattern)
+module.exports = new StructuredOutputService();
@@ -0,0 +1,302 @@
+/**
+ * @file services/template.service.js
+ * @description Именованные шаблоны промптов с версиями и типизированными переменными.
+ * Каждое сохранение создает новую версию (старые остаются доступны). Плейсхолдеры `{{имя}}` в тексте сообщений
+ * заменяются значениями переменных запроса или значениями по умолчанию.
+ */
+
+const config = require('../config/app.config');
+const FileTemplateStore = require('../stores/template.file.store');
+const { ErrorCodes, GatewayError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+const log = logger.child({ component: 'templates' });
+
+/**
+ * @typedef {Object} TemplateVariable
+ * @property {'string'|'number'|'integer'|'boolean'} type
+ * @property {boolean} required - Без значения по умолчанию переменная обязательна.
+ * @property {*} [default]
+ * @property {Array<string|number>} [enum] - Допустимые значения.
+ * @property {string} [description]
+ */
+
+/**
+ * @typedef {Object} TemplateVersion
+ * @property {number} version - Номер версии (с 1).
+ * @property {string} description
+ * @property {string|null} model - Модель по умолчанию для запросов с шаблоном.
+ * @property {Array<{role: string, content: string}>} messages - Сообщения с плейсхолдерами `{{имя}}`.
+ * @property {Object<string, TemplateVariable>} variables
+ * @property {string} created_at
+ * @property {string|null} created_by - ID API ключа, сохранившего версию.
+ */
+
+/**
+ * @typedef {Object} Template
+ * @property {string} name
+ * @property {TemplateVersion[]} versions - Все версии по возрастанию.
+ * @property {string} created_at
+ * @property {string} updated_at
+ */
+
+/** Плейсхолдер переменной: `{{имя}}`, пробелы внутри скобок допускаются. */
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-zA-Z_][a-zA-Z0-9_]*)\s*\}\}/g;
+
+const VARIABLE_NAME_PATTERN = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+
+/** Проверки значений по типу переменной. */
+const TYPE_CHECKS = {
+    string: value => typeof value === 'string',
+    number: value => typeof value === 'number' && Number.isFinite(value),
+    integer: value => Number.isInteger(value),
+    boolean: value => typeof value === 'boolean'
+};
+
+/**
+ * @param {string} text
+ * @returns {string[]} Имена переменных, использованных в тексте.
+ */
+function placeholdersOf(text) {
+    return [...text.matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]);
+}
+
+/**
+ * @param {string} name
+ * @returns {GatewayError}
+ */
+function notFound(name) {
+    return new GatewayError(ErrorCodes.TEMPLATE_NOT_FOUND, `Template '${name}' not found`, 404);
+}
+
+class TemplateService {
+
+    constructor() {
+        this.store = new FileTemplateStore(config.templates.STORE_DIR);
+        /** @type {Map<string, Promise<*>>} Последняя запись по имени шаблона (записи идут строго по очереди). */
+        this.writing = new Map();
+    }
+
+    /**
+     * @returns {Promise<object[]>} Краткие описания шаблонов (последние версии), по имени.
+     */
+    async list() {
+        const templates = await this.store.list();
+        return templates
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .map((template) => {
+                const latest = template.versions[template.versions.length - 1];
+                return {
+                    name: template.name,
+                    latest_version: latest.version,
+                    description: latest.description,
+                    variables: Object.keys(latest.variables),
+                    updated_at: template.updated_at
+                };
+            });
+    }
+
+    /**
+     * @param {string} name
+     * @param {number} [version] - Номер версии (по умолчанию — последняя).
+     * @returns {Promise<object>} Версия шаблона с полями name и latest_version.
+     * @throws {GatewayError} TEMPLATE_NOT_FOUND.
+     */
+    async get(name, version) {
+        const template = await this.store.get(name);
+        if (!template) throw notFound(name);
+        return this._view(template, version);
+    }
+
+    /**
+     * Сохраняет новую версию шаблона (создает шаблон, если его нет).
+     * @param {string} name
+     * @param {{description?: string, model?: string, messages: Array<{role: string, content: string}>, variables?: object}} body
+     * @param {string|null} [createdBy] - ID API ключа.
+     * @returns {Promise<{template: object, created: boolean}>} created — шаблон создан этим запросом.
+     * @throws {GatewayError} TEMPLATE_INVALID.
+     */
+    put(name, body, createdBy = null) {
+        const version = this._validate(body);
+        return this._exclusive(name, async () => {
+            const now = new Date().toISOString();
+            const existing = await this.store.get(name);
+            const template = existing || { name, versions: [], created_at: now, updated_at: now };
+
+            template.versions.push({
+                version: template.versions.length > 0 ? template.versions[template.versions.length - 1].version + 1 : 1,
+                ...version,
+                created_at: now,
+                created_by: createdBy
+            });
+            template.updated_at = now;
+            await this.store.save(template);
+
+            log.info('Template saved', { template: name, version: template.versions.length, key_id: createdBy });
+            return { template: this._view(template), created: !existing };
+        });
+    }
+
+    /**
+     * @param {string} name
+     * @returns {Promise<boolean>} true, если шаблон был удален (со всеми версиями).
+     */
+    delete(name) {
+        return this._exclusive(name, () => this.store.delete(name));
+    }
+
+    /**
+     * Подставляет переменные в сообщения шаблона.
+     * @param {string} name
+     * @param {number} [version] - Номер версии (по умолчанию — последняя).
+     * @param {object} [variables] - Значения переменных.
+     * @returns {Promise<{name: string, version: number, model: string|null, messages: Array<{role: string, content: string}>}>}
+     * @throws {GatewayError} TEMPLATE_NOT_FOUND, TEMPLATE_RENDER_FAILED (с перечнем ошибок в errors).
+     */
+    async render(name, version, variables = {}) {
+        const template = await this.get(name, version);
+        const errors = [];
+        const values = {};
+
+        for (const key of Object.keys(variables)) {
+            if (!template.variables[key]) errors.push({ variable: key, message: 'is not declared in the template' });
+        }
+
+        for (const [key, spec] of Object.entries(template.variables)) {
+            const value = variables[key] !== undefined && variables[key] !== null ? variables[key] : spec.default;
+            if (value === undefined || value === null) {
+                if (spec.required) errors.push({ variable: key, message: 'is required' });
+                else values[key] = '';
+                continue;
+            }
+            const problem = this._checkValue(spec, value);
+            if (problem) errors.push({ variable: key, message: problem });
+            else values[key] = String(value);
+        }
+
+        if (errors.length > 0) {
+            throw new GatewayError(
+                ErrorCodes.TEMPLATE_RENDER_FAILED,
+                `Failed to render template '${name}' v${template.version}: ${errors.map(e => `${e.variable} ${e.message}`).join('; ')}`,
+                400,
+                { template: name, version: template.version, errors }
+            );
+        }
+
+        return {
+            name,
+            version: template.version,
+            model: template.model,
+            messages: template.messages.map(msg => ({
+                role: msg.role,
+                content: msg.content.replace(PLACEHOLDER_PATTERN, (match, key) => values[key])
+            }))
+        };
+    }
+
+    /**
+     * Проверяет тело PUT и приводит его к версии шаблона (без номера и даты).
+     * @param {object} body
+     * @returns {{description: string, model: string|null, messages: Array, variables: Object<string, TemplateVariable>}}
+     * @throws {GatewayError} TEMPLATE_INVALID.
+     * @private
+     */
+    _validate(body) {
+        const errors = [];
+        const variables = {};
+
+        for (const [key, raw] of Object.entries(body.variables || {})) {
+            if (!VARIABLE_NAME_PATTERN.test(key)) {
+                errors.push(`variable '${key}': name must match ${VARIABLE_NAME_PATTERN}`);
+                continue;
+            }
+            const spec = {
+                type: raw.type || 'string',
+                required: raw.required !== undefined ? raw.required : raw.default === undefined,
+                ...(raw.default !== undefined && { default: raw.default }),
+                ...(raw.enum !== undefined && { enum: raw.enum }),
+                ...(raw.description !== undefined && { description: raw.description })
+            };
+            if (!TYPE_CHECKS[spec.type]) {
+                errors.push(`variable '${key}': unknown type '${spec.type}'`);
+                continue;
+            }
+            for (const allowed of spec.enum || []) {
+                if (!TYPE_CHECKS[spec.type](allowed)) errors.push(`variable '${key}': enum value ${JSON.stringify(allowed)} is not a ${spec.type}`);
+            }
+            if (spec.default !== undefined) {
+                const problem = this._checkValue(spec, spec.default);
+                if (problem) errors.push(`variable '${key}': default ${problem}`);
+            }
+            variables[key] = spec;
+        }
+
+        const used = new Set(body.messages.flatMap(msg => placeholdersOf(msg.content)));
+        for (const key of used) {
+            if (!(key in variables) && !errors.some(e => e.startsWith(`variable '${key}'`))) {
+                errors.push(`placeholder {{${key}}} is not declared in "variables"`);
+            }
+        }
+
+        if (errors.length > 0) {
+            throw new GatewayError(ErrorCodes.TEMPLATE_INVALID, `Invalid template: ${errors.join('; ')}`, 400, { errors });
+        }
+
+        return {
+            description: body.description || '',
+            model: body.model || null,
+            messages: body.messages.map(msg => ({ role: msg.role, content: msg.content })),
+            variables
+        };
+    }
+
+    /**
+     * @param {TemplateVariable} spec
+     * @param {*} value
+     * @returns {string|null} Описание проблемы или null, если значение подходит.
+     * @private
+     */
+    _checkValue(spec, value) {
+        if (!TYPE_CHECKS[spec.type](value)) return `must be a ${spec.type}, got ${JSON.stringify(value)}`;
+        if (spec.enum && !spec.enum.includes(value)) return `must be one of ${spec.enum.map(v => JSON.stringify(v)).join(', ')}`;
+        return null;
+    }
+
+    /**
+     * @param {Template} template
+     * @param {number} [version]
+     * @returns {object} Версия шаблона для клиента.
+     * @throws {GatewayError} TEMPLATE_NOT_FOUND, если такой версии нет.
+     * @private
+     */
+    _view(template, version) {
+        const latest = template.versions[template.versions.length - 1];
+        const selected = version ? template.versions.find(v => v.version === version) : latest;
+        if (!selected) {
+            throw new GatewayError(ErrorCodes.TEMPLATE_NOT_FOUND, `Template '${template.name}' has no version ${version}`, 404, {
+                latest_version: latest.version
+            });
+        }
+        return { name: template.name, ...selected, latest_version: latest.version };
+    }
+
+    /**
+     * Выполняет изменение шаблона после предыдущих изменений того же шаблона.
+     * @param {string} name
+     * @param {() => Promise<*>} fn
+     * @returns {Promise<*>}
+     * @private
+     */
+    _exclusive(name, fn) {
+        const previous = this.writing.get(name) || Promise.resolve();
+        const current = previous.catch(() => {}).then(fn);
+        this.writing.set(name, current);
+        current.finally(() => {
+            if (this.writing.get(name) === current) this.writing.delete(name);
+        }).catch(() => {});
+        return current;
+    }
+}
+
+// Экспортируем единственный экземпляр (Singleton pattern)
+module.exports = new TemplateService();
@@ -0,0 +1,355 @@
+/**
+ * @file services/tool-calling.service.js
+ * @description Вызов функций клиента (tools / tool_choice в формате OpenAI).
+ * У CLI нет механизма для функций клиента, поэтому шлюз описывает функции в инструкции, просит модель отвечать
+ * блоком `<tool_calls>` с JSON и разбирает его в структурированные tool_calls, проверяя аргументы по JSON Schema.
+ * Результаты вызовов (сообщения role: tool) и прошлые вызовы модели возвращаются в диалог текстом в том же формате.
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const { ErrorCodes, GatewayError } = require('../utils/errors');
+const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
+
+const log = logger.child({ component: 'tool-calling' });
+
+/**
+ * @typedef {Object} ToolCall
+ * @property {string} id - ID вызова (`call_...`), на него ссылается сообщение role: tool с результатом.
+ * @property {'function'} type
+ * @property {{name: string, arguments: string}} function - arguments — JSON строка, как в OpenAI.
+ */
+
+/**
+ * @typedef {Object} ToolSet
+ * @property {Array<{name: string, description: string, parameters: object}>} functions
+ * @property {'auto'|'required'} mode - required — модель обязана вызвать функцию.
+ * @property {string|null} forced - Функция, которую модель обязана вызвать (tool_choice с именем).
+ * @property {Map<string, import('ajv').ValidateFunction>} validators - Проверка аргументов по имени функции.
+ */
+
+const OPEN_TAG = '<tool_calls>';
+const CLOSE_TAG = '</tool_calls>';
+
+/** Блок вызовов в ответе модели; закрывающий тег модель иногда теряет в конце ответа. */
+const TOOL_CALLS_PATTERN = /<tool_calls>([\s\S]*?)(?:<\/tool_calls>|$)/;
+
+/** Теги разметки вызовов и результатов в тексте сообщений. */
+const TOOL_TAG_PATTERN = /<(\/?)(tool_calls|tool_result)\b/gi;
+
+/** Сколько ошибок проверки передается клиенту. */
+const MAX_REPORTED_ERRORS = 10;
+
+/** Сколько текста ответа модели возвращается клиенту в ошибке TOOL_CALL_INVALID. */
+const MAX_RAW_OUTPUT_CHARS = 2000;
+
+/**
+ * Текст content сообщения (строка или текстовые части).
+ * @param {*} content
+ * @returns {string}
+ */
+function textOf(content) {
+    if (content == null) return '';
+    if (!Array.isArray(content)) return String(content);
+    return content.filter(part => part && part.type === 'text').map(part => part.text).join('\n');
+}
+
+/**
+ * Экранирует теги разметки в тексте сообщений (`</tool_result>` → `<\/tool_result>`, `<tool_calls>` → `<\tool_calls>`):
+ * результат функции (страница, файл) не должен закрывать свою обертку и выдавать себя за вызовы модели.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeToolTags(text) {
+    return text.replace(TOOL_TAG_PATTERN, '<\\$1$2');
+}
+
+/**
+ * Значение атрибута тега `<tool_result>` (кавычки и угловые скобки заменяются сущностями).
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeAttribute(value) {
+    return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * content сообщения с экранированными тегами (строка или части; вложения не меняются).
+ * @param {*} content
+ * @returns {*}
+ */
+function escapeContent(content) {
+    if (typeof content === 'string') return escapeToolTags(content);
+    if (!Array.isArray(content)) return content;
+    return content.map(part => (part && part.type === 'text' && typeof part.text === 'string'
+        ? { ...part, text: escapeToolTags(part.text) }
+        : part));
+}
+
+/**
+ * Блок вызовов в том виде, в каком модель должна его выводить.
+ * `<` в JSON записывается как \u003c, чтобы строки аргументов не закрывали блок.
+ * @param {Array<{id?: string, name: string, arguments: *}>} calls
+ * @returns {string}
+ */
+function formatCalls(calls) {
+    return `${OPEN_TAG}\n${JSON.stringify(calls).replace(/</g, '\\u003c')}\n${CLOSE_TAG}`;
+}
+
+/**
+ * Длина конца текста, который может оказаться началом тега `<tool_calls>` (его нельзя отдавать клиенту, пока не ясно).
+ * @param {string} text
+ * @returns {number}
+ */
+function partialTagLength(text) {
+    for (let length = Math.min(OPEN_TAG.length - 1, text.length); length > 0; length--) {
+        if (OPEN_TAG.startsWith(text.slice(-length))) return length;
+    }
+    return 0;
+}
+
+class ToolCallingService {
+
+    constructor() {
+        this.ajv = addFormats(new Ajv({ allErrors: true, strict: false }));
+    }
+
+    /**
+     * Проверяет tools и tool_choice запроса и компилирует схемы аргументов.
+     * @param {Array<{type: string, function: {name: string, description?: string, parameters?: object}}>|undefined} tools
+     * @param {'none'|'auto'|'required'|{type: string, function: {name: string}}|undefined} toolChoice
+     * @returns {ToolSet|null} null — функций нет или tool_choice: none (обычный текстовый ответ).
+     * @throws {GatewayError} TOOLS_INVALID.
+     */
+    compile(tools, toolChoice = 'auto') {
+        if (!tools || tools.length === 0 || toolChoice === 'none') return null;
+
+        const functions = [];
+        const validators = new Map();
+        for (const tool of tools) {
+            const { name, description = '', parameters = { type: 'object', properties: {} } } = tool.function;
+            if (validators.has(name)) {
+                throw new GatewayError(ErrorCodes.TOOLS_INVALID, `Duplicate function name '${name}' in tools`, 400);
+            }
+            try {
+                // Как и схемы response_format, схемы аргументов не остаются в кэше экземпляра Ajv
+                const { $id, ...anonymous } = parameters;
+                validators.set(name, this.ajv.compile(anonymous));
+                this.ajv.removeSchema(anonymous);
+            } catch (err) {
+                throw new GatewayError(ErrorCodes.TOOLS_INVALID, `Invalid parameters schema of function '${name}': ${err.message}`, 400);
+            }
+            functions.push({ name, description, parameters });
+        }
+
+        const forced = typeof toolChoice === 'object' ? toolChoice.function.name : null;
+        if (forced && !validators.has(forced)) {
+            throw new GatewayError(ErrorCodes.TOOLS_INVALID, `tool_choice refers to unknown function '${forced}'`, 400);
+        }
+        return { functions, mode: toolChoice === 'required' || forced ? 'required' : 'auto', forced, validators };
+    }
+
+    /**
+     * Переводит в текст сообщения, которых нет в диалоге CLI: вызовы функций в ответах модели (assistant с tool_calls)
+     * и результаты вызовов (role: tool, становятся сообщениями пользователя). Если в запросе есть функции
+     * (tools, вызовы или их результаты), в тексте сообщений экранируются теги `<tool_calls>` и `<tool_result>`
+     * (см. escapeToolTags); обычные запросы без функций передаются без изменений.
+     * @param {Array<object>} messages - Сообщения запроса (до normalizeConversation).
+     * @param {Array} [tools] - Функции из запроса (tools).
+     * @returns {Array<{role: string, content: *}>}
+     */
+    toConversation(messages, tools) {
+        const usesTools = (Array.isArray(tools) && tools.length > 0) || messages.some(msg => msg.role === 'tool'
+            || (msg.role === 'assistant' && Array.isArray(msg.tool_calls) && msg.tool_calls.length > 0));
+        if (!usesTools) return messages;
+
+        const names = new Map();
+        return messages.map((msg) => {
+            if (msg.role === 'assistant' && Array.isArray(msg.tool_calls) && msg.tool_calls.length > 0) {
+                const calls = msg.tool_calls.map((call) => {
+                    names.set(call.id, call.function.name);
+                    let args = call.function.arguments;
+                    try {
+                        args = JSON.parse(args);
+                    } catch {
+                        // Аргументы, которые клиент прислал не JSON строкой, передаются как есть
+                    }
+                    return { id: call.id, name: call.function.name, arguments: args };
+                });
+                const text = escapeToolTags(textOf(msg.content));
+                return { role: 'assistant', content: text ? `${text}\n${formatCalls(calls)}` : formatCalls(calls) };
+            }
+
+            if (msg.role === 'tool') {
+                const name = names.get(msg.tool_call_id) || msg.name || 'unknown';
+                return {
+                    role: 'user',
+                    content: `<tool_result id="${escapeAttribute(msg.tool_call_id)}" name="${escapeAttribute(name)}">\n`
+                        + `${escapeToolTags(textOf(msg.content))}\n</tool_result>`
+                };
+            }
+            return { ...msg, content: escapeContent(msg.content) };
+        });
+    }
+
+    /**
+     * Добавляет в конец диалога описание функций и формат вызова.
+     * @param {Array<{role: string, content: *}>} conversation
+     * @param {ToolSet} toolSet
+     * @returns {Array<{role: string, content: *}>}
+     */
+    withInstruction(conversation, toolSet) {
+        let choice = 'Call functions only when they are needed to answer; otherwise reply with text as usual.';
+        if (toolSet.forced) choice = `You must call the function "${toolSet.forced}" in this reply.`;
+        else if (toolSet.mode === 'required') choice = 'You must call at least one function in this reply.';
+
+        const instruction = 'You can call these functions (arguments are described by JSON Schema):\n'
+            + `${JSON.stringify(toolSet.functions)}\n`
+            + 'To call functions, reply with only this block, without markdown code fences and without text after it:\n'
+            + `${formatCalls([{ name: 'function_name', arguments: { argument: 'value' } }])}\n`
+            + 'Several calls in one block are allowed. The results are sent back as <tool_result> messages. '
+            + choice;
+        return [...conversation, { role: 'system', content: instruction }];
+    }
+
+    /**
+     * Разбирает ответ модели: текст до блока вызовов и сами вызовы.
+     * @param {ToolSet} toolSet
+     * @param {string} text - Ответ модели.
+     * @returns {{text: string, toolCalls: ToolCall[]}} Без вызовов toolCalls — пустой массив.
+     * @throws {GatewayError} TOOL_CALL_INVALID — блок не разбирается, неизвестная функция, аргументы не по схеме
+     *   или модель не вызвала функцию, хотя tool_choice этого требует.
+     */
+    parse(toolSet, text) {
+        const match = TOOL_CALLS_PATTERN.exec(text);
+        if (!match) {
+            if (toolSet.mode === 'required') {
+                throw this._invalid(text, ['the model replied with text, but tool_choice requires a function call']);
+            }
+            metrics.toolCallsTotal.inc({ outcome: 'text' });
+            return { text, toolCalls: [] };
+        }
+
+        let value;
+        try {
+            value = JSON.parse(match[1].trim().replace(/^```(?:json)?\s*|\s*```$/gi, ''));
+        } catch (err) {
+            throw this._invalid(text, [`invalid JSON in ${OPEN_TAG} block (${err.message})`]);
+        }
+
+        const calls = Array.isArray(value) ? value : [value];
+        const errors = [];
+        const toolCalls = [];
+        calls.forEach((call, index) => {
+            const name = call && call.name;
+            const validate = toolSet.validators.get(name);
+            if (!validate) {
+                errors.push(`call ${index}: unknown function ${JSON.stringify(name)}`);
+                return;
+            }
+            if (toolSet.forced && name !== toolSet.forced) {
+                errors.push(`call ${index}: tool_choice requires function '${toolSet.forced}', got '${name}'`);
+                return;
+            }
+
+            let args = call.arguments ?? {};
+            if (typeof args === 'string') {
+                try {
+                    args = JSON.parse(args);
+                } catch (err) {
+                    errors.push(`call ${index} (${name}): arguments are not valid JSON (${err.message})`);
+                    return;
+                }
+            }
+            if (!validate(args)) {
+                errors.push(...validate.errors.map(e => `call ${index} (${name}): arguments${e.instancePath} ${e.message}`));
+                return;
+            }
+            toolCalls.push({
+                id: `call_${crypto.randomBytes(12).toString('hex')}`,
+                type: 'function',
+                function: { name, arguments: JSON.stringify(args) }
+            });
+        });
+        if (calls.length === 0) errors.push(`empty ${OPEN_TAG} block`);
+        if (errors.length > 0) throw this._invalid(text, errors);
+
+        metrics.toolCallsTotal.inc({ outcome: 'call' });
+        return { text: text.slice(0, match.index).trim(), toolCalls };
+    }
+
+    /**
+     * Оборачивает потоковую генерацию (см. GeminiService.stream): текст до блока `<tool_calls>` транслируется
+     * событиями delta как обычно, сам блок клиенту не отправляется. После окончания ответа вызовы отправляются
+     * событием tool_calls и попадают в результат end (toolCalls, finishReason: tool_calls); некорректный блок
+     * завершает поток ошибкой TOOL_CALL_INVALID.
+     * @param {EventEmitter & {cancel: Function, model?: string}} run
+     * @param {ToolSet} toolSet
+     * @returns {EventEmitter & {cancel: Function, model?: string}}
+     */
+    wrapStream(run, toolSet) {
+        const wrapped = new EventEmitter();
+        wrapped.cancel = () => run.cancel();
+        Object.defineProperty(wrapped, 'model', { get: () => run.model });
+
+        let text = '';
+        let sent = 0;
+        let hasBlock = false;
+
+        run.on('event', (event) => {
+            if (event.type !== 'delta') return wrapped.emit('event', event);
+            if (hasBlock) return;
+
+            text += event.data.text;
+            const tagAt = text.indexOf(OPEN_TAG, Math.max(0, sent - OPEN_TAG.length));
+            hasBlock = tagAt !== -1;
+            const safe = hasBlock ? tagAt : text.length - partialTagLength(text);
+            if (safe > sent) {
+                wrapped.emit('event', { type: 'delta', data: { text: text.slice(sent, safe) } });
+                sent = safe;
+            }
+        });
+
+        run.on('end', (result) => {
+            if (result.error || result.finishReason !== 'stop') return wrapped.emit('end', result);
+
+            let parsed;
+            try {
+                parsed = this.parse(toolSet, result.text);
+            } catch (err) {
+                return wrapped.emit('end', { ...result, finishReason: 'error', error: err });
+            }
+            // Придержанный конец текста оказался не началом тега
+            if (!hasBlock && text.length > sent) {
+                wrapped.emit('event', { type: 'delta', data: { text: text.slice(sent) } });
+            }
+            if (parsed.toolCalls.length === 0) return wrapped.emit('end', result);
+
+            wrapped.emit('event', { type: 'tool_calls', data: { tool_calls: parsed.toolCalls } });
+            wrapped.emit('end', { ...result, text: parsed.text, toolCalls: parsed.toolCalls, finishReason: 'tool_calls' });
+        });
+
+        return wrapped;
+    }
+
+    /**
+     * @param {string} text - Ответ модели.
+     * @param {string[]} errors
+     * @returns {GatewayError}
+     * @private
+     */
+    _invalid(text, errors) {
+        metrics.toolCallsTotal.inc({ outcome: 'invalid' });
+        log.warn('Model produced an invalid tool call', { errors });
+        return new GatewayError(ErrorCodes.TOOL_CALL_INVALID, `Model produced an invalid tool call: ${errors[0]}`, 502, {
+            validation_errors: errors.slice(0, MAX_REPORTED_ERRORS),
+            raw_output: text.slice(0, MAX_RAW_OUTPUT_CHARS)
+        });
+    }
+}
+
+// Экспортируем единственный экземпляр (Singleton pattern)
+module.exports = new ToolCallingService();
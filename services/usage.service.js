@@ -0,0 +1,414 @@
+/**
+ * @file services/usage.service.js
+ * @description Учет использования: токены запроса и ответа, задержка и число запросов по API ключам, моделям и дням.
+ * Счетчики текущих дней копятся в памяти и периодически сбрасываются в хранилище (USAGE_FLUSH_INTERVAL_MS).
+ * Если CLI не сообщил статистику (режим без stream-json), токены оцениваются по длине текста.
+ */
+
+const config = require('../config/app.config');
+const apiKeyService = require('./apikey.service');
+const MemoryUsageStore = require('../stores/usage.memory.store');
+const FileUsageStore = require('../stores/usage.file.store');
+const { ErrorCodes, GatewayError } = require('../utils/errors');
+const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
+
+const log = logger.child({ component: 'usage' });
+
+/**
+ * @typedef {Object} Usage
+ * @property {number} input_tokens - Токены промпта.
+ * @property {number} output_tokens - Токены ответа.
+ * @property {number} total_tokens
+ * @property {number} latency_ms - Время от постановки в очередь до ответа (включая повторы).
+ * @property {boolean} estimated - true, если токены оценены шлюзом, а не сообщены CLI.
+ */
+
+/**
+ * @typedef {Object} UsageCounters
+ * @property {string} key_id
+ * @property {string} model
+ * @property {number} requests
+ * @property {number} failed
+ * @property {number} input_tokens
+ * @property {number} output_tokens
+ * @property {number} total_tokens
+ * @property {number} estimated_requests - Запросы с оценкой токенов вместо статистики CLI.
+ * @property {number} latency_ms_total
+ * @property {number} latency_ms_max
+ */
+
+/** Средняя длина токена Gemini в символах — для оценки, когда CLI не сообщает статистику. */
+const CHARS_PER_TOKEN = 4;
+
+/** Поля группировки отчета и соответствующие поля счетчиков. */
+const GROUP_FIELDS = { day: 'day', key: 'key_id', model: 'model' };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Создает хранилище согласно конфигурации.
+ * @returns {MemoryUsageStore|FileUsageStore}
+ */
+function createStore() {
+    switch (config.usage.STORE) {
+        case 'file':
+            return new FileUsageStore(config.usage.STORE_DIR);
+        case 'memory':
+            return new MemoryUsageStore();
+        default:
+            throw new Error(`Unknown USAGE_STORE: '${config.usage.STORE}' (expected memory or file)`);
+    }
+}
+
+/**
+ * @param {Date|number} [date]
+ * @returns {string} Дата UTC в формате YYYY-MM-DD.
+ */
+function dayOf(date = Date.now()) {
+    return new Date(date).toISOString().slice(0, 10);
+}
+
+/**
+ * @param {string} key_id
+ * @param {string} model
+ * @returns {UsageCounters}
+ */
+function emptyCounters(key_id, model) {
+    return {
+        key_id,
+        model,
+        requests: 0,
+        failed: 0,
+        input_tokens: 0,
+        output_tokens: 0,
+        total_tokens: 0,
+        estimated_requests: 0,
+        latency_ms_total: 0,
+        latency_ms_max: 0
+    };
+}
+
+/**
+ * Экранирует значение для CSV (RFC 4180).
+ * @param {*} value
+ * @returns {string}
+ */
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+class UsageService {
+
+    constructor() {
+        this.enabled = config.usage.ENABLED;
+        this.store = createStore();
+        /**
+         * Счетчики дней, в которые идет запись: день -> (key_id + model -> счетчики).
+         * @type {Map<string, Promise<Map<string, UsageCounters>>>}
+         */
+        this.days = new Map();
+        /** @type {Set<string>} Дни с несохраненными изменениями. */
+        this.dirty = new Set();
+        this.flushTimer = null;
+        this.flushing = Promise.resolve();
+    }
+
+    /**
+     * @param {string} text
+     * @returns {number} Оценка числа токенов текста.
+     */
+    estimateTokens(text) {
+        return text ? Math.ceil(String(text).length / CHARS_PER_TOKEN) : 0;
+    }
+
+    /**
+     * Собирает статистику запроса: токены из отчета CLI, а если их нет — оценка по промпту и ответу.
+     * @param {string} prompt - Промпт, отправленный CLI.
+     * @param {string} text - Ответ модели.
+     * @param {{input_tokens?: number, output_tokens?: number, total_tokens?: number}|null} reported - Статистика stream-json.
+     * @param {number} startedAt - Date.now() на старте запроса.
+     * @returns {Usage}
+     */
+    measure(prompt, text, reported, startedAt) {
+        const latency_ms = Date.now() - startedAt;
+        if (reported && Number.isFinite(reported.input_tokens) && Number.isFinite(reported.output_tokens)) {
+            return {
+                input_tokens: reported.input_tokens,
+                output_tokens: reported.output_tokens,
+                total_tokens: Number.isFinite(reported.total_tokens) ? reported.total_tokens : reported.input_tokens + reported.output_tokens,
+                latency_ms,
+                estimated: false
+            };
+        }
+
+        const input_tokens = this.estimateTokens(prompt);
+        const output_tokens = this.estimateTokens(text);
+        return { input_tokens, output_tokens, total_tokens: input_tokens + output_tokens, latency_ms, estimated: true };
+    }
+
+    /**
+     * Складывает статистику нескольких генераций одного запроса (например, исправления JSON ответа).
+     * @param {Usage|null} a
+     * @param {Usage|null} b
+     * @returns {Usage|null}
+     */
+    sum(a, b) {
+        if (!a || !b) return a || b || null;
+        return {
+            input_tokens: a.input_tokens + b.input_tokens,
+            output_tokens: a.output_tokens + b.output_tokens,
+            total_tokens: a.total_tokens + b.total_tokens,
+            latency_ms: a.latency_ms + b.latency_ms,
+            estimated: a.estimated || b.estimated
+        };
+    }
+
+    /**
+     * Учитывает завершенный запрос к CLI. Токены учитываются только для успешных ответов.
+     * @param {object} params
+     * @param {string} [params.owner] - ID API ключа (RunOptions.owner).
+     * @param {string} params.model - Модель, которая отвечала.
+     * @param {Usage|null} [params.usage] - Статистика успешного ответа.
+     * @param {boolean} [params.failed=false]
+     * @param {number} params.latencyMs
+     */
+    record({ owner, model, usage = null, failed = false, latencyMs }) {
+        if (!this.enabled) return;
+        const keyId = owner || 'anonymous';
+
+        if (usage) {
+            metrics.tokensTotal.inc({ model, type: 'input' }, usage.input_tokens);
+            metrics.tokensTotal.inc({ model, type: 'output' }, usage.output_tokens);
+        }
+
+        const day = dayOf();
+        this._countersOf(day).then((counters) => {
+            const bucketKey = `${keyId}\n${model}`;
+            if (!counters.has(bucketKey)) counters.set(bucketKey, emptyCounters(keyId, model));
+            const bucket = counters.get(bucketKey);
+
+            bucket.requests += 1;
+            bucket.latency_ms_total += latencyMs;
+            bucket.latency_ms_max = Math.max(bucket.latency_ms_max, latencyMs);
+            if (failed) bucket.failed += 1;
+            if (usage) {
+                bucket.input_tokens += usage.input_tokens;
+                bucket.output_tokens += usage.output_tokens;
+                bucket.total_tokens += usage.total_tokens;
+                if (usage.estimated) bucket.estimated_requests += 1;
+            }
+
+            this.dirty.add(day);
+            this._scheduleFlush();
+        }).catch(err => log.error('Failed to record usage', { day, err }));
+    }
+
+    /**
+     * Отчет об использовании за период.
+     * @param {object} query
+     * @param {string} [query.from] - Первый день (YYYY-MM-DD), по умолчанию — 30 дней назад.
+     * @param {string} [query.to] - Последний день включительно, по умолчанию — сегодня (UTC).
+     * @param {string[]} [query.groupBy=['day']] - Поля группировки: day, key, model.
+     * @param {string} [query.keyId] - Только этот API ключ.
+     * @param {string} [query.model] - Только эта модель.
+     * @returns {Promise<{from: string, to: string, group_by: string[], rows: object[], totals: object}>}
+     * @throws {GatewayError} USAGE_QUERY_INVALID.
+     */
+    async report({ from, to, groupBy = ['day'], keyId, model } = {}) {
+        const toDay = to || dayOf();
+        const fromDay = from || dayOf(Date.parse(toDay) - 29 * DAY_MS);
+        const days = this._daysBetween(fromDay, toDay);
+
+        const unknown = groupBy.filter(field => !GROUP_FIELDS[field]);
+        if (unknown.length > 0) {
+            throw new GatewayError(ErrorCodes.USAGE_QUERY_INVALID, `Unknown group_by field(s): ${unknown.join(', ')}`, 400);
+        }
+
+        const names = new Map(apiKeyService.list().map(key => [key.id, key.name]));
+        const groups = new Map();
+        const totals = this._emptyTotals();
+        for (const day of days) {
+            for (const counters of await this._read(day)) {
+                if (keyId && counters.key_id !== keyId) continue;
+                if (model && counters.model !== model) continue;
+
+                const row = { day, ...counters };
+                const groupKey = groupBy.map(field => row[GROUP_FIELDS[field]]).join('\n');
+                if (!groups.has(groupKey)) {
+                    const group = {};
+                    for (const field of groupBy) {
+                        group[GROUP_FIELDS[field]] = row[GROUP_FIELDS[field]];
+                        if (field === 'key') group.key_name = names.get(row.key_id) || row.key_id;
+                    }
+                    groups.set(groupKey, Object.assign(group, this._emptyTotals()));
+                }
+                this._accumulate(groups.get(groupKey), counters);
+                this._accumulate(totals, counters);
+            }
+        }
+
+        const rows = [...groups.values()]
+            .sort((a, b) => groupBy.map(field => GROUP_FIELDS[field])
+                .reduce((order, field) => order || String(a[field]).localeCompare(String(b[field])), 0))
+            .map(group => this._finalize(group));
+
+        return { from: fromDay, to: toDay, group_by: groupBy, rows, totals: this._finalize(totals) };
+    }
+
+    /**
+     * Отчет в формате CSV: строка заголовков и строка на каждую группу.
+     * @param {{group_by: string[], rows: object[]}} report - Результат report().
+     * @returns {string}
+     */
+    toCsv(report) {
+        const groupColumns = [];
+        for (const field of report.group_by) {
+            groupColumns.push(GROUP_FIELDS[field]);
+            if (field === 'key') groupColumns.push('key_name');
+        }
+        const columns = [
+            ...groupColumns,
+            'requests', 'failed', 'input_tokens', 'output_tokens', 'total_tokens',
+            'estimated_requests', 'avg_latency_ms', 'max_latency_ms'
+        ];
+        const lines = [columns.join(',')];
+        for (const row of report.rows) {
+            lines.push(columns.map(column => csvCell(row[column])).join(','));
+        }
+        return `${lines.join('\r\n')}\r\n`;
+    }
+
+    /**
+     * Сохраняет накопленные счетчики немедленно (например, перед остановкой процесса).
+     * Записи выполняются последовательно, чтобы старое состояние дня не перезаписало новое.
+     * @returns {Promise<void>}
+     */
+    flush() {
+        if (this.flushTimer) {
+            clearTimeout(this.flushTimer);
+            this.flushTimer = null;
+        }
+
+        this.flushing = this.flushing.catch(() => {}).then(async () => {
+            const today = dayOf();
+            for (const day of [...this.dirty]) {
+                this.dirty.delete(day);
+                const counters = await this.days.get(day);
+                try {
+                    await this.store.save(day, [...counters.values()]);
+                } catch (err) {
+                    // Повторим при следующем сбросе
+                    this.dirty.add(day);
+                    throw err;
+                }
+            }
+            // Прошедшие дни больше не меняются: в памяти остается только текущий
+            for (const day of this.days.keys()) {
+                if (day !== today && !this.dirty.has(day)) this.days.delete(day);
+            }
+        });
+        return this.flushing;
+    }
+
+    /**
+     * @param {string} day
+     * @returns {Promise<Map<string, UsageCounters>>} Счетчики дня в памяти (загружаются из хранилища при первом обращении).
+     * @private
+     */
+    _countersOf(day) {
+        if (!this.days.has(day)) {
+            const loading = this.store.get(day)
+                .then(rows => new Map(rows.map(row => [`${row.key_id}\n${row.model}`, row])));
+            // Неудачную загрузку не кэшируем, иначе день потерял бы все последующие записи
+            loading.catch(() => this.days.delete(day));
+            this.days.set(day, loading);
+        }
+        return this.days.get(day);
+    }
+
+    /**
+     * @param {string} day
+     * @returns {Promise<UsageCounters[]>} Счетчики дня: из памяти (включая несохраненные) или из хранилища.
+     * @private
+     */
+    async _read(day) {
+        if (this.days.has(day)) return [...(await this.days.get(day)).values()];
+        return this.store.get(day);
+    }
+
+    /**
+     * @param {string} from
+     * @param {string} to
+     * @returns {string[]} Дни периода включительно.
+     * @throws {GatewayError} USAGE_QUERY_INVALID.
+     * @private
+     */
+    _daysBetween(from, to) {
+        const start = Date.parse(from);
+        const end = Date.parse(to);
+        if (Number.isNaN(start) || Number.isNaN(end)) {
+            throw new GatewayError(ErrorCodes.USAGE_QUERY_INVALID, 'Fields "from" and "to" must be dates (YYYY-MM-DD)', 400);
+        }
+        if (start > end) {
+            throw new GatewayError(ErrorCodes.USAGE_QUERY_INVALID, `"from" (${from}) is after "to" (${to})`, 400);
+        }
+        const count = Math.round((end - start) / DAY_MS) + 1;
+        if (count > config.usage.MAX_RANGE_DAYS) {
+            throw new GatewayError(ErrorCodes.USAGE_QUERY_INVALID, `Period is ${count} days, the limit is ${config.usage.MAX_RANGE_DAYS}`, 400);
+        }
+        return Array.from({ length: count }, (_, i) => dayOf(start + i * DAY_MS));
+    }
+
+    /**
+     * @returns {object}
+     * @private
+     */
+    _emptyTotals() {
+        const { key_id, model, ...counters } = emptyCounters(null, null);
+        return counters;
+    }
+
+    /**
+     * @param {object} target
+     * @param {UsageCounters} counters
+     * @private
+     */
+    _accumulate(target, counters) {
+        for (const field of ['requests', 'failed', 'input_tokens', 'output_tokens', 'total_tokens', 'estimated_requests', 'latency_ms_total']) {
+            target[field] += counters[field];
+        }
+        target.latency_ms_max = Math.max(target.latency_ms_max, counters.latency_ms_max);
+    }
+
+    /**
+     * Заменяет суммарную задержку средней.
+     * @param {object} group
+     * @returns {object}
+     * @private
+     */
+    _finalize(group) {
+        const { latency_ms_total: total, latency_ms_max: max, ...row } = group;
+        row.avg_latency_ms = group.requests > 0 ? Math.round(total / group.requests) : 0;
+        row.max_latency_ms = max;
+        return row;
+    }
+
+    /**
+     * Сбрасывает счетчики в хранилище не чаще раза в USAGE_FLUSH_INTERVAL_MS.
+     * @private
+     */
+    _scheduleFlush() {
+        if (this.flushTimer) return;
+        this.flushTimer = setTimeout(() => {
+            this.flushTimer = null;
+            this.flush().catch(err => log.error('Failed to save usage', { err }));
+        }, config.usage.FLUSH_INTERVAL_MS);
+        this.flushTimer.unref();
+    }
+}
+
+// Экспортируем единственный экземпляр (Singleton pattern)
+module.exports = new UsageService();
@@ -0,0 +1,54 @@
+/**
+ * @file stores/apikey.file.store.js
+ * @description Файловое хранилище API ключей (JSON или YAML — по расширению файла).
+ * Файл можно править вручную: секреты в нем хранятся только в виде SHA-256 хэшей.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const YAML = require('yamljs');
+const { writeFileAtomic } = require('../utils/atomic-write');
+
+class ApiKeyFileStore {
+
+    /**
+     * @param {string} filePath - Путь к файлу (*.json, *.yaml или *.yml).
+     */
+    constructor(filePath) {
+        this.filePath = path.resolve(filePath);
+        this.isYaml = /\.ya?ml$/i.test(this.filePath);
+    }
+
+    /**
+     * Читает все ключи. Отсутствующий файл считается пустым списком.
+     * @returns {Promise<object[]>}
+     */
+    async load() {
+        let raw;
+        try {
+            raw = await fs.readFile(this.filePath, 'utf8');
+        } catch (err) {
+            if (err.code === 'ENOENT') return [];
+            throw err;
+        }
+
+        const data = this.isYaml ? YAML.parse(raw) : JSON.parse(raw);
+        return (data && data.keys) || [];
+    }
+
+    /**
+     * Перезаписывает файл атомарно (временный файл + rename).
+     * @param {object[]} keys
+     * @returns {Promise<void>}
+     */
+    async save(keys) {
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+
+        const data = { keys };
+        const raw = this.isYaml ? YAML.stringify(data, 4, 2) : JSON.stringify(data, null, 2);
+        // Файл содержит хэши секретов — доступ только владельцу
+        await writeFileAtomic(this.filePath, raw, { encoding: 'utf8', mode: 0o600 });
+    }
+}
+
+module.exports = ApiKeyFileStore;
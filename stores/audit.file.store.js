@@ -0,0 +1,147 @@
+/**
+ * @file stores/audit.file.store.js
+ * @description Файловое хранилище журнала аудита: JSONL файлы по дням (YYYY-MM-DD.jsonl), одна запись на строку.
+ * Когда файл дня превышает лимит размера, записи продолжаются в следующем (YYYY-MM-DD.1.jsonl, .2 и т.д.).
+ * Поиск за период читает только файлы нужных дней, старые дни удаляются целиком (срок хранения).
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+
+/** Имя файла журнала: дата UTC и номер части. Прочие файлы каталога игнорируются. */
+const FILE_PATTERN = /^(\d{4}-\d{2}-\d{2})(?:\.(\d+))?\.jsonl$/;
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * @typedef {Object} AuditFile
+ * @property {string} name - Имя файла в каталоге.
+ * @property {string} day - Дата UTC (YYYY-MM-DD).
+ * @property {number} part - Номер части (0 — первый файл дня).
+ */
+
+class FileAuditStore {
+
+    /**
+     * @param {string} dir - Каталог журнала (создается при необходимости).
+     * @param {object} options
+     * @param {number} options.maxFileBytes - Размер, после которого начинается новый файл.
+     */
+    constructor(dir, { maxFileBytes }) {
+        this.dir = path.resolve(dir);
+        this.maxFileBytes = maxFileBytes;
+        this.ready = fs.mkdir(this.dir, { recursive: true });
+        /** @type {{day: string, part: number, size: number}|null} Файл, в который идет запись. */
+        this.current = null;
+    }
+
+    /**
+     * Дописывает записи в файл дня. Вызовы не должны пересекаться (их упорядочивает сервис).
+     * @param {string} day - Дата UTC (YYYY-MM-DD).
+     * @param {object[]} entries
+     * @returns {Promise<void>}
+     */
+    async append(day, entries) {
+        await this.ready;
+        if (!DAY_PATTERN.test(day)) {
+            throw new Error(`Invalid audit day: ${day}`);
+        }
+        if (!this.current || this.current.day !== day) {
+            this.current = await this._lastPart(day);
+        }
+        if (this.current.size >= this.maxFileBytes) {
+            this.current = { day, part: this.current.part + 1, size: 0 };
+        }
+
+        const data = entries.map(entry => `${JSON.stringify(entry)}\n`).join('');
+        await fs.appendFile(path.join(this.dir, this._fileName(day, this.current.part)), data, 'utf8');
+        this.current.size += Buffer.byteLength(data);
+    }
+
+    /**
+     * @param {object} [range]
+     * @param {string} [range.from] - Первый день (YYYY-MM-DD) включительно.
+     * @param {string} [range.to] - Последний день включительно.
+     * @returns {Promise<AuditFile[]>} Файлы периода, новые первыми.
+     */
+    async files({ from, to } = {}) {
+        await this.ready;
+        const files = [];
+        for (const name of await fs.readdir(this.dir)) {
+            const match = FILE_PATTERN.exec(name);
+            if (!match) continue;
+            const day = match[1];
+            if ((from && day < from) || (to && day > to)) continue;
+            files.push({ name, day, part: Number(match[2] || 0) });
+        }
+        return files.sort((a, b) => b.day.localeCompare(a.day) || b.part - a.part);
+    }
+
+    /**
+     * Читает записи файла. Поврежденные строки (например, оборванная при аварийной остановке) пропускаются.
+     * @param {AuditFile} file
+     * @returns {Promise<object[]>} Записи в порядке записи.
+     */
+    async read(file) {
+        await this.ready;
+        let raw;
+        try {
+            raw = await fs.readFile(path.join(this.dir, file.name), 'utf8');
+        } catch (err) {
+            // Файл мог удалить срок хранения между files() и read()
+            if (err.code === 'ENOENT') return [];
+            throw err;
+        }
+
+        const entries = [];
+        for (const line of raw.split('\n')) {
+            if (!line) continue;
+            try {
+                entries.push(JSON.parse(line));
+            } catch {
+                // Пропускаем
+            }
+        }
+        return entries;
+    }
+
+    /**
+     * Удаляет файлы дней раньше указанного.
+     * @param {string} beforeDay - Дата UTC (YYYY-MM-DD); файлы этого дня остаются.
+     * @returns {Promise<number>} Сколько файлов удалено.
+     */
+    async prune(beforeDay) {
+        const files = (await this.files()).filter(file => file.day < beforeDay);
+        for (const file of files) {
+            await fs.unlink(path.join(this.dir, file.name)).catch((err) => {
+                if (err.code !== 'ENOENT') throw err;
+            });
+        }
+        if (this.current && this.current.day < beforeDay) this.current = null;
+        return files.length;
+    }
+
+    /**
+     * @param {string} day
+     * @returns {Promise<{day: string, part: number, size: number}>} Последний файл дня (после перезапуска запись продолжается в нем).
+     * @private
+     */
+    async _lastPart(day) {
+        const [last] = await this.files({ from: day, to: day });
+        if (!last) return { day, part: 0, size: 0 };
+        const { size } = await fs.stat(path.join(this.dir, last.name));
+        return { day, part: last.part, size };
+    }
+
+    /**
+     * @param {string} day
+     * @param {number} part
+     * @returns {string}
+     * @private
+     */
+    _fileName(day, part) {
+        return part === 0 ? `${day}.jsonl` : `${day}.${part}.jsonl`;
+    }
+}
+
+module.exports = FileAuditStore;
@@ -0,0 +1,82 @@
+/**
+ * @file stores/batch.file.store.js
+ * @description Файловое хранилище пакетных заданий: одно задание (вместе с элементами и результатами) — один JSON файл.
+ * Состояние на диске позволяет продолжить незавершенные задания после перезапуска шлюза.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+
+/** Допустимый формат ID — защищает от выхода за пределы каталога (path traversal). */
+const ID_PATTERN = /^batch_[a-f0-9]+$/;
+
+class FileBatchStore {
+
+    /**
+     * @param {string} dir - Каталог для файлов заданий (создается при необходимости).
+     */
+    constructor(dir) {
+        this.dir = path.resolve(dir);
+        this.ready = fs.mkdir(this.dir, { recursive: true });
+    }
+
+    /**
+     * @param {string} id
+     * @returns {boolean}
+     */
+    isValidId(id) {
+        return ID_PATTERN.test(id);
+    }
+
+    /**
+     * @param {string} id
+     * @returns {Promise<object|null>}
+     */
+    async get(id) {
+        await this.ready;
+        try {
+            const raw = await fs.readFile(this._filePath(id), 'utf8');
+            return JSON.parse(raw);
+        } catch (err) {
+            if (err.code === 'ENOENT') return null;
+            throw err;
+        }
+    }
+
+    /**
+     * @returns {Promise<object[]>} Все задания, сохраненные в каталоге.
+     */
+    async list() {
+        await this.ready;
+        const files = (await fs.readdir(this.dir)).filter(name => name.endsWith('.json'));
+        const jobs = await Promise.all(files.map(name => this.get(name.slice(0, -'.json'.length)).catch(() => null)));
+        return jobs.filter(Boolean);
+    }
+
+    /**
+     * Сохраняет задание атомарно (временный файл + rename).
+     * @param {object} job
+     * @returns {Promise<void>}
+     */
+    async save(job) {
+        await this.ready;
+        const filePath = this._filePath(job.id);
+        const tmpPath = `${filePath}.${process.pid}.tmp`;
+        await fs.writeFile(tmpPath, JSON.stringify(job), 'utf8');
+        await fs.rename(tmpPath, filePath);
+    }
+
+    /**
+     * @param {string} id
+     * @returns {string}
+     * @private
+     */
+    _filePath(id) {
+        if (!this.isValidId(id)) {
+            throw new Error(`Invalid batch id: ${id}`);
+        }
+        return path.join(this.dir, `${id}.json`);
+    }
+}
+
+module.exports = FileBatchStore;
@@ -0,0 +1,121 @@
+/**
+ * @file stores/cache.file.store.js
+ * @description Файловое LRU хранилище кэша ответов: одна запись — один JSON файл (имя — хэш ключа).
+ * Порядок использования хранится в памяти и при старте восстанавливается по mtime файлов.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const { writeFileAtomic } = require('../utils/atomic-write');
+
+/** Ключ кэша — SHA-256 в hex; все прочее отклоняется (защита от path traversal). */
+const KEY_PATTERN = /^[a-f0-9]{64}$/;
+
+class FileCacheStore {
+
+    /**
+     * @param {string} dir - Каталог для файлов кэша (создается при необходимости).
+     * @param {number} maxEntries - Максимум записей, сверх него вытесняются давно не читанные.
+     */
+    constructor(dir, maxEntries) {
+        this.dir = path.resolve(dir);
+        this.maxEntries = maxEntries;
+        /** @type {Map<string, true>} Ключи в порядке использования (первый — самый старый). */
+        this.index = new Map();
+        this.ready = this._loadIndex();
+    }
+
+    /**
+     * @param {string} key
+     * @returns {Promise<object|null>}
+     */
+    async get(key) {
+        await this.ready;
+        if (!this.index.has(key)) return null;
+
+        try {
+            const entry = JSON.parse(await fs.readFile(this._filePath(key), 'utf8'));
+            this.index.delete(key);
+            this.index.set(key, true);
+            return entry;
+        } catch (err) {
+            // Файл удалили вручную или он поврежден — считаем промахом
+            this.index.delete(key);
+            if (err.code === 'ENOENT' || err instanceof SyntaxError) return null;
+            throw err;
+        }
+    }
+
+    /**
+     * Сохраняет запись атомарно (временный файл + rename) и вытесняет лишние.
+     * @param {string} key
+     * @param {object} entry
+     * @returns {Promise<void>}
+     */
+    async set(key, entry) {
+        await this.ready;
+        const filePath = this._filePath(key);
+        await writeFileAtomic(filePath, JSON.stringify(entry));
+
+        this.index.delete(key);
+        this.index.set(key, true);
+
+        while (this.index.size > this.maxEntries) {
+            await this.delete(this.index.keys().next().value);
+        }
+    }
+
+    /**
+     * @param {string} key
+     * @returns {Promise<boolean>}
+     */
+    async delete(key) {
+        await this.ready;
+        this.index.delete(key);
+        try {
+            await fs.unlink(this._filePath(key));
+            return true;
+        } catch (err) {
+            if (err.code === 'ENOENT') return false;
+            throw err;
+        }
+    }
+
+    /**
+     * @returns {number} Текущее число записей.
+     */
+    get size() {
+        return this.index.size;
+    }
+
+    /**
+     * @param {string} key
+     * @returns {string}
+     * @private
+     */
+    _filePath(key) {
+        if (!KEY_PATTERN.test(key)) {
+            throw new Error(`Invalid cache key: ${key}`);
+        }
+        return path.join(this.dir, `${key}.json`);
+    }
+
+    /**
+     * Восстанавливает LRU порядок по времени изменения файлов.
+     * @private
+     */
+    async _loadIndex() {
+        await fs.mkdir(this.dir, { recursive: true });
+
+        const files = (await fs.readdir(this.dir)).filter(name => /^[a-f0-9]{64}\.json$/.test(name));
+        const stats = await Promise.all(files.map(async (name) => {
+            const { mtimeMs } = await fs.stat(path.join(this.dir, name));
+            return { key: name.slice(0, -'.json'.length), mtimeMs };
+        }));
+
+        stats.sort((a, b) => a.mtimeMs - b.mtimeMs);
+        for (const { key } of stats) this.index.set(key, true);
+    }
+}
+
+module.exports = FileCacheStore;
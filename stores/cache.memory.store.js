@@ -0,0 +1,62 @@
+/**
+ * @file stores/cache.memory.store.js
+ * @description LRU хранилище кэша ответов в памяти процесса.
+ * Порядок ключей Map служит порядком использования: при чтении запись переносится в конец,
+ * при переполнении удаляются записи из начала.
+ */
+
+class MemoryCacheStore {
+
+    /**
+     * @param {number} maxEntries - Максимум записей, сверх него вытесняются давно не читанные.
+     */
+    constructor(maxEntries) {
+        this.maxEntries = maxEntries;
+        /** @type {Map<string, object>} */
+        this.entries = new Map();
+    }
+
+    /**
+     * @param {string} key
+     * @returns {Promise<object|null>}
+     */
+    async get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return entry;
+    }
+
+    /**
+     * @param {string} key
+     * @param {object} entry
+     * @returns {Promise<void>}
+     */
+    async set(key, entry) {
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    /**
+     * @param {string} key
+     * @returns {Promise<boolean>}
+     */
+    async delete(key) {
+        return this.entries.delete(key);
+    }
+
+    /**
+     * @returns {number} Текущее число записей.
+     */
+    get size() {
+        return this.entries.size;
+    }
+}
+
+module.exports = MemoryCacheStore;
@@ -0,0 +1,103 @@
+/**
+ * @file stores/session.file.store.js
+ * @description Файловое хранилище сессий: одна сессия — один JSON файл в каталоге.
+ * Каталог можно смонтировать как Docker volume, чтобы история переживала перезапуск контейнера.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const { writeFileAtomic } = require('../utils/atomic-write');
+
+/** Допустимый формат ID — защищает от выхода за пределы каталога (path traversal). */
+const ID_PATTERN = /^[a-zA-Z0-9-]+$/;
+
+class FileSessionStore {
+
+    /**
+     * @param {string} dir - Каталог для файлов сессий (создается при необходимости).
+     */
+    constructor(dir) {
+        this.dir = path.resolve(dir);
+        this.ready = fs.mkdir(this.dir, { recursive: true });
+        /** @type {Map<string, Promise<*>>} Последняя запись (сохранение или удаление) по ID сессии. */
+        this.writes = new Map();
+    }
+
+    /**
+     * @param {string} id
+     * @returns {string}
+     * @private
+     */
+    _filePath(id) {
+        if (!ID_PATTERN.test(id)) {
+            throw new Error(`Invalid session id: ${id}`);
+        }
+        return path.join(this.dir, `${id}.json`);
+    }
+
+    /**
+     * @param {string} id
+     * @returns {Promise<object|null>}
+     */
+    async get(id) {
+        await this.ready;
+        try {
+            const raw = await fs.readFile(this._filePath(id), 'utf8');
+            return JSON.parse(raw);
+        } catch (err) {
+            if (err.code === 'ENOENT') return null;
+            throw err;
+        }
+    }
+
+    /**
+     * Сохраняет сессию атомарно: запись во временный файл и rename,
+     * чтобы падение процесса не оставило обрезанный JSON.
+     * Записи одной сессии выполняются по очереди, в порядке вызовов.
+     * @param {object} session
+     * @returns {Promise<void>}
+     */
+    async save(session) {
+        await this.ready;
+        const filePath = this._filePath(session.id);
+        const raw = JSON.stringify(session);
+        return this._enqueue(session.id, () => writeFileAtomic(filePath, raw));
+    }
+
+    /**
+     * @param {string} id
+     * @returns {Promise<boolean>}
+     */
+    async delete(id) {
+        await this.ready;
+        const filePath = this._filePath(id);
+        return this._enqueue(id, async () => {
+            try {
+                await fs.unlink(filePath);
+                return true;
+            } catch (err) {
+                if (err.code === 'ENOENT') return false;
+                throw err;
+            }
+        });
+    }
+
+    /**
+     * Ставит запись файла сессии в очередь после предыдущей (ошибка предыдущей не блокирует следующую).
+     * @param {string} id
+     * @param {() => Promise<*>} task
+     * @returns {Promise<*>}
+     * @private
+     */
+    _enqueue(id, task) {
+        const previous = this.writes.get(id) || Promise.resolve();
+        const current = previous.catch(() => {}).then(task);
+        this.writes.set(id, current);
+        current.finally(() => {
+            if (this.writes.get(id) === current) this.writes.delete(id);
+        }).catch(() => {});
+        return current;
+    }
+}
+
+module.exports = FileSessionStore;
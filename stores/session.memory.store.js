@@ -0,0 +1,41 @@
+/**
+ * @file stores/session.memory.store.js
+ * @description Хранилище сессий в памяти процесса.
+ * Подходит для разработки и одиночных инстансов: данные теряются при перезапуске.
+ */
+
+class MemorySessionStore {
+
+    constructor() {
+        /** @type {Map<string, object>} */
+        this.sessions = new Map();
+    }
+
+    /**
+     * @param {string} id
+     * @returns {Promise<object|null>}
+     */
+    async get(id) {
+        const session = this.sessions.get(id);
+        // Отдаем копию, чтобы вызывающий код не мутировал хранилище в обход save()
+        return session ? structuredClone(session) : null;
+    }
+
+    /**
+     * @param {object} session - Сессия с заполненным полем id.
+     * @returns {Promise<void>}
+     */
+    async save(session) {
+        this.sessions.set(session.id, structuredClone(session));
+    }
+
+    /**
+     * @param {string} id
+     * @returns {Promise<boolean>} true, если сессия существовала.
+     */
+    async delete(id) {
+        return this.sessions.delete(id);
+    }
+}
+
+module.exports = MemorySessionStore;
@@ -0,0 +1,109 @@
+/**
+ * @file stores/template.file.store.js
+ * @description Файловое хранилище шаблонов промптов: один JSON файл на шаблон со всеми его версиями.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const { writeFileAtomic } = require('../utils/atomic-write');
+
+/** Допустимое имя шаблона — защищает от выхода за пределы каталога (path traversal). */
+const NAME_PATTERN = /^[a-zA-Z0-9][a-zA-Z0-9_-]{0,63}$/;
+
+class FileTemplateStore {
+
+    /**
+     * @param {string} dir - Каталог для файлов шаблонов (создается при необходимости).
+     */
+    constructor(dir) {
+        this.dir = path.resolve(dir);
+        this.ready = fs.mkdir(this.dir, { recursive: true });
+        /** @type {Map<string, Promise<*>>} Последняя запись (сохранение или удаление) по имени шаблона. */
+        this.writes = new Map();
+    }
+
+    /**
+     * @param {string} name
+     * @returns {Promise<object|null>}
+     */
+    async get(name) {
+        await this.ready;
+        try {
+            return JSON.parse(await fs.readFile(this._filePath(name), 'utf8'));
+        } catch (err) {
+            if (err.code === 'ENOENT') return null;
+            throw err;
+        }
+    }
+
+    /**
+     * @returns {Promise<object[]>} Все шаблоны каталога.
+     */
+    async list() {
+        await this.ready;
+        const files = (await fs.readdir(this.dir)).filter(name => name.endsWith('.json'));
+        const templates = await Promise.all(files.map(name => this.get(name.slice(0, -'.json'.length)).catch(() => null)));
+        return templates.filter(Boolean);
+    }
+
+    /**
+     * Сохраняет шаблон атомарно (временный файл + rename). Записи одного шаблона идут по очереди.
+     * @param {object} template
+     * @returns {Promise<void>}
+     */
+    async save(template) {
+        await this.ready;
+        const filePath = this._filePath(template.name);
+        const raw = JSON.stringify(template, null, 2);
+        return this._enqueue(template.name, () => writeFileAtomic(filePath, raw));
+    }
+
+    /**
+     * @param {string} name
+     * @returns {Promise<boolean>} true, если шаблон был удален.
+     */
+    async delete(name) {
+        await this.ready;
+        const filePath = this._filePath(name);
+        return this._enqueue(name, async () => {
+            try {
+                await fs.unlink(filePath);
+                return true;
+            } catch (err) {
+                if (err.code === 'ENOENT') return false;
+                throw err;
+            }
+        });
+    }
+
+    /**
+     * @param {string} name
+     * @returns {string}
+     * @private
+     */
+    _filePath(name) {
+        if (!NAME_PATTERN.test(name)) {
+            throw new Error(`Invalid template name: ${name}`);
+        }
+        return path.join(this.dir, `${name}.json`);
+    }
+
+    /**
+     * Ставит запись файла шаблона в очередь после предыдущей (ошибка предыдущей не блокирует следующую).
+     * @param {string} name
+     * @param {() => Promise<*>} task
+     * @returns {Promise<*>}
+     * @private
+     */
+    _enqueue(name, task) {
+        const previous = this.writes.get(name) || Promise.resolve();
+        const current = previous.catch(() => {}).then(task);
+        this.writes.set(name, current);
+        current.finally(() => {
+            if (this.writes.get(name) === current) this.writes.delete(name);
+        }).catch(() => {});
+        return current;
+    }
+}
+
+module.exports = FileTemplateStore;
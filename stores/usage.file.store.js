@@ -0,0 +1,75 @@
+/**
+ * @file stores/usage.file.store.js
+ * @description Файловое хранилище учета использования: один JSON файл на день (YYYY-MM-DD.json)
+ * со счетчиками по парам API ключ + модель. Файлы маленькие, отчет за период читает только нужные дни.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const { writeFileAtomic } = require('../utils/atomic-write');
+
+/** Имя файла — дата UTC; все прочее отклоняется (защита от path traversal). */
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+class FileUsageStore {
+
+    /**
+     * @param {string} dir - Каталог для файлов учета (создается при необходимости).
+     */
+    constructor(dir) {
+        this.dir = path.resolve(dir);
+        this.ready = fs.mkdir(this.dir, { recursive: true });
+        /** @type {Map<string, Promise<void>>} Последнее сохранение по дню. */
+        this.writes = new Map();
+    }
+
+    /**
+     * @param {string} day - Дата UTC (YYYY-MM-DD).
+     * @returns {string}
+     * @private
+     */
+    _filePath(day) {
+        if (!DAY_PATTERN.test(day)) {
+            throw new Error(`Invalid usage day: ${day}`);
+        }
+        return path.join(this.dir, `${day}.json`);
+    }
+
+    /**
+     * @param {string} day
+     * @returns {Promise<object[]>} Счетчики дня (пустой массив, если учета за день нет).
+     */
+    async get(day) {
+        await this.ready;
+        try {
+            const data = JSON.parse(await fs.readFile(this._filePath(day), 'utf8'));
+            return data.rows || [];
+        } catch (err) {
+            if (err.code === 'ENOENT') return [];
+            throw err;
+        }
+    }
+
+    /**
+     * Перезаписывает счетчики дня атомарно (временный файл + rename).
+     * Сохранения одного дня идут по очереди, поэтому более старые счетчики не перезапишут новые.
+     * @param {string} day
+     * @param {object[]} rows
+     * @returns {Promise<void>}
+     */
+    async save(day, rows) {
+        await this.ready;
+        const filePath = this._filePath(day);
+        const raw = JSON.stringify({ day, rows });
+
+        const previous = this.writes.get(day) || Promise.resolve();
+        const current = previous.catch(() => {}).then(() => writeFileAtomic(filePath, raw));
+        this.writes.set(day, current);
+        current.finally(() => {
+            if (this.writes.get(day) === current) this.writes.delete(day);
+        }).catch(() => {});
+        return current;
+    }
+}
+
+module.exports = FileUsageStore;
@@ -0,0 +1,32 @@
+/**
+ * @file stores/usage.memory.store.js
+ * @description Хранилище учета использования в памяти процесса.
+ * Подходит для разработки: данные теряются при перезапуске.
+ */
+
+class MemoryUsageStore {
+
+    constructor() {
+        /** @type {Map<string, object[]>} День (YYYY-MM-DD) -> счетчики. */
+        this.days = new Map();
+    }
+
+    /**
+     * @param {string} day
+     * @returns {Promise<object[]>}
+     */
+    async get(day) {
+        return structuredClone(this.days.get(day) || []);
+    }
+
+    /**
+     * @param {string} day
+     * @param {object[]} rows
+     * @returns {Promise<void>}
+     */
+    async save(day, rows) {
+        this.days.set(day, structuredClone(rows));
+    }
+}
+
+module.exports = MemoryUsageStore;
@@ -0,0 +1,223 @@
+/**
+ * @file test/helpers/gateway.js
+ * @description Запуск шлюза для интеграционных тестов: отдельный процесс `node app.js` на свободном порту
+ * с мок-бэкендом (GATEWAY_BACKEND=mock) и хранилищами во временной папке.
+ */
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..', '..');
+
+/** Ключ администратора (APP_API_KEY) тестового шлюза. */
+const ADMIN_KEY = 'test-admin-key';
+
+/** Сколько ждать готовности шлюза (мс). */
+const START_TIMEOUT_MS = 10000;
+
+/**
+ * @returns {Promise<number>} Свободный TCP порт.
+ */
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer();
+        server.unref();
+        server.on('error', reject);
+        server.listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+/**
+ * Разбирает тело SSE ответа на события.
+ * @param {string} body
+ * @returns {Array<{event: string|null, data: any}>} Комментарии (heartbeat, позиция в очереди) пропускаются.
+ */
+function parseSse(body) {
+    return body.split('\n\n').filter(Boolean).flatMap((block) => {
+        let event = null;
+        const data = [];
+        for (const line of block.split('\n')) {
+            if (line.startsWith('event: ')) event = line.slice(7);
+            else if (line.startsWith('data: ')) data.push(line.slice(6));
+        }
+        if (data.length === 0) return [];
+        const text = data.join('\n');
+        try {
+            return [{ event, data: JSON.parse(text) }];
+        } catch {
+            return [{ event, data: text }];
+        }
+    });
+}
+
+/**
+ * @typedef {Object} TestResponse
+ * @property {number} status
+ * @property {Headers} headers
+ * @property {any} body - JSON (если ответ JSON), иначе текст.
+ */
+
+/**
+ * Запущенный тестовый шлюз.
+ */
+class TestGateway {
+
+    /**
+     * @param {import('child_process').ChildProcess} child
+     * @param {number} port
+     * @param {string} dir
+     */
+    constructor(child, port, dir) {
+        this.child = child;
+        this.url = `http://127.0.0.1:${port}`;
+        this.dir = dir;
+        this.output = '';
+    }
+
+    /**
+     * Выполняет HTTP запрос к шлюзу (по умолчанию с ключом администратора).
+     * @param {string} method
+     * @param {string} urlPath
+     * @param {object} [options]
+     * @param {any} [options.body] - Тело запроса (строка отправляется как есть, остальное сериализуется в JSON).
+     * @param {string|null} [options.key] - API ключ; null — без ключа.
+     * @param {object} [options.headers]
+     * @returns {Promise<TestResponse>}
+     */
+    async request(method, urlPath, { body, key = ADMIN_KEY, headers = {} } = {}) {
+        const res = await fetch(this.url + urlPath, {
+            method,
+            headers: {
+                ...(body !== undefined && { 'Content-Type': 'application/json' }),
+                ...(key && { 'X-API-Key': key }),
+                ...headers
+            },
+            body: body === undefined || typeof body === 'string' ? body : JSON.stringify(body)
+        });
+        const text = await res.text();
+        const isJson = (res.headers.get('content-type') || '').includes('application/json');
+        return { status: res.status, headers: res.headers, body: isJson ? JSON.parse(text) : text };
+    }
+
+    /**
+     * @param {string} urlPath
+     * @param {any} body
+     * @param {object} [options] - См. request.
+     * @returns {Promise<TestResponse>}
+     */
+    post(urlPath, body, options = {}) {
+        return this.request('POST', urlPath, { ...options, body });
+    }
+
+    /**
+     * @param {string} urlPath
+     * @param {object} [options] - См. request.
+     * @returns {Promise<TestResponse>}
+     */
+    get(urlPath, options = {}) {
+        return this.request('GET', urlPath, options);
+    }
+
+    /**
+     * Выполняет потоковый запрос и возвращает события SSE после завершения потока.
+     * @param {string} urlPath
+     * @param {any} body
+     * @param {object} [options] - См. request.
+     * @returns {Promise<TestResponse & {events: Array<{event: string|null, data: any}>}>}
+     */
+    async stream(urlPath, body, options = {}) {
+        const res = await this.post(urlPath, body, options);
+        return { ...res, events: typeof res.body === 'string' ? parseSse(res.body) : [] };
+    }
+
+    /**
+     * Останавливает шлюз (SIGTERM, при зависании — SIGKILL) и удаляет временную папку.
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        if (this.child.exitCode === null && this.child.signalCode === null) {
+            await new Promise((resolve) => {
+                const timer = setTimeout(() => this.child.kill('SIGKILL'), START_TIMEOUT_MS);
+                this.child.once('exit', () => {
+                    clearTimeout(timer);
+                    resolve();
+                });
+                this.child.kill('SIGTERM');
+            });
+        }
+        fs.rmSync(this.dir, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Запускает шлюз и ждет, пока /api/health/live ответит 200.
+ * @param {object} [options]
+ * @param {object} [options.env] - Дополнительные переменные окружения (переопределяют значения по умолчанию).
+ * @param {Array<object>} [options.script] - Сценарий мок-бэкенда (MOCK_BACKEND_SCRIPT).
+ * @returns {Promise<TestGateway>}
+ */
+async function startGateway({ env = {}, script } = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gateway-test-'));
+    const port = await freePort();
+
+    const scriptEnv = {};
+    if (script) {
+        scriptEnv.MOCK_BACKEND_SCRIPT = path.join(dir, 'mock-script.json');
+        fs.writeFileSync(scriptEnv.MOCK_BACKEND_SCRIPT, JSON.stringify(script));
+    }
+
+    const child = spawn(process.execPath, ['app.js'], {
+        cwd: ROOT,
+        stdio: ['ignore', 'pipe', 'pipe'],
+        env: {
+            ...process.env,
+            PORT: String(port),
+            GATEWAY_BACKEND: 'mock',
+            APP_API_KEY: ADMIN_KEY,
+            API_KEYS_FILE: path.join(dir, 'api-keys.json'),
+            BATCH_STORE_DIR: path.join(dir, 'batches'),
+            TEMPLATE_STORE_DIR: path.join(dir, 'templates'),
+            AUDIT_DIR: path.join(dir, 'audit'),
+            USAGE_STORE: 'memory',
+            SESSION_STORE: 'memory',
+            RESPONSE_CACHE_ENABLED: 'false',
+            MODELS_RELOAD_INTERVAL_MS: '0',
+            GEMINI_RETRY_DELAY_MS: '10',
+            SHUTDOWN_GRACE_PERIOD_MS: '1000',
+            LOG_LEVEL: 'error',
+            ...scriptEnv,
+            ...env
+        }
+    });
+
+    const gateway = new TestGateway(child, port, dir);
+    // Вывод шлюза нужен только для сообщения об ошибке запуска
+    child.stdout.on('data', (chunk) => { gateway.output += chunk; });
+    child.stderr.on('data', (chunk) => { gateway.output += chunk; });
+
+    const deadline = Date.now() + START_TIMEOUT_MS;
+    while (Date.now() < deadline) {
+        if (child.exitCode !== null) {
+            fs.rmSync(dir, { recursive: true, force: true });
+            throw new Error(`Gateway exited with code ${child.exitCode}:\n${gateway.output}`);
+        }
+        try {
+            const res = await fetch(`${gateway.url}/api/health/live`);
+            if (res.ok) return gateway;
+        } catch {
+            // Сервер еще не слушает порт
+        }
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+
+    await gateway.stop();
+    throw new Error(`Gateway did not start within ${START_TIMEOUT_MS} ms:\n${gateway.output}`);
+}
+
+module.exports = { startGateway, parseSse, ADMIN_KEY };
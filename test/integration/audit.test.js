@@ -0,0 +1,143 @@
+/**
+ * @file test/integration/audit.test.js
+ * @description Журнал аудита: запись генераций, поиск, повтор запроса со сравнением ответов и исключение полей.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startGateway } = require('../helpers/gateway');
+
+describe('audit', () => {
+    let gateway;
+
+    before(async () => {
+        gateway = await startGateway({
+            env: { AUDIT_ENABLED: 'true', GEMINI_RETRY_DELAY_MS: '5000' },
+            script: [
+                { match: '^overloaded', fail: 'unavailable' },
+                { match: '^capital', model: 'gemini-2.5-flash', reply: 'Paris is the capital.\nPopulation is about 2.1 million.' },
+                { match: '^capital', reply: 'Paris is the capital.\nPopulation is about 2 million.' },
+                { match: '^crash', fail: 'error' }
+            ]
+        });
+    });
+
+    after(() => gateway.stop());
+
+    it('records the conversation, prompt, output and attempts of a request', async () => {
+        const chat = await gateway.post('/api/chat', {
+            messages: [
+                { role: 'system', content: 'Be brief.' },
+                { role: 'user', content: 'capital of France?' }
+            ]
+        }, { headers: { 'X-Request-Id': 'audit-test-1' } });
+        assert.equal(chat.status, 200);
+
+        const res = await gateway.get('/api/audit?request_id=audit-test-1');
+        assert.equal(res.status, 200);
+        assert.equal(res.body.entries.length, 1);
+
+        const [entry] = res.body.entries;
+        assert.match(entry.id, /^aud_\d{8}_[a-f0-9]+$/);
+        assert.equal(entry.route, 'POST /api/chat');
+        assert.equal(entry.key_id, 'default');
+        assert.equal(entry.model, 'gemini-2.5-flash-lite');
+        assert.equal(entry.outcome, 'success');
+        assert.equal(entry.exit_code, 0);
+        assert.equal(entry.conversation[1].content, 'capital of France?');
+        assert.equal(entry.prompt, 'System Instruction: Be brief.\n\nUser: capital of France?');
+        assert.equal(entry.output, chat.body.response);
+        assert.equal(entry.attempts.length, 1);
+    });
+
+    it('records CLI failures with exit code and stderr', async () => {
+        const chat = await gateway.post('/api/chat', { prompt: 'crash please' });
+        assert.equal(chat.status, 500);
+
+        const res = await gateway.get('/api/audit?outcome=error&q=crash');
+        const [entry] = res.body.entries;
+        assert.equal(entry.error.code, 'CLI_ERROR');
+        assert.equal(entry.exit_code, 1);
+        assert.match(entry.attempts[0].stderr, /Mock backend failure/);
+    });
+
+    it('records requests cancelled while waiting for a retry', async () => {
+        const controller = new AbortController();
+        const request = fetch(`${gateway.url}/api/chat`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'X-API-Key': 'test-admin-key', 'X-Request-Id': 'audit-test-cancel' },
+            body: JSON.stringify({ prompt: 'overloaded service' }),
+            signal: controller.signal
+        });
+        setTimeout(() => controller.abort(), 300);
+        await assert.rejects(request);
+
+        let entries = [];
+        const deadline = Date.now() + 3000;
+        while (entries.length === 0 && Date.now() < deadline) {
+            await new Promise(resolve => setTimeout(resolve, 50));
+            entries = (await gateway.get('/api/audit?request_id=audit-test-cancel')).body.entries;
+        }
+        assert.equal(entries.length, 1);
+        assert.equal(entries[0].outcome, 'cancelled');
+        assert.equal(entries[0].error.code, 'CANCELLED');
+    });
+
+    it('replays a recorded request against another model and diffs the outputs', async () => {
+        await gateway.post('/api/chat', { prompt: 'capital of France' }, { headers: { 'X-Request-Id': 'audit-test-2' } });
+        const { body } = await gateway.get('/api/audit?request_id=audit-test-2');
+
+        const res = await gateway.post(`/api/audit/${body.entries[0].id}/replay`, { model: 'gemini-2.5-flash' });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.original.model, 'gemini-2.5-flash-lite');
+        assert.equal(res.body.replay.model, 'gemini-2.5-flash');
+        assert.equal(res.body.diff.identical, false);
+        assert.deepEqual(res.body.diff.changes, [
+            { type: 'equal', text: 'Paris is the capital.' },
+            { type: 'removed', text: 'Population is about 2 million.' },
+            { type: 'added', text: 'Population is about 2.1 million.' }
+        ]);
+    });
+
+    it('returns 404 for unknown entries', async () => {
+        const res = await gateway.get('/api/audit/aud_20260101_0123456789abcdef');
+
+        assert.equal(res.status, 404);
+        assert.equal(res.body.code, 'AUDIT_NOT_FOUND');
+    });
+
+    it('is available only to the admin key', async () => {
+        const created = await gateway.post('/api/admin/keys', { name: 'auditor' });
+        const res = await gateway.get('/api/audit', { key: created.body.secret });
+
+        assert.equal(res.status, 403);
+    });
+});
+
+describe('audit with redacted fields', () => {
+    let gateway;
+
+    before(async () => {
+        gateway = await startGateway({
+            env: { AUDIT_ENABLED: 'true', AUDIT_REDACT_FIELDS: 'prompt', AUDIT_REDACT_PII: 'true' }
+        });
+    });
+
+    after(() => gateway.stop());
+
+    it('omits redacted fields, masks personal data and refuses to replay', async () => {
+        await gateway.post('/api/chat', { prompt: 'write to jane@example.com' }, { headers: { 'X-Request-Id': 'audit-test-3' } });
+
+        const { body } = await gateway.get('/api/audit?request_id=audit-test-3');
+        const [entry] = body.entries;
+        assert.equal(entry.prompt, null);
+        assert.equal(entry.conversation[0].content, 'write to [REDACTED_EMAIL]');
+        assert.equal(entry.output, 'Echo: write to [REDACTED_EMAIL]');
+        assert.deepEqual(entry.redacted, ['prompt']);
+        assert.equal(entry.pii_redacted, true);
+
+        const res = await gateway.post(`/api/audit/${entry.id}/replay`, {});
+        assert.equal(res.status, 409);
+        assert.equal(res.body.code, 'AUDIT_REPLAY_UNAVAILABLE');
+    });
+});
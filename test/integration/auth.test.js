@@ -0,0 +1,100 @@
+/**
+ * @file test/integration/auth.test.js
+ * @description Аутентификация по API ключу, права администратора и ограничения ключей.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startGateway } = require('../helpers/gateway');
+
+describe('auth', () => {
+    let gateway;
+    let userKey;
+
+    before(async () => {
+        gateway = await startGateway();
+        const res = await gateway.post('/api/admin/keys', { name: 'integration', allowed_models: ['gemini-2.5-flash-lite'] });
+        assert.equal(res.status, 201);
+        userKey = res.body.secret;
+    });
+
+    after(() => gateway.stop());
+
+    it('rejects requests without an API key', async () => {
+        const res = await gateway.post('/api/chat', { prompt: 'hello' }, { key: null });
+
+        assert.equal(res.status, 401);
+    });
+
+    it('rejects unknown API keys', async () => {
+        const res = await gateway.post('/api/chat', { prompt: 'hello' }, { key: 'wrong-key' });
+
+        assert.equal(res.status, 401);
+    });
+
+    it('accepts the key in the Authorization header', async () => {
+        const res = await gateway.post('/api/chat', { prompt: 'hello' }, {
+            key: null,
+            headers: { Authorization: `Bearer ${userKey}` }
+        });
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.response, 'Echo: hello');
+    });
+
+    it('keeps the health endpoints public', async () => {
+        const res = await gateway.get('/api/health/live', { key: null });
+
+        assert.equal(res.status, 200);
+    });
+
+    it('restricts admin endpoints to the admin key', async () => {
+        const res = await gateway.get('/api/admin/keys', { key: userKey });
+
+        assert.equal(res.status, 403);
+    });
+
+    it('restricts a key to its allowed models', async () => {
+        const res = await gateway.post('/api/chat', { prompt: 'hello', model: 'gemini-2.5-flash' }, { key: userKey });
+
+        assert.equal(res.status, 403);
+        assert.equal(res.body.code, 'MODEL_NOT_ALLOWED');
+    });
+
+    it('stops accepting a revoked key', async () => {
+        const created = await gateway.post('/api/admin/keys', { name: 'revoked' });
+        const revoked = await gateway.request('DELETE', `/api/admin/keys/${created.body.key.id}`);
+        assert.equal(revoked.status, 200);
+
+        const res = await gateway.post('/api/chat', { prompt: 'hello' }, { key: created.body.secret });
+        assert.equal(res.status, 401);
+    });
+
+    it('charges batch items against the key quota and stops them when the key is revoked', async () => {
+        const created = await gateway.post('/api/admin/keys', { name: 'batch-quota', rpd: 3 });
+        const lines = ['one', 'two', 'three', 'four'].map(prompt => JSON.stringify({ prompt })).join('\n');
+        const batch = await gateway.post('/api/batches', lines, {
+            key: created.body.secret,
+            headers: { 'Content-Type': 'application/x-ndjson' }
+        });
+        assert.equal(batch.status, 202);
+
+        // Создание задания — первый запрос за сутки, поэтому выполняются только два элемента из четырех
+        let job;
+        const deadline = Date.now() + 5000;
+        do {
+            await new Promise(resolve => setTimeout(resolve, 50));
+            job = (await gateway.get(`/api/batches/${batch.body.id}`)).body;
+        } while (job.counts.succeeded < 2 && Date.now() < deadline);
+        await new Promise(resolve => setTimeout(resolve, 200));
+        job = (await gateway.get(`/api/batches/${batch.body.id}`)).body;
+        assert.equal(job.counts.succeeded, 2);
+        assert.equal(job.counts.pending, 2);
+
+        await gateway.request('DELETE', `/api/admin/keys/${created.body.key.id}`);
+        job = (await gateway.get(`/api/batches/${batch.body.id}`)).body;
+        assert.equal(job.status, 'cancelled');
+        assert.equal(job.error.code, 'KEY_REVOKED');
+        assert.equal(job.counts.cancelled, 2);
+    });
+});
@@ -0,0 +1,119 @@
+/**
+ * @file test/integration/failures.test.js
+ * @description Таймауты, классификация сбоев, повторы и резервные модели.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startGateway } = require('../helpers/gateway');
+
+describe('failures', () => {
+    let gateway;
+
+    before(async () => {
+        gateway = await startGateway({
+            env: {
+                GEMINI_REQUEST_TIMEOUT_MS: '300',
+                GEMINI_RETRY_ATTEMPTS: '1',
+                GEMINI_FALLBACK_MODELS: 'gemini-2.5-flash,gemini-2.5-flash-lite'
+            },
+            script: [
+                { match: '^hang', latency_ms: 5000 },
+                { match: '^flaky', sequence: [{ fail: 'unavailable' }, { reply: 'recovered' }] },
+                { match: '^limited', model: 'gemini-2.5-flash', fail: 'rate_limited' },
+                { match: '^limited', reply: 'answered by fallback' },
+                { match: '^quota', fail: 'rate_limited' },
+                { match: '^auth', fail: 'auth' },
+                { match: '^crash', fail: 'error' },
+                {
+                    match: '^retired',
+                    model: 'gemini-2.5-flash',
+                    fail: 'error',
+                    stderr: '[API Error: {"error":{"code":404,"message":"models/gemini-2.5-flash is not found for API version v1beta","status":"NOT_FOUND"}}]'
+                },
+                { match: '^retired', reply: 'answered by fallback' },
+                {
+                    match: '^noisy',
+                    fail: 'error',
+                    stderr: [
+                        'Warning: settings file not found at /home/node/.gemini/settings.json',
+                        "Extension 'model-tools' not found, skipping",
+                        'Skipping MCP server: network unavailable (offline mode)',
+                        'Run gemini again to re-authenticate the extensions registry',
+                        'Error: invalid value in notes.md (line 404)'
+                    ].join('\n')
+                }
+            ]
+        });
+    });
+
+    after(() => gateway.stop());
+
+    it('times out slow generations with 504', async () => {
+        const res = await gateway.post('/api/chat', { prompt: 'hang forever' });
+
+        assert.equal(res.status, 504);
+        assert.equal(res.body.code, 'TIMEOUT');
+    });
+
+    it('times out streams with an error event', async () => {
+        const res = await gateway.stream('/api/chat/stream', { prompt: 'hang in stream' });
+
+        assert.equal(res.status, 200);
+        assert.equal(res.events.find(e => e.event === 'error').data.code, 'TIMEOUT');
+        assert.equal(res.events.at(-1).event, 'done');
+    });
+
+    it('retries transient failures', async () => {
+        const res = await gateway.post('/api/chat', { prompt: 'flaky backend' });
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.response, 'recovered');
+    });
+
+    it('falls back to the next model when the requested one is rate limited', async () => {
+        const res = await gateway.post('/api/chat', { prompt: 'limited model', model: 'gemini-2.5-flash' });
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.response, 'answered by fallback');
+        assert.equal(res.body.model, 'gemini-2.5-flash-lite');
+    });
+
+    it('returns 429 with Retry-After when retries are exhausted', async () => {
+        const res = await gateway.post('/api/chat', { prompt: 'quota exceeded', model: 'gemini-2.5-flash-lite' });
+
+        assert.equal(res.status, 429);
+        assert.equal(res.body.code, 'MODEL_RATE_LIMITED');
+        assert.equal(res.headers.get('retry-after'), '30');
+    });
+
+    it('classifies authentication failures', async () => {
+        const res = await gateway.post('/api/chat', { prompt: 'auth broken' });
+
+        assert.equal(res.status, 503);
+        assert.equal(res.body.code, 'CLI_AUTH_EXPIRED');
+    });
+
+    it('falls back to the next model when the API reports the model as not found', async () => {
+        const res = await gateway.post('/api/chat', { prompt: 'retired model', model: 'gemini-2.5-flash' });
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.response, 'answered by fallback');
+    });
+
+    it('does not classify unrelated CLI warnings in stderr', async () => {
+        const res = await gateway.post('/api/chat', { prompt: 'noisy failure', model: 'gemini-2.5-flash' });
+
+        // Без повторов и перехода на резервную модель: ошибка отдается как есть, со stderr в details
+        assert.equal(res.status, 500);
+        assert.equal(res.body.code, 'CLI_ERROR');
+        assert.match(res.body.details, /settings file not found/);
+    });
+
+    it('returns unknown CLI failures as CLI_ERROR', async () => {
+        const res = await gateway.post('/api/chat', { prompt: 'crash now' });
+
+        assert.equal(res.status, 500);
+        assert.equal(res.body.code, 'CLI_ERROR');
+    });
+});
@@ -0,0 +1,84 @@
+/**
+ * @file test/integration/moderation.test.js
+ * @description Модерация: замена и маскирование персональных данных, запрещенные термины и фильтр ответов.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startGateway } = require('../helpers/gateway');
+
+describe('moderation', () => {
+    let gateway;
+
+    before(async () => {
+        gateway = await startGateway({
+            env: {
+                MODERATION_ENABLED: 'true',
+                MODERATION_BLOCKED_TERMS: 'project-aurora'
+            },
+            script: [
+                { match: '^leak', reply: 'Write to support@example.com or call +1 415 555 0100.' }
+            ]
+        });
+    });
+
+    after(() => gateway.stop());
+
+    it('redacts personal data before it reaches the model', async () => {
+        const res = await gateway.post('/api/chat', { prompt: 'mail john.doe@example.com about card 4111 1111 1111 1111' });
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.response, 'Echo: mail [REDACTED_EMAIL] about card [REDACTED_CARD]');
+    });
+
+    it('filters personal data out of streamed replies', async () => {
+        const res = await gateway.stream('/api/chat/stream', { prompt: 'leak contacts' });
+
+        const text = res.events.filter(e => e.event === 'delta').map(e => e.data.text).join('');
+        assert.equal(text, 'Write to [REDACTED_EMAIL] or call [REDACTED_PHONE].');
+        assert.equal(res.events.at(-1).data.text, text);
+    });
+
+    it('rejects requests with a blocked term and names the rule', async () => {
+        const res = await gateway.post('/api/chat', { prompt: 'tell me about Project-Aurora' });
+
+        assert.equal(res.status, 422);
+        assert.equal(res.body.code, 'CONTENT_BLOCKED');
+        assert.equal(res.body.rule, 'blocked_term');
+        assert.equal(res.body.scope, 'global');
+    });
+
+    it('applies blocked terms of the API key', async () => {
+        const created = await gateway.post('/api/admin/keys', { name: 'moderated', blocked_terms: ['zephyr'] });
+        assert.equal(created.status, 201);
+
+        const res = await gateway.post('/v1/chat/completions', {
+            messages: [{ role: 'user', content: 'what is zephyr?' }]
+        }, { key: created.body.secret });
+
+        assert.equal(res.status, 422);
+        assert.equal(res.body.error.code, 'content_blocked');
+    });
+});
+
+describe('moderation in mask mode', () => {
+    let gateway;
+
+    before(async () => {
+        gateway = await startGateway({
+            env: {
+                MODERATION_ENABLED: 'true',
+                MODERATION_PII_MODE: 'mask'
+            }
+        });
+    });
+
+    after(() => gateway.stop());
+
+    it('restores masked values in the reply', async () => {
+        const res = await gateway.post('/api/chat', { prompt: 'forward to jane@example.com' });
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.response, 'Echo: forward to jane@example.com');
+    });
+});
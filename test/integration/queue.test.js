@@ -0,0 +1,85 @@
+/**
+ * @file test/integration/queue.test.js
+ * @description Очередь запросов: лимит одновременных процессов, переполнение и таймаут ожидания.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startGateway } = require('../helpers/gateway');
+
+/**
+ * Ждет, пока условие на состоянии очереди не выполнится.
+ * @param {import('../helpers/gateway').TestGateway} gateway
+ * @param {(stats: object) => boolean} predicate
+ * @returns {Promise<object>}
+ */
+async function waitForQueue(gateway, predicate) {
+    for (let i = 0; i < 100; i++) {
+        const { body } = await gateway.get('/api/queue');
+        if (predicate(body)) return body;
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    throw new Error('Queue did not reach the expected state');
+}
+
+describe('queue', () => {
+    let gateway;
+
+    before(async () => {
+        gateway = await startGateway({
+            env: {
+                GEMINI_MAX_CONCURRENT_REQUESTS: '1',
+                GEMINI_MAX_QUEUE_LENGTH: '1',
+                GEMINI_QUEUE_TIMEOUT_MS: '2000'
+            },
+            script: [
+                { match: '^slow', latency_ms: 400 },
+                { match: '^very slow', latency_ms: 3000 }
+            ]
+        });
+    });
+
+    after(() => gateway.stop());
+
+    it('runs one request at a time and rejects requests over the queue length', async () => {
+        const first = gateway.post('/api/chat', { prompt: 'slow one' });
+        await waitForQueue(gateway, stats => stats.active === 1);
+        const second = gateway.post('/api/chat', { prompt: 'slow two' });
+        const stats = await waitForQueue(gateway, s => s.queued === 1);
+        assert.equal(stats.maxConcurrent, 1);
+
+        const third = await gateway.post('/api/chat', { prompt: 'slow three' });
+        assert.equal(third.status, 503);
+        assert.equal(third.body.code, 'QUEUE_FULL');
+
+        const streamed = await gateway.post('/api/chat/stream', { prompt: 'slow four' });
+        assert.equal(streamed.status, 503);
+        assert.equal(streamed.body.code, 'QUEUE_FULL');
+
+        const [a, b] = await Promise.all([first, second]);
+        assert.equal(a.body.response, 'Echo: slow one');
+        assert.equal(b.body.response, 'Echo: slow two');
+        await waitForQueue(gateway, s => s.active === 0 && s.queued === 0);
+    });
+
+    it('reports the queue position to waiting streams', async () => {
+        const first = gateway.post('/api/chat', { prompt: 'slow blocker' });
+        await waitForQueue(gateway, stats => stats.active === 1);
+
+        const res = await gateway.stream('/api/chat/stream', { prompt: 'waiting stream' });
+        const queued = res.events.find(e => e.event === 'queued');
+        assert.deepEqual(queued.data, { position: 1, queued: 1 });
+        assert.equal(res.events.at(-1).data.text, 'Echo: waiting stream');
+        await first;
+    });
+
+    it('gives up waiting after the queue timeout', async () => {
+        const first = gateway.post('/api/chat', { prompt: 'very slow blocker' });
+        await waitForQueue(gateway, stats => stats.active === 1);
+
+        const res = await gateway.post('/api/chat', { prompt: 'impatient' });
+        assert.equal(res.status, 503);
+        assert.equal(res.body.code, 'QUEUE_TIMEOUT');
+        await first;
+    });
+});
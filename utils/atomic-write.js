@@ -0,0 +1,28 @@
+/**
+ * @file utils/atomic-write.js
+ * @description Атомарная перезапись файла: запись во временный файл рядом с целевым и rename.
+ * Имя временного файла уникально для каждой записи, поэтому параллельные сохранения одного файла
+ * не мешают друг другу (побеждает последний rename), а читатель никогда не видит файл наполовину.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+
+/**
+ * @param {string} filePath
+ * @param {string} data
+ * @param {object|string} [options] - Параметры fs.writeFile (по умолчанию utf8).
+ * @returns {Promise<void>}
+ */
+async function writeFileAtomic(filePath, data, options = 'utf8') {
+    const tmpPath = `${filePath}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+    try {
+        await fs.writeFile(tmpPath, data, options);
+        await fs.rename(tmpPath, filePath);
+    } catch (err) {
+        await fs.unlink(tmpPath).catch(() => {});
+        throw err;
+    }
+}
+
+module.exports = { writeFileAtomic };
@@ -0,0 +1,121 @@
+/**
+ * @file utils/cli-error.classifier.js
+ * @description Классификация сбоев Gemini CLI по коду выхода и stderr.
+ * От типа ошибки зависит, повторит ли шлюз запрос и можно ли перейти на резервную модель.
+ */
+
+const { ErrorCodes, GatewayError } = require('./errors');
+
+/** Код выхода Gemini CLI при ошибке аутентификации (FatalAuthenticationError). */
+const EXIT_CODE_AUTH = 41;
+
+/**
+ * HTTP статус в ошибке API или CLI (`"code": 503`, `status: 503`, `Error: 503`, `[503 Service Unavailable]`),
+ * а не произвольное число в тексте (номер строки, размер файла).
+ * @param {string} codes - Альтернативы регулярного выражения, например `50[0234]`.
+ * @returns {RegExp}
+ */
+function httpStatus(codes) {
+    return new RegExp(`(?:"code"\\s*:\\s*|\\bstatus(?: code)?:?\\s*|\\bError:\\s*|\\[)(?:${codes})\\b`, 'i');
+}
+
+/**
+ * Правила распознавания stderr, проверяются по порядку: первое совпадение определяет тип ошибки.
+ * Шаблоны привязаны к собственным сообщениям CLI и API (статусы gRPC пишутся заглавными, HTTP статусы — рядом с
+ * `code` / `status`): предупреждения CLI в stderr (не найден файл настроек, расширение) не должны менять тип ошибки.
+ * @type {Array<{code: string, status: number, message: string, patterns: RegExp[]}>}
+ */
+const RULES = [
+    {
+        code: ErrorCodes.CLI_AUTH_EXPIRED,
+        status: 503,
+        message: 'Gemini CLI authentication has expired or is invalid',
+        patterns: [
+            httpStatus('401'),
+            /\bUNAUTHENTICATED\b|\binvalid_grant\b/,
+            /token has expired|please (re-?)?authenticate|authentication (required|failed)|error authenticating|login required|invalid credentials/i
+        ]
+    },
+    {
+        code: ErrorCodes.MODEL_RATE_LIMITED,
+        status: 429,
+        message: 'Model rate limit or quota exceeded',
+        patterns: [
+            httpStatus('429'),
+            /\bRESOURCE_EXHAUSTED\b/,
+            /quota exceeded|exceeded your current quota|rate[ -]?limit(ed| exceeded)|too many requests/i
+        ]
+    },
+    {
+        code: ErrorCodes.MODEL_NOT_FOUND,
+        status: 502,
+        message: 'Model is not available to the CLI',
+        patterns: [
+            /\bModelNotFound/,
+            // "status": "NOT_FOUND" API ошибки считается ошибкой модели, только если в той же строке упомянута модель
+            /^(?=.*\bmodels?\b).*"status":\s*"NOT_FOUND"/m,
+            /\bmodels\/[\w.-]+ is not (found|supported)/i,
+            /unknown model|\bmodel(?: "[^"]*"| '[^']*'| [\w.\/-]+)? (?:is |was )?(?:not found|not supported|does not exist)/i
+        ]
+    },
+    {
+        code: ErrorCodes.UPSTREAM_UNAVAILABLE,
+        status: 502,
+        message: 'Model service is temporarily unavailable',
+        patterns: [
+            httpStatus('50[0234]'),
+            /\bUNAVAILABLE\b|\bDEADLINE_EXCEEDED\b|\b(ECONNRESET|ECONNREFUSED|ETIMEDOUT|ENOTFOUND|EAI_AGAIN)\b/,
+            /socket hang up|fetch failed/i
+        ]
+    }
+];
+
+/** Ошибки, которые имеет смысл повторить на той же модели (после паузы). */
+const RETRYABLE_CODES = new Set([ErrorCodes.MODEL_RATE_LIMITED, ErrorCodes.UPSTREAM_UNAVAILABLE]);
+
+/** Ошибки конкретной модели: другая модель из цепочки может ответить. */
+const FALLBACK_CODES = new Set([
+    ErrorCodes.MODEL_RATE_LIMITED,
+    ErrorCodes.UPSTREAM_UNAVAILABLE,
+    ErrorCodes.MODEL_NOT_FOUND,
+    ErrorCodes.TIMEOUT
+]);
+
+/**
+ * Превращает неуспешное завершение CLI в типизированную ошибку.
+ * Для распознанных ошибок stderr клиенту не отдается (только в лог), для неизвестных — как раньше, в details.
+ * @param {number|null} exitCode
+ * @param {string} stderr
+ * @returns {GatewayError}
+ */
+function classifyCliFailure(exitCode, stderr = '') {
+    const rule = exitCode === EXIT_CODE_AUTH
+        ? RULES[0]
+        : RULES.find(({ patterns }) => patterns.some(pattern => pattern.test(stderr)));
+
+    if (!rule) {
+        return new GatewayError(ErrorCodes.CLI_ERROR, 'CLI execution failed', 500, { exit_code: exitCode, details: stderr });
+    }
+
+    const details = { exit_code: exitCode };
+    if (rule.code === ErrorCodes.MODEL_RATE_LIMITED) details.retry_after = 30;
+    return new GatewayError(rule.code, rule.message, rule.status, details);
+}
+
+/**
+ * @param {Error} err
+ * @returns {boolean} true, если запрос можно повторить на той же модели.
+ */
+function isRetryable(err) {
+    return RETRYABLE_CODES.has(err.code);
+}
+
+/**
+ * @param {Error} err
+ * @returns {boolean} true, если можно попробовать следующую модель из цепочки.
+ */
+function allowsFallback(err) {
+    return FALLBACK_CODES.has(err.code);
+}
+
+module.exports = { classifyCliFailure, isRetryable, allowsFallback };
@@ -0,0 +1,99 @@
+/**
+ * @file utils/diff.js
+ * @description Построчное сравнение двух текстов (наибольшая общая подпоследовательность строк).
+ * Используется для сравнения записанного ответа модели с ответом при повторе запроса.
+ */
+
+/**
+ * Больше этого числа пар строк таблица LCS не строится: тексты сравниваются только по общему началу и концу.
+ */
+const MAX_LCS_CELLS = 4_000_000;
+
+/**
+ * @typedef {Object} DiffChange
+ * @property {'equal'|'removed'|'added'} type - Строки есть в обоих текстах, только в первом или только во втором.
+ * @property {string} text - Подряд идущие строки одного типа.
+ */
+
+/**
+ * @typedef {Object} TextDiff
+ * @property {boolean} identical
+ * @property {number} similarity - Доля совпавших строк от 0 до 1.
+ * @property {DiffChange[]} changes
+ */
+
+/**
+ * Сравнивает тексты по строкам.
+ * @param {string} before
+ * @param {string} after
+ * @returns {TextDiff}
+ */
+function diffLines(before, after) {
+    const a = before.split('\n');
+    const b = after.split('\n');
+
+    // Общие начало и конец не участвуют в таблице LCS
+    let head = 0;
+    while (head < a.length && head < b.length && a[head] === b[head]) head++;
+    let tail = 0;
+    while (tail < a.length - head && tail < b.length - head && a[a.length - 1 - tail] === b[b.length - 1 - tail]) tail++;
+
+    const lines = [];
+    const push = (type, text) => lines.push({ type, text });
+    a.slice(0, head).forEach(line => push('equal', line));
+    middleDiff(a.slice(head, a.length - tail), b.slice(head, b.length - tail), push);
+    a.slice(a.length - tail).forEach(line => push('equal', line));
+
+    const changes = [];
+    for (const line of lines) {
+        const last = changes[changes.length - 1];
+        if (last && last.type === line.type) last.text += `\n${line.text}`;
+        else changes.push({ ...line });
+    }
+
+    const equal = lines.filter(line => line.type === 'equal').length;
+    return {
+        identical: before === after,
+        similarity: Math.round((2 * equal / (a.length + b.length)) * 1000) / 1000,
+        changes
+    };
+}
+
+/**
+ * Различающаяся середина текстов: таблица LCS и обратный проход (удаленные строки раньше добавленных).
+ * @param {string[]} a
+ * @param {string[]} b
+ * @param {(type: string, text: string) => void} push
+ */
+function middleDiff(a, b, push) {
+    if (a.length * b.length > MAX_LCS_CELLS) {
+        a.forEach(line => push('removed', line));
+        b.forEach(line => push('added', line));
+        return;
+    }
+
+    // lcs[i][j] — длина общей подпоследовательности a[i..] и b[j..]
+    const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            push('equal', a[i++]);
+            j++;
+        } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+            push('removed', a[i++]);
+        } else {
+            push('added', b[j++]);
+        }
+    }
+    while (i < a.length) push('removed', a[i++]);
+    while (j < b.length) push('added', b[j++]);
+}
+
+module.exports = { diffLines };
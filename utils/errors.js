@@ -0,0 +1,162 @@
+/**
+ * @file utils/errors.js
+ * @description Справочник машиночитаемых кодов ошибок шлюза.
+ * Коды передаются клиентам в SSE событиях `error` и в JSON ответах, поэтому их значения — часть контракта API.
+ */
+
+const logger = require('./logger');
+
+/**
+ * @enum {string}
+ */
+const ErrorCodes = Object.freeze({
+    /** Непредвиденная внутренняя ошибка шлюза. */
+    INTERNAL_ERROR: 'INTERNAL_ERROR',
+    /** Не удалось запустить процесс CLI (бинарник не найден, нет прав и т.п.). */
+    SPAWN_FAILED: 'SPAWN_FAILED',
+    /** CLI завершился с ненулевым кодом выхода по неизвестной причине. */
+    CLI_ERROR: 'CLI_ERROR',
+    /** Авторизация CLI (.gemini) истекла или недействительна — нужен повторный вход. */
+    CLI_AUTH_EXPIRED: 'CLI_AUTH_EXPIRED',
+    /** Модель отклонила запрос из-за лимита запросов или исчерпанной квоты (429 / RESOURCE_EXHAUSTED). */
+    MODEL_RATE_LIMITED: 'MODEL_RATE_LIMITED',
+    /** CLI не знает модель или она недоступна аккаунту. */
+    MODEL_NOT_FOUND: 'MODEL_NOT_FOUND',
+    /** Запрошенной модели (или псевдонима) нет в реестре моделей. */
+    MODEL_UNKNOWN: 'MODEL_UNKNOWN',
+    /** Модель отключена в реестре или прошла дата вывода из эксплуатации (sunset). */
+    MODEL_DISABLED: 'MODEL_DISABLED',
+    /** Временный сбой сети или сервиса модели (обрыв соединения, 5xx). */
+    UPSTREAM_UNAVAILABLE: 'UPSTREAM_UNAVAILABLE',
+    /** Промпт больше GEMINI_MAX_PROMPT_BYTES. */
+    PROMPT_TOO_LARGE: 'PROMPT_TOO_LARGE',
+    /** JSON Schema из response_format некорректна. */
+    RESPONSE_SCHEMA_INVALID: 'RESPONSE_SCHEMA_INVALID',
+    /** Ответ модели не прошел проверку response_format даже после попыток исправления. */
+    STRUCTURED_OUTPUT_INVALID: 'STRUCTURED_OUTPUT_INVALID',
+    /** Описания функций (tools) или tool_choice некорректны. */
+    TOOLS_INVALID: 'TOOLS_INVALID',
+    /** Модель вызвала функцию некорректно: блок не разбирается, неизвестная функция или аргументы не по схеме. */
+    TOOL_CALL_INVALID: 'TOOL_CALL_INVALID',
+    /** Запрос отклонен политикой модерации: запрещенный термин или персональные данные (MODERATION_PII_MODE=block). */
+    CONTENT_BLOCKED: 'CONTENT_BLOCKED',
+    /** CLI сообщил об ошибке внутри потока stream-json. */
+    MODEL_ERROR: 'MODEL_ERROR',
+    /** Модель не ответила за отведенное время (TIMEOUT_MS). */
+    TIMEOUT: 'TIMEOUT',
+    /** Очередь запросов переполнена. */
+    QUEUE_FULL: 'QUEUE_FULL',
+    /** Запрос слишком долго ждал свободного слота в очереди. */
+    QUEUE_TIMEOUT: 'QUEUE_TIMEOUT',
+    /** Шлюз останавливается: новые запросы и запросы из очереди не выполняются. */
+    SHUTTING_DOWN: 'SHUTTING_DOWN',
+    /** Клиент отменил запрос (закрыл соединение). */
+    CANCELLED: 'CANCELLED',
+    /** Ключу не хватает прав (например, для административных маршрутов). */
+    FORBIDDEN: 'FORBIDDEN',
+    /** Ключу не разрешено использовать запрошенную модель. */
+    MODEL_NOT_ALLOWED: 'MODEL_NOT_ALLOWED',
+    /** Превышена квота ключа (RPM, RPD или одновременные запросы). */
+    QUOTA_EXCEEDED: 'QUOTA_EXCEEDED',
+    /** API ключ с указанным ID не найден. */
+    KEY_NOT_FOUND: 'KEY_NOT_FOUND',
+    /** API ключ отозван: его незавершенные пакетные задания остановлены. */
+    KEY_REVOKED: 'KEY_REVOKED',
+    /** Сессия с указанным ID не найдена. */
+    SESSION_NOT_FOUND: 'SESSION_NOT_FOUND',
+    /** В сессии уже выполняется другой запрос. */
+    SESSION_BUSY: 'SESSION_BUSY',
+    /** Вложение сообщения некорректно (битый base64, неизвестный тип части, превышено число файлов). */
+    ATTACHMENT_INVALID: 'ATTACHMENT_INVALID',
+    /** Вложение больше ATTACHMENT_MAX_FILE_SIZE. */
+    ATTACHMENT_TOO_LARGE: 'ATTACHMENT_TOO_LARGE',
+    /** MIME тип вложения не входит в ATTACHMENT_ALLOWED_MIME_TYPES. */
+    ATTACHMENT_TYPE_NOT_ALLOWED: 'ATTACHMENT_TYPE_NOT_ALLOWED',
+    /** Некорректный период или группировка отчета об использовании. */
+    USAGE_QUERY_INVALID: 'USAGE_QUERY_INVALID',
+    /** Шаблон промпта (или его версия) не найден. */
+    TEMPLATE_NOT_FOUND: 'TEMPLATE_NOT_FOUND',
+    /** Шаблон промпта некорректен (необъявленные плейсхолдеры, неверные типы значений по умолчанию). */
+    TEMPLATE_INVALID: 'TEMPLATE_INVALID',
+    /** Не удалось подставить переменные в шаблон (нет обязательной, неверный тип, лишняя переменная). */
+    TEMPLATE_RENDER_FAILED: 'TEMPLATE_RENDER_FAILED',
+    /** Файл пакетного задания содержит некорректные строки. */
+    BATCH_INVALID: 'BATCH_INVALID',
+    /** Пакетное задание с указанным ID не найдено. */
+    BATCH_NOT_FOUND: 'BATCH_NOT_FOUND',
+    /** Пакетное задание уже завершено и не может быть отменено. */
+    BATCH_FINISHED: 'BATCH_FINISHED',
+    /** Журнал аудита выключен (AUDIT_ENABLED=false). */
+    AUDIT_DISABLED: 'AUDIT_DISABLED',
+    /** Запись журнала аудита с указанным ID не найдена (или удалена по сроку хранения). */
+    AUDIT_NOT_FOUND: 'AUDIT_NOT_FOUND',
+    /** Запись нельзя повторить: диалог или ответ не записан либо замаскирован (AUDIT_REDACT_*) или диалог содержал вложения. */
+    AUDIT_REPLAY_UNAVAILABLE: 'AUDIT_REPLAY_UNAVAILABLE'
+});
+
+/**
+ * Ошибка шлюза с машиночитаемым кодом и HTTP статусом.
+ * Бросается сервисами, а контроллеры превращают ее в JSON ответ или SSE событие error.
+ */
+class GatewayError extends Error {
+
+    /**
+     * @param {string} code - Код из ErrorCodes.
+     * @param {string} message - Человекочитаемое описание.
+     * @param {number} [status=500] - HTTP статус для JSON ответа.
+     * @param {object} [details] - Дополнительные поля для клиента.
+     */
+    constructor(code, message, status = 500, details = {}) {
+        super(message);
+        this.name = 'GatewayError';
+        this.code = code;
+        this.status = status;
+        this.details = details;
+    }
+
+    /**
+     * @returns {{code: string, message: string}} Тело для SSE события error.
+     */
+    toPayload() {
+        return errorPayload(this.code, this.message, this.details);
+    }
+}
+
+/**
+ * Формирует тело ошибки для клиента.
+ * @param {string} code - Код из ErrorCodes.
+ * @param {string} message - Человекочитаемое описание.
+ * @param {object} [details] - Дополнительные поля (exit_code и т.п.).
+ * @returns {{code: string, message: string}}
+ */
+function errorPayload(code, message, details = {}) {
+    return { code, message, ...details };
+}
+
+/**
+ * Приводит любую ошибку к телу ответа клиенту.
+ * Детали непредвиденных ошибок наружу не отдаются, только в лог.
+ * @param {Error} err
+ * @param {import('./logger').Logger} [log] - Логгер запроса (с request_id).
+ * @returns {{code: string, message: string}}
+ */
+function toErrorPayload(err, log = logger) {
+    if (err instanceof GatewayError) return err.toPayload();
+
+    log.error('Internal error', { err });
+    return errorPayload(ErrorCodes.INTERNAL_ERROR, 'Internal server error');
+}
+
+/**
+ * Отправляет ошибку клиенту в формате { status: 'error', code, message, ... }.
+ * Если ошибка сообщает retry_after, выставляется заголовок Retry-After.
+ * @param {import('express').Response} res
+ * @param {Error} err
+ */
+function sendError(res, err) {
+    const payload = toErrorPayload(err, res.req && res.req.log);
+    if (payload.retry_after) res.setHeader('Retry-After', String(payload.retry_after));
+    res.status(err.status || 500).json({ status: 'error', ...payload });
+}
+
+module.exports = { ErrorCodes, GatewayError, errorPayload, toErrorPayload, sendError };
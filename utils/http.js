@@ -0,0 +1,93 @@
+/**
+ * @file utils/http.js
+ * @description Вспомогательные функции для связи HTTP запроса с параметрами запуска CLI.
+ */
+
+const apiKeyService = require('../services/apikey.service');
+const modelRegistry = require('../services/model.registry.service');
+
+/**
+ * Создает AbortSignal, который срабатывает, если клиент закрыл соединение до окончания ответа.
+ * Используется для снятия запроса с очереди и остановки процесса CLI.
+ * @param {import('express').Response} res
+ * @returns {AbortSignal}
+ */
+function clientAbortSignal(res) {
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableEnded) controller.abort();
+    });
+    return controller.signal;
+}
+
+/**
+ * Определяет класс приоритета запроса в очереди.
+ * Потоковые запросы интерактивны; клиент может понизить приоритет заголовком `X-Priority: batch`.
+ * @param {import('express').Request} req
+ * @param {boolean} isStream
+ * @returns {'interactive'|'standard'|'batch'}
+ */
+function requestPriority(req, isStream) {
+    if (String(req.headers['x-priority'] || '').toLowerCase() === 'batch') return 'batch';
+    return isStream ? 'interactive' : 'standard';
+}
+
+/**
+ * Собирает параметры запуска CLI для запроса: приоритет, владелец, отмена, логгер с request_id,
+ * права ключа на резервные модели и контекст журнала аудита.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {boolean} isStream
+ * @returns {import('../services/gemini.service').RunOptions}
+ */
+function runOptions(req, res, isStream) {
+    return {
+        priority: requestPriority(req, isStream),
+        owner: req.apiKey ? req.apiKey.id : 'anonymous',
+        signal: clientAbortSignal(res),
+        log: req.log,
+        canUseModel: (model) => apiKeyService.isModelAllowed(req.apiKey, model),
+        audit: {
+            request_id: req.id,
+            route: `${req.method} ${req.path}`,
+            key_name: req.apiKey ? req.apiKey.name : null
+        }
+    };
+}
+
+/**
+ * Извлекает параметры генерации из тела запроса (форматы /api/chat и OpenAI совпадают).
+ * stop принимается строкой или массивом строк.
+ * @param {object} body
+ * @returns {import('../services/gemini.service').GenerationParams|null} null — параметры не заданы.
+ */
+function generationParams(body) {
+    const params = {};
+    for (const field of ['temperature', 'top_p', 'max_tokens']) {
+        if (typeof body[field] === 'number') params[field] = body[field];
+    }
+    if (body.stop !== undefined && body.stop !== null) {
+        params.stop = Array.isArray(body.stop) ? body.stop : [body.stop];
+    }
+    return Object.keys(params).length > 0 ? params : null;
+}
+
+/**
+ * Отмечает модель, которая обслуживает запрос: метка model для метрик и access-лога,
+ * а для устаревшей модели — заголовки Deprecation, Sunset (RFC 8594) и Warning с сообщением из реестра.
+ * @param {import('express').Response} res
+ * @param {string} model - ID модели.
+ */
+function useModel(res, model) {
+    res.locals.model = model;
+
+    const entry = modelRegistry.get(model);
+    if (!entry || !entry.deprecated) return;
+    res.setHeader('Deprecation', 'true');
+    if (entry.sunset) res.setHeader('Sunset', new Date(entry.sunset).toUTCString());
+    const message = entry.sunset_message || `Model '${entry.id}' is deprecated`;
+    // Значение заголовка — только печатный ASCII; кавычки и обратный слэш сломали бы quoted-string
+    res.setHeader('Warning', `299 - "${message.replace(/[^ -~]|["\\]/g, ' ')}"`);
+}
+
+module.exports = { clientAbortSignal, requestPriority, runOptions, generationParams, useModel };
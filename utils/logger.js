@@ -0,0 +1,86 @@
+/**
+ * @file utils/logger.js
+ * @description Структурированный логгер: одна JSON строка на запись в stdout/stderr.
+ * Дочерние логгеры (child) добавляют контекст — например, request_id — ко всем своим записям.
+ */
+
+const config = require('../config/app.config');
+
+/** Числовые веса уровней для фильтрации по LOG_LEVEL. */
+const LEVELS = Object.freeze({ debug: 10, info: 20, warn: 30, error: 40 });
+
+/**
+ * Приводит значение поля к виду, пригодному для JSON (Error -> {name, message, code, stack}).
+ * @param {*} value
+ * @returns {*}
+ */
+function serialize(value) {
+    if (value instanceof Error) {
+        return { name: value.name, message: value.message, code: value.code, stack: value.stack };
+    }
+    return value;
+}
+
+class Logger {
+
+    /**
+     * @param {object} [bindings] - Поля, добавляемые к каждой записи.
+     * @param {object} [options]
+     * @param {string} [options.level] - Минимальный уровень.
+     * @param {'json'|'pretty'} [options.format]
+     */
+    constructor(bindings = {}, { level = config.logging.LEVEL, format = config.logging.FORMAT } = {}) {
+        this.bindings = bindings;
+        this.level = level;
+        this.format = format;
+        this.threshold = LEVELS[level] ?? LEVELS.info;
+    }
+
+    /**
+     * Создает логгер с дополнительным контекстом.
+     * @param {object} bindings
+     * @returns {Logger}
+     */
+    child(bindings) {
+        return new Logger({ ...this.bindings, ...bindings }, { level: this.level, format: this.format });
+    }
+
+    /** @param {string} msg @param {object} [fields] */
+    debug(msg, fields) { this._write('debug', msg, fields); }
+
+    /** @param {string} msg @param {object} [fields] */
+    info(msg, fields) { this._write('info', msg, fields); }
+
+    /** @param {string} msg @param {object} [fields] */
+    warn(msg, fields) { this._write('warn', msg, fields); }
+
+    /** @param {string} msg @param {object} [fields] */
+    error(msg, fields) { this._write('error', msg, fields); }
+
+    /**
+     * @param {keyof LEVELS} level
+     * @param {string} msg
+     * @param {object} [fields]
+     * @private
+     */
+    _write(level, msg, fields = {}) {
+        if (LEVELS[level] < this.threshold) return;
+
+        const time = new Date().toISOString();
+        const context = { ...this.bindings };
+        for (const [key, value] of Object.entries(fields)) {
+            if (value !== undefined) context[key] = serialize(value);
+        }
+
+        const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+        if (this.format === 'pretty') {
+            stream.write(`${time} ${level.toUpperCase().padEnd(5)} ${msg} ${JSON.stringify(context)}\n`);
+        } else {
+            stream.write(`${JSON.stringify({ time, level, msg, ...context })}\n`);
+        }
+    }
+}
+
+// Корневой логгер приложения; компоненты создают от него дочерние логгеры
+module.exports = new Logger({ service: 'gemini-cli-gateway' });
+module.exports.Logger = Logger;
@@ -0,0 +1,165 @@
+/**
+ * @file utils/metrics.js
+ * @description Метрики Prometheus (prom-client): HTTP запросы, процессы CLI, очередь, токены.
+ * Реестр отдается на /metrics (см. controllers/metrics.controller.js).
+ */
+
+const client = require('prom-client');
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register, prefix: 'gateway_' });
+
+/** Источник состояния очереди; задается GeminiService, чтобы не создавать циклических зависимостей. */
+let queueStatsProvider = null;
+
+const httpRequestsTotal = new client.Counter({
+    name: 'gateway_http_requests_total',
+    help: 'HTTP requests by route, method, model and status code',
+    labelNames: ['route', 'method', 'model', 'status'],
+    registers: [register]
+});
+
+const httpRequestDuration = new client.Histogram({
+    name: 'gateway_http_request_duration_seconds',
+    help: 'HTTP request duration (for streams - until the connection is closed)',
+    labelNames: ['route', 'method', 'status'],
+    buckets: [0.05, 0.1, 0.5, 1, 2.5, 5, 10, 30, 60, 120],
+    registers: [register]
+});
+
+const cliProcessDuration = new client.Histogram({
+    name: 'gateway_cli_process_duration_seconds',
+    help: 'Gemini CLI process lifetime by model, mode and outcome',
+    labelNames: ['model', 'mode', 'outcome'],
+    buckets: [0.5, 1, 2.5, 5, 10, 20, 30, 60, 120],
+    registers: [register]
+});
+
+const streamTimeToFirstToken = new client.Histogram({
+    name: 'gateway_stream_time_to_first_token_seconds',
+    help: 'Time from spawning the CLI process to the first streamed text delta',
+    labelNames: ['model'],
+    buckets: [0.25, 0.5, 1, 2, 3, 5, 10, 20, 30],
+    registers: [register]
+});
+
+const queueWaitDuration = new client.Histogram({
+    name: 'gateway_queue_wait_seconds',
+    help: 'Time spent waiting for a CLI slot by priority class',
+    labelNames: ['priority'],
+    buckets: [0, 0.1, 0.5, 1, 2.5, 5, 10, 30],
+    registers: [register]
+});
+
+const cliTimeoutsTotal = new client.Counter({
+    name: 'gateway_cli_timeouts_total',
+    help: 'CLI processes killed by the watchdog',
+    labelNames: ['model'],
+    registers: [register]
+});
+
+const cliSpawnFailuresTotal = new client.Counter({
+    name: 'gateway_cli_spawn_failures_total',
+    help: 'Failed attempts to spawn the CLI process',
+    labelNames: ['model'],
+    registers: [register]
+});
+
+const cliRetriesTotal = new client.Counter({
+    name: 'gateway_cli_retries_total',
+    help: 'Repeated CLI runs after a failure: retry on the same model or fallback to the next one',
+    labelNames: ['model', 'code', 'action'],
+    registers: [register]
+});
+
+const structuredOutputTotal = new client.Counter({
+    name: 'gateway_structured_output_total',
+    help: 'Structured output (response_format JSON) checks: valid, repair (model asked to fix its reply) or invalid (gave up)',
+    labelNames: ['outcome'],
+    registers: [register]
+});
+
+const toolCallsTotal = new client.Counter({
+    name: 'gateway_tool_calls_total',
+    help: 'Replies to requests with tools: call (model called functions), text (plain answer) or invalid (malformed tool call)',
+    labelNames: ['outcome'],
+    registers: [register]
+});
+
+const moderationActionsTotal = new client.Counter({
+    name: 'gateway_moderation_actions_total',
+    help: 'Moderation actions by direction (input, output), rule (pii.email, blocked_term, ...) and action (redact, mask, block, unmask)',
+    labelNames: ['direction', 'rule', 'action'],
+    registers: [register]
+});
+
+const responseCacheRequestsTotal = new client.Counter({
+    name: 'gateway_response_cache_requests_total',
+    help: 'Response cache lookups by result (hit, miss, bypass, coalesced)',
+    labelNames: ['result'],
+    registers: [register]
+});
+
+const tokensTotal = new client.Counter({
+    name: 'gateway_tokens_total',
+    help: 'Prompt (input) and response (output) tokens by model, including estimated counts',
+    labelNames: ['model', 'type'],
+    registers: [register]
+});
+
+new client.Gauge({
+    name: 'gateway_queue_depth',
+    help: 'Requests waiting for a CLI slot by priority class',
+    labelNames: ['priority'],
+    registers: [register],
+    collect() {
+        if (!queueStatsProvider) return;
+        for (const [priority, count] of Object.entries(queueStatsProvider().byPriority)) {
+            this.set({ priority }, count);
+        }
+    }
+});
+
+new client.Gauge({
+    name: 'gateway_cli_active_processes',
+    help: 'Running Gemini CLI processes',
+    registers: [register],
+    collect() {
+        if (queueStatsProvider) this.set(queueStatsProvider().active);
+    }
+});
+
+new client.Gauge({
+    name: 'gateway_cli_max_concurrent_processes',
+    help: 'Configured limit of concurrent CLI processes',
+    registers: [register],
+    collect() {
+        if (queueStatsProvider) this.set(queueStatsProvider().maxConcurrent);
+    }
+});
+
+/**
+ * Подключает источник состояния очереди для gauge-метрик.
+ * @param {() => {active: number, maxConcurrent: number, byPriority: Object<string, number>}} provider
+ */
+function setQueueStatsProvider(provider) {
+    queueStatsProvider = provider;
+}
+
+module.exports = {
+    register,
+    httpRequestsTotal,
+    httpRequestDuration,
+    cliProcessDuration,
+    streamTimeToFirstToken,
+    queueWaitDuration,
+    cliTimeoutsTotal,
+    cliSpawnFailuresTotal,
+    cliRetriesTotal,
+    structuredOutputTotal,
+    toolCallsTotal,
+    moderationActionsTotal,
+    responseCacheRequestsTotal,
+    tokensTotal,
+    setQueueStatsProvider
+};
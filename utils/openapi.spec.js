@@ -0,0 +1,51 @@
+/**
+ * @file utils/openapi.spec.js
+ * @description Загрузка спецификации openapi.yaml с подстановкой значений из конфигурации.
+ * Лимиты, которые задаются переменными окружения (размер и типы вложений), проверяются валидатором
+ * и показываются в Swagger UI такими же, какими их применяют сервисы.
+ */
+
+const YAML = require('yamljs');
+const config = require('../config/app.config');
+
+/** Запас длины data URL на префикс `data:<mime>;<параметры>;base64,`. */
+const DATA_URL_PREFIX_MAX = 256;
+
+/**
+ * @param {string} value
+ * @returns {string} Строка, безопасная для вставки в регулярное выражение.
+ */
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+/**
+ * Подставляет лимиты вложений (ATTACHMENT_*) в схемы components.schemas.
+ * @param {object} schemas
+ */
+function applyAttachmentLimits(schemas) {
+    const { MAX_FILE_SIZE, MAX_FILES, ALLOWED_MIME_TYPES } = config.attachments;
+    // base64 кодирует каждые 3 байта 4 символами
+    const maxBase64Length = Math.ceil(MAX_FILE_SIZE / 3) * 4;
+
+    schemas.AttachmentMimeType.enum = [...ALLOWED_MIME_TYPES];
+    schemas.AttachmentData.maxLength = maxBase64Length;
+    schemas.AttachmentDataUrl.maxLength = maxBase64Length + DATA_URL_PREFIX_MAX;
+    schemas.AttachmentDataUrl.pattern = `^data:(${ALLOWED_MIME_TYPES.map(escapeRegExp).join('|')})(;[^,;]+)*;base64,`;
+    // files: один файл или массив файлов
+    schemas.ChatUploadRequest.properties.files.oneOf[1].maxItems = MAX_FILES;
+}
+
+/**
+ * Загружает спецификацию. Каждый вызов возвращает новый объект: валидатор изменяет
+ * переданную ему спецификацию, поэтому Swagger UI и валидатор получают отдельные копии.
+ * @param {string} [file='./openapi.yaml']
+ * @returns {object}
+ */
+function loadApiSpec(file = './openapi.yaml') {
+    const spec = YAML.load(file);
+    applyAttachmentLimits(spec.components.schemas);
+    return spec;
+}
+
+module.exports = { loadApiSpec };
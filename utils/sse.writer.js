@@ -0,0 +1,137 @@
+/**
+ * @file utils/sse.writer.js
+ * @description Обертка над HTTP ответом для отправки Server-Sent Events.
+ * Выставляет заголовки, сериализует события и шлет heartbeat-комментарии,
+ * чтобы прокси (nginx, Cloudflare) не закрывали соединение, пока модель "думает".
+ */
+
+const config = require('../config/app.config');
+const { toErrorPayload } = require('./errors');
+
+class SseWriter {
+
+    /**
+     * @param {import('express').Response} res - Объект ответа Express.
+     * @param {object} [options]
+     * @param {number} [options.heartbeatMs] - Интервал heartbeat-комментариев (0 — отключить).
+     */
+    constructor(res, { heartbeatMs = config.SSE_HEARTBEAT_MS } = {}) {
+        this.res = res;
+        this.heartbeatMs = heartbeatMs;
+        this.heartbeatTimer = null;
+
+        // Соединение могло закрыться со стороны клиента — heartbeat больше не нужен
+        res.on('close', () => this._stopHeartbeat());
+    }
+
+    /**
+     * @returns {boolean} true, если писать в поток уже нельзя.
+     */
+    get closed() {
+        return this.res.writableEnded || this.res.destroyed;
+    }
+
+    /**
+     * Отправляет заголовки SSE и запускает heartbeat.
+     * @returns {SseWriter}
+     */
+    open() {
+        this.res.setHeader('Content-Type', 'text/event-stream');
+        this.res.setHeader('Cache-Control', 'no-cache');
+        this.res.setHeader('Connection', 'keep-alive');
+        // Отключаем буферизацию nginx для этого ответа
+        this.res.setHeader('X-Accel-Buffering', 'no');
+        this.res.flushHeaders();
+
+        if (this.heartbeatMs > 0) {
+            this.heartbeatTimer = setInterval(() => this.comment('ping'), this.heartbeatMs);
+            this.heartbeatTimer.unref();
+        }
+        return this;
+    }
+
+    /**
+     * Отправляет именованное событие с JSON данными.
+     * @param {string} event - Имя события (delta, usage, done, ...).
+     * @param {object} data
+     */
+    send(event, data) {
+        if (this.closed) return;
+        this.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+
+    /**
+     * Отправляет безымянное событие (только строка data:).
+     * @param {object|string} data - Объект сериализуется в JSON, строка отправляется как есть.
+     */
+    sendData(data) {
+        if (this.closed) return;
+        const payload = typeof data === 'string' ? data : JSON.stringify(data);
+        this.res.write(`data: ${payload}\n\n`);
+    }
+
+    /**
+     * Транслирует потоковую генерацию (см. GeminiService.stream) клиенту:
+     * события delta/tool_call/tool_calls/usage/error по мере поступления и финальное событие done
+     * (с итоговой статистикой usage и вызовами функций tool_calls, если они есть).
+     * Если клиент отключился, генерация отменяется.
+     * @param {import('events').EventEmitter & {cancel: Function}} run
+     * @returns {Promise<{finishReason: string, text: string, usage: object|null, error: object|null, model?: string}>}
+     */
+    pipeRun(run) {
+        this.res.on('close', () => run.cancel());
+
+        return new Promise((resolve) => {
+            run.on('event', (event) => this.send(event.type, event.data));
+            run.on('end', (result) => {
+                if (result.error) this.send('error', result.error.toPayload());
+                this.send('done', {
+                    finish_reason: result.finishReason,
+                    text: result.text,
+                    model: result.model,
+                    usage: result.usage || null,
+                    ...(result.toolCalls && { tool_calls: result.toolCalls })
+                });
+                this.end();
+                resolve(result);
+            });
+        });
+    }
+
+    /**
+     * Завершает поток ошибкой, случившейся до начала генерации (например, таймаут очереди).
+     * @param {Error} err
+     */
+    fail(err) {
+        this.send('error', toErrorPayload(err, this.res.req && this.res.req.log));
+        this.send('done', { finish_reason: 'error', text: '' });
+        this.end();
+    }
+
+    /**
+     * Отправляет SSE комментарий (клиенты его игнорируют).
+     * @param {string} text
+     */
+    comment(text) {
+        if (this.closed) return;
+        this.res.write(`: ${text}\n\n`);
+    }
+
+    /**
+     * Завершает поток.
+     */
+    end() {
+        this._stopHeartbeat();
+        if (!this.closed) this.res.end();
+    }
+
+    /** @private */
+    _stopHeartbeat() {
+        if (this.heartbeatTimer) {
+            clearInterval(this.heartbeatTimer);
+            this.heartbeatTimer = null;
+        }
+    }
+}
+
+module.exports = SseWriter;
@@ -0,0 +1,129 @@
+/**
+ * @file utils/stream-json.parser.js
+ * @description Парсер вывода `gemini -o stream-json`.
+ * Превращает внутренние записи CLI (message, tool_use, result, error, ...) в стабильный набор событий шлюза,
+ * чтобы клиенты не зависели от формата конкретной версии CLI.
+ */
+
+const { ErrorCodes, errorPayload } = require('./errors');
+const logger = require('./logger');
+
+/**
+ * @typedef {Object} StreamEvent
+ * @property {'delta'|'tool_call'|'usage'|'error'} type - Тип нормализованного события.
+ * @property {object} data - Полезная нагрузка события.
+ */
+
+class StreamJsonParser {
+
+    /**
+     * @param {object} [options]
+     * @param {import('./logger').Logger} [options.log] - Логгер запроса (с request_id).
+     */
+    constructor({ log = logger } = {}) {
+        this.log = log;
+        /** @type {string} Незавершенная строка из предыдущего чанка. */
+        this.buffer = '';
+        /** @type {string} Полный текст ответа модели, накопленный из delta. */
+        this.text = '';
+        /** @type {object|null} Статистика из записи result. */
+        this.usage = null;
+        /** @type {string|null} Причина завершения, определенная по записи result. */
+        this.finishReason = null;
+    }
+
+    /**
+     * Принимает очередной чанк stdout и возвращает события, готовые к отправке клиенту.
+     * @param {Buffer|string} chunk
+     * @returns {StreamEvent[]}
+     */
+    push(chunk) {
+        this.buffer += chunk.toString();
+        const events = [];
+
+        let boundary = this.buffer.indexOf('\n');
+        while (boundary !== -1) {
+            const line = this.buffer.substring(0, boundary).trim();
+            this.buffer = this.buffer.substring(boundary + 1);
+            if (line) events.push(...this._parseLine(line));
+            boundary = this.buffer.indexOf('\n');
+        }
+
+        return events;
+    }
+
+    /**
+     * Обрабатывает остаток буфера (последняя строка без перевода строки).
+     * Вызывается после закрытия stdout.
+     * @returns {StreamEvent[]}
+     */
+    end() {
+        const line = this.buffer.trim();
+        this.buffer = '';
+        return line ? this._parseLine(line) : [];
+    }
+
+    /**
+     * @param {string} line - Одна запись stream-json.
+     * @returns {StreamEvent[]}
+     * @private
+     */
+    _parseLine(line) {
+        let record;
+        try {
+            record = JSON.parse(line);
+        } catch {
+            // CLI иногда пишет в stdout служебный текст — клиенту он не нужен
+            this.log.warn('Skipping non-JSON line in CLI output', { line: line.slice(0, 200) });
+            return [];
+        }
+
+        switch (record.type) {
+            case 'message':
+                if (record.role !== 'assistant' || !record.content) return [];
+                this.text += record.content;
+                return [{ type: 'delta', data: { text: record.content } }];
+
+            case 'tool_use':
+                return [{
+                    type: 'tool_call',
+                    data: {
+                        id: record.tool_id,
+                        name: record.tool_name,
+                        arguments: record.parameters || {}
+                    }
+                }];
+
+            case 'error':
+                if (record.severity === 'warning') return [];
+                return [{ type: 'error', data: errorPayload(ErrorCodes.MODEL_ERROR, record.message || 'Model error') }];
+
+            case 'result': {
+                const events = [];
+                if (record.stats) {
+                    this.usage = {
+                        input_tokens: record.stats.input_tokens,
+                        output_tokens: record.stats.output_tokens,
+                        total_tokens: record.stats.total_tokens,
+                        duration_ms: record.stats.duration_ms
+                    };
+                    events.push({ type: 'usage', data: this.usage });
+                }
+                if (record.status === 'error') {
+                    this.finishReason = 'error';
+                    const message = (record.error && record.error.message) || 'Model returned an error result';
+                    events.push({ type: 'error', data: errorPayload(ErrorCodes.MODEL_ERROR, message) });
+                } else {
+                    this.finishReason = 'stop';
+                }
+                return events;
+            }
+
+            // init, user message, tool_result и неизвестные типы клиенту не транслируются
+            default:
+                return [];
+        }
+    }
+}
+
+module.exports = StreamJsonParser;